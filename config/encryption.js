@@ -0,0 +1,70 @@
+// server/config/encryption.js
+// Keys for field-level encryption of personal data (see
+// models/plugins/encryptedFields.js).
+//
+// FIELD_ENCRYPTION_KEYS lists every key still needed to read stored values, as
+// comma-separated "<keyId>:<base64 32-byte key>" pairs. New values are
+// encrypted with FIELD_ENCRYPTION_KEY_ID (the first key listed by default) and
+// every stored value names the key that encrypted it. To rotate: add the new
+// key, make it current, run `npm run encrypt-volunteers` to re-encrypt old
+// values, then remove the retired key.
+//
+// FIELD_BLIND_INDEX_KEY (base64, 32 bytes) keys the blind indexes: keyed
+// hashes of a value that can be searched for duplicates without decrypting.
+// Changing it needs the same migration to rebuild the indexes.
+//
+// Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+
+const KEY_BYTES = 32;
+
+const parseKey = (keyId, encoded, variable) => {
+  const key = Buffer.from(encoded || '', 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${variable}${keyId ? ` (key "${keyId}")` : ''} must be ${KEY_BYTES} bytes, base64-encoded`);
+  }
+  return key;
+};
+
+let parsedFrom = null;
+let parsed = null;
+
+// { currentKeyId, keys: Map<keyId, Buffer> }, parsed once per configuration
+const getEncryptionKeys = () => {
+  const configured = `${process.env.FIELD_ENCRYPTION_KEYS || ''}|${process.env.FIELD_ENCRYPTION_KEY_ID || ''}`;
+  if (parsed && parsedFrom === configured) return parsed;
+
+  if (!process.env.FIELD_ENCRYPTION_KEYS) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not set; personal data cannot be encrypted or read');
+  }
+
+  const keys = new Map();
+  process.env.FIELD_ENCRYPTION_KEYS.split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator).trim();
+    if (separator < 1 || !/^[\w.-]+$/.test(keyId)) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like "<keyId>:<base64 key>"');
+    }
+    keys.set(keyId, parseKey(keyId, entry.slice(separator + 1).trim(), 'FIELD_ENCRYPTION_KEYS'));
+  });
+
+  const currentKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${currentKeyId}" is not listed in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  parsedFrom = configured;
+  parsed = { currentKeyId, keys };
+  return parsed;
+};
+
+const getBlindIndexKey = () => {
+  if (!process.env.FIELD_BLIND_INDEX_KEY) {
+    throw new Error('FIELD_BLIND_INDEX_KEY is not set; duplicate checks cannot run');
+  }
+  return parseKey(null, process.env.FIELD_BLIND_INDEX_KEY, 'FIELD_BLIND_INDEX_KEY');
+};
+
+module.exports = {
+  getEncryptionKeys,
+  getBlindIndexKey
+};
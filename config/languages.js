@@ -0,0 +1,26 @@
+// server/config/languages.js
+// Languages the public site is published in, and how a request picks one.
+
+const SUPPORTED_LANGUAGES = ['en', 'sw'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Pick the response language: ?lang= wins, then the Accept-Language header
+// (so "sw-KE" matches "sw"), then the default.
+const negotiateLanguage = (req) => {
+  const requested = String(req.query.lang || '').toLowerCase().split('-')[0];
+  if (SUPPORTED_LANGUAGES.includes(requested)) {
+    return requested;
+  }
+
+  if (req.get('Accept-Language')) {
+    return req.acceptsLanguages(...SUPPORTED_LANGUAGES) || DEFAULT_LANGUAGE;
+  }
+
+  return DEFAULT_LANGUAGE;
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  negotiateLanguage
+};
@@ -0,0 +1,96 @@
+// server/config/permissions.js
+// Single source of truth for what each admin role may do. Routes declare the
+// permission they need with authorize('<resource>:<action>'); roles map to
+// the permissions below. 'all' grants everything, and '<resource>:*' grants
+// every action on that resource.
+
+const PERMISSIONS = {
+  // Press releases
+  'press:read': 'View unpublished press releases',
+  'press:write': 'Create and edit press releases and their attachments',
+  'press:publish': 'Schedule, publish or unpublish approved press releases',
+  'press:approve': 'Approve or reject press releases in review',
+  'press:delete': 'Delete press releases',
+  'press:stats': 'View press analytics',
+
+  // Events
+  'events:read': 'View event analytics and attendee lists',
+  'events:write': 'Create and edit events',
+  'events:delete': 'Delete events',
+
+  // Media library
+  'media:write': 'Upload and edit media',
+  'media:delete': 'Delete media',
+  'media:stats': 'View media analytics',
+
+  // Contact messages
+  'contacts:read': 'Read contact messages',
+  'contacts:write': 'Reply to and update contact messages',
+  'contacts:delete': 'Delete contact messages',
+
+  // Volunteers
+  'volunteers:read': 'View and search volunteers',
+  'volunteers:write': 'Update volunteer status and activity',
+  'volunteers:delete': 'Delete volunteers',
+  'volunteers:export': 'Export volunteer data',
+  'volunteers:pii': 'View volunteer national ID, phone and date of birth',
+
+  // Newsletter
+  'newsletter:manage': 'Manage newsletter subscribers and sends',
+
+  // Administration
+  'users:manage': 'Invite, disable and re-role staff, and manage their sessions',
+  'security:manage': 'Change account security policy',
+  'audit:read': 'View the admin audit log',
+  'api-keys:manage': 'Mint, rotate and revoke partner API keys',
+  'data-requests:manage': 'Handle data subject access and erasure requests'
+};
+
+// Scopes that can be granted to partner API keys. Keys are read-only.
+const API_KEY_SCOPES = {
+  'press:read': 'Read published and scheduled (embargoed) press releases',
+  'events:read': 'Read public events, including cancelled and postponed ones'
+};
+
+const ROLE_PERMISSIONS = {
+  'super-admin': ['all'],
+  'communications': [
+    'press:read', 'press:write', 'press:publish', 'press:delete',
+    'events:read', 'events:write', 'events:delete',
+    'media:write', 'media:delete', 'media:stats',
+    'contacts:read', 'contacts:write', 'contacts:delete',
+    'newsletter:manage'
+  ],
+  'volunteer-coordinator': [
+    'volunteers:read', 'volunteers:write', 'volunteers:delete', 'volunteers:export',
+    'events:read', 'events:write', 'events:delete'
+  ]
+};
+
+// Check whether a list of granted permissions covers the required one
+const hasPermission = (granted = [], required) => {
+  if (granted.includes('all') || granted.includes(required)) {
+    return true;
+  }
+
+  const [resource] = required.split(':');
+  return granted.includes(`${resource}:*`);
+};
+
+// Check a permission string is one we know about (or a wildcard for a known resource)
+const isKnownPermission = (permission) => {
+  if (permission === 'all' || PERMISSIONS[permission]) {
+    return true;
+  }
+
+  const [resource, action] = permission.split(':');
+  return action === '*' && Object.keys(PERMISSIONS).some(key => key.startsWith(`${resource}:`));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  isKnownPermission
+};
@@ -0,0 +1,76 @@
+// server/config/pressWorkflow.js
+// Editorial state machine for press releases:
+//   draft → in-review → approved → scheduled / published
+// Each action lists the states it can start from, the state it leads to and the
+// permission needed to take it. 'press:approve' is only held by super-admins.
+
+const PRESS_STATUSES = ['draft', 'in-review', 'rejected', 'approved', 'scheduled', 'published', 'archived'];
+
+const PRESS_TRANSITIONS = {
+  submit: {
+    from: ['draft', 'rejected'],
+    to: 'in-review',
+    permission: 'press:write'
+  },
+  withdraw: {
+    from: ['in-review'],
+    to: 'draft',
+    permission: 'press:write'
+  },
+  approve: {
+    from: ['in-review'],
+    to: 'approved',
+    permission: 'press:approve'
+  },
+  reject: {
+    from: ['in-review'],
+    to: 'rejected',
+    permission: 'press:approve',
+    requiresComment: true
+  },
+  schedule: {
+    from: ['approved'],
+    to: 'scheduled',
+    permission: 'press:publish'
+  },
+  unschedule: {
+    from: ['scheduled'],
+    to: 'approved',
+    permission: 'press:publish'
+  },
+  publish: {
+    from: ['approved', 'scheduled'],
+    to: 'published',
+    permission: 'press:publish'
+  },
+  unpublish: {
+    from: ['published'],
+    to: 'draft',
+    permission: 'press:publish'
+  },
+  archive: {
+    from: ['draft', 'rejected', 'approved', 'published'],
+    to: 'archived',
+    permission: 'press:publish'
+  }
+};
+
+// States whose approval is lost when the reviewed content is edited. A published
+// release goes back to draft (and offline) until the edit has been approved.
+const APPROVED_STATUSES = ['approved', 'scheduled', 'published'];
+
+// Fields whose change means an approved release must be reviewed again
+const REVIEWED_FIELDS = ['title', 'excerpt', 'content', 'category', 'featuredImage', 'attachments', 'translations'];
+
+// Actions available from a state
+const availableTransitions = (status) => {
+  return Object.keys(PRESS_TRANSITIONS).filter(action => PRESS_TRANSITIONS[action].from.includes(status));
+};
+
+module.exports = {
+  PRESS_STATUSES,
+  PRESS_TRANSITIONS,
+  APPROVED_STATUSES,
+  REVIEWED_FIELDS,
+  availableTransitions
+};
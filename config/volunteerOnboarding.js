@@ -0,0 +1,81 @@
+// server/config/volunteerOnboarding.js
+// Onboarding pipeline for volunteers:
+//   application → email verification → ID check → orientation → active
+// Stages are passed in order. Each lists the Volunteer status it puts the
+// volunteer in and any permission needed (besides volunteers:write) to sign it off.
+//
+// The optional stages can be switched off with VOLUNTEER_ONBOARDING_STAGES, a
+// comma-separated list of the ones to keep (e.g. 'email-verification,orientation').
+
+const ALL_STAGES = [
+  {
+    key: 'application',
+    label: 'Application received',
+    status: 'pending'
+  },
+  {
+    key: 'email-verification',
+    label: 'Email verified',
+    status: 'pending',
+    optional: true
+  },
+  {
+    key: 'id-check',
+    label: 'National ID checked',
+    status: 'approved',
+    permission: 'volunteers:pii',
+    optional: true
+  },
+  {
+    key: 'orientation',
+    label: 'Orientation attended',
+    status: 'approved',
+    optional: true
+  },
+  {
+    key: 'active',
+    label: 'Active volunteer',
+    status: 'active'
+  }
+];
+
+const STAGE_KEYS = ALL_STAGES.map(stage => stage.key);
+
+const enabledOptional = process.env.VOLUNTEER_ONBOARDING_STAGES
+  ? process.env.VOLUNTEER_ONBOARDING_STAGES.split(',').map(key => key.trim())
+  : STAGE_KEYS;
+
+// The stages in use, in order
+const ONBOARDING_STAGES = ALL_STAGES.filter(stage => !stage.optional || enabledOptional.includes(stage.key));
+
+// Statuses that take a volunteer out of the pipeline without losing their stage
+const OFF_PIPELINE_STATUSES = ['rejected', 'inactive', 'withdrawn'];
+
+// Looked up among all stages, so volunteers who reached a stage before it was
+// switched off still resolve
+const getStage = (key) => ALL_STAGES.find(stage => stage.key === key);
+
+// The stage in use after `key`, or null at the end of the pipeline
+const nextStage = (key) => {
+  const position = STAGE_KEYS.indexOf(key);
+  return ONBOARDING_STAGES.find(stage => STAGE_KEYS.indexOf(stage.key) > position) || null;
+};
+
+// Where a volunteer who signed up before the pipeline existed stands
+const stageForStatus = (status) => {
+  if (['active', 'inactive'].includes(status)) return 'active';
+  if (status === 'approved') {
+    const approvedStage = ONBOARDING_STAGES.find(stage => stage.status === 'approved');
+    return approvedStage ? approvedStage.key : 'application';
+  }
+  return 'application';
+};
+
+module.exports = {
+  STAGE_KEYS,
+  ONBOARDING_STAGES,
+  OFF_PIPELINE_STATUSES,
+  getStage,
+  nextStage,
+  stageForStatus
+};
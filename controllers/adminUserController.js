@@ -0,0 +1,213 @@
+// server/controllers/adminUserController.js
+const AdminUser = require('../models/AdminUser');
+const Session = require('../models/Session');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { validatePassword } = require('../middleware/auth');
+const { isKnownPermission } = require('../config/permissions');
+
+// Return the first permission that isn't in config/permissions.js
+const findUnknownPermission = (permissions) => {
+  if (!Array.isArray(permissions)) return null;
+  return permissions.find(permission => !isKnownPermission(permission)) || null;
+};
+
+// Make sure at least one active super-admin remains after a change
+const ensureOtherSuperAdmin = async (user) => {
+  if (user.role !== 'super-admin' || !user.active) return true;
+
+  const others = await AdminUser.countDocuments({
+    _id: { $ne: user._id },
+    role: 'super-admin',
+    active: true
+  });
+
+  return others > 0;
+};
+
+// Get all admin users (super-admin only)
+const getAllUsers = catchAsync(async (req, res, next) => {
+  const { role, active } = req.query;
+
+  const query = {};
+  if (role) query.role = role;
+  if (active !== undefined) query.active = active === 'true';
+
+  const users = await AdminUser.find(query)
+    .populate('invitedBy', 'name email')
+    .sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: users.length,
+    data: {
+      users
+    }
+  });
+});
+
+// Get admin user by ID
+const getUser = catchAsync(async (req, res, next) => {
+  const user = await AdminUser.findById(req.params.id).populate('invitedBy', 'name email');
+
+  if (!user) {
+    return next(new AppError('No admin user found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user
+    }
+  });
+});
+
+// Invite a new staff member (super-admin only)
+const inviteUser = catchAsync(async (req, res, next) => {
+  const { name, email, role, password, permissions } = req.body;
+
+  if (!name || !email || !role || !password) {
+    return next(new AppError('Please provide name, email, role and a temporary password', 400));
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return next(new AppError(passwordError, 400));
+  }
+
+  const unknownPermission = findUnknownPermission(permissions);
+  if (unknownPermission) {
+    return next(new AppError(`Unknown permission: ${unknownPermission}`, 400));
+  }
+
+  const existingUser = await AdminUser.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    return next(new AppError('An admin user with this email already exists', 400));
+  }
+
+  const user = await AdminUser.create({
+    name,
+    email,
+    role,
+    password,
+    permissions: Array.isArray(permissions) ? permissions : AdminUser.defaultPermissions(role),
+    invitedBy: req.user._id,
+    mustChangePassword: true
+  });
+
+  // Remove password from output
+  user.password = undefined;
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Admin user invited successfully',
+    data: {
+      user
+    }
+  });
+});
+
+// Change a staff member's role and permissions (super-admin only)
+const updateUserRole = catchAsync(async (req, res, next) => {
+  const { role, permissions } = req.body;
+
+  if (!role) {
+    return next(new AppError('Please provide a role', 400));
+  }
+
+  const unknownPermission = findUnknownPermission(permissions);
+  if (unknownPermission) {
+    return next(new AppError(`Unknown permission: ${unknownPermission}`, 400));
+  }
+
+  const user = await AdminUser.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('No admin user found with that ID', 404));
+  }
+
+  if (role !== 'super-admin' && !(await ensureOtherSuperAdmin(user))) {
+    return next(new AppError('Cannot change the role of the last active super-admin', 400));
+  }
+
+  user.role = role;
+  user.permissions = Array.isArray(permissions) ? permissions : AdminUser.defaultPermissions(role);
+
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Admin user role updated successfully',
+    data: {
+      user
+    }
+  });
+});
+
+// Disable or re-enable a staff account (super-admin only)
+const updateUserStatus = catchAsync(async (req, res, next) => {
+  const { active } = req.body;
+
+  if (typeof active !== 'boolean') {
+    return next(new AppError('Please provide active as true or false', 400));
+  }
+
+  const user = await AdminUser.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('No admin user found with that ID', 404));
+  }
+
+  if (!active && user._id.equals(req.user._id)) {
+    return next(new AppError('You cannot disable your own account', 400));
+  }
+
+  if (!active && !(await ensureOtherSuperAdmin(user))) {
+    return next(new AppError('Cannot disable the last active super-admin', 400));
+  }
+
+  user.active = active;
+  user.disabledAt = active ? undefined : new Date();
+
+  await user.save();
+
+  if (!active) {
+    await Session.revokeAllForUser(user._id, 'account-disabled', req.user._id);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `Admin user ${active ? 'enabled' : 'disabled'} successfully`,
+    data: {
+      user
+    }
+  });
+});
+
+// Clear a staff member's 2FA enrolment, e.g. after a lost phone (super-admin only)
+const resetUserTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await AdminUser.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('No admin user found with that ID', 404));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  // Sessions opened with the old device should not survive the reset
+  await Session.revokeAllForUser(user._id, 'revoked', req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication reset. The user must enrol again at next login.'
+  });
+});
+
+module.exports = {
+  getAllUsers,
+  getUser,
+  inviteUser,
+  updateUserRole,
+  updateUserStatus,
+  resetUserTwoFactor
+};
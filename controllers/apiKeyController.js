@@ -0,0 +1,169 @@
+// server/controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Work out an expiry date from ?expiresInDays (0 means the key never expires)
+const resolveExpiry = (expiresInDays) => {
+  const days = expiresInDays === undefined
+    ? parseInt(process.env.API_KEY_EXPIRES_DAYS, 10) || 365
+    : Number(expiresInDays);
+
+  if (!Number.isFinite(days) || days < 0) return undefined;
+  if (days === 0) return null;
+
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// The raw key is only ever shown in the response that creates it
+const sendNewKey = (res, statusCode, apiKey, key) => {
+  res.status(statusCode).json({
+    status: 'success',
+    message: 'Store this key now, it will not be shown again',
+    data: {
+      apiKey,
+      key
+    }
+  });
+};
+
+// List API keys
+const getAllApiKeys = catchAsync(async (req, res, next) => {
+  const query = {};
+  if (req.query.active === 'true') {
+    query.revokedAt = null;
+    query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  }
+
+  const apiKeys = await ApiKey.find(query)
+    .populate('createdBy', 'name email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: apiKeys.length,
+    data: {
+      apiKeys,
+      availableScopes: API_KEY_SCOPES
+    }
+  });
+});
+
+// Get API key by ID
+const getApiKey = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id)
+    .populate('createdBy revokedBy', 'name email');
+
+  if (!apiKey) {
+    return next(new AppError('No API key found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      apiKey
+    }
+  });
+});
+
+// Mint a new API key
+const createApiKey = catchAsync(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return next(new AppError('Please provide a name and at least one scope', 400));
+  }
+
+  const unknownScope = scopes.find(scope => !API_KEY_SCOPES[scope]);
+  if (unknownScope) {
+    return next(new AppError(`Unknown scope: ${unknownScope}`, 400));
+  }
+
+  const expiresAt = resolveExpiry(expiresInDays);
+  if (expiresAt === undefined) {
+    return next(new AppError('expiresInDays must be a positive number, or 0 for no expiry', 400));
+  }
+
+  const { key, keyHash, prefix } = ApiKey.generateKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    scopes: [...new Set(scopes)],
+    keyHash,
+    prefix,
+    expiresAt,
+    createdBy: req.user._id
+  });
+
+  sendNewKey(res, 201, apiKey, key);
+});
+
+// Rotate an API key: mint a replacement with the same name and scopes.
+// The old key keeps working for ?graceMinutes so partners can swap it over.
+const rotateApiKey = catchAsync(async (req, res, next) => {
+  const oldKey = await ApiKey.findById(req.params.id);
+
+  if (!oldKey || !oldKey.isActive) {
+    return next(new AppError('No active API key found with that ID', 404));
+  }
+
+  const graceMinutes = Math.max(Number(req.body.graceMinutes) || 0, 0);
+  const expiresAt = req.body.expiresInDays !== undefined
+    ? resolveExpiry(req.body.expiresInDays)
+    : oldKey.expiresAt;
+
+  if (expiresAt === undefined) {
+    return next(new AppError('expiresInDays must be a positive number, or 0 for no expiry', 400));
+  }
+
+  const { key, keyHash, prefix } = ApiKey.generateKey();
+
+  const newKey = await ApiKey.create({
+    name: oldKey.name,
+    scopes: oldKey.scopes,
+    keyHash,
+    prefix,
+    expiresAt,
+    createdBy: req.user._id,
+    rotatedFrom: oldKey._id
+  });
+
+  oldKey.rotatedTo = newKey._id;
+  if (graceMinutes > 0) {
+    const graceEnd = new Date(Date.now() + graceMinutes * 60 * 1000);
+    if (!oldKey.expiresAt || oldKey.expiresAt > graceEnd) {
+      oldKey.expiresAt = graceEnd;
+    }
+    await oldKey.save();
+  } else {
+    await oldKey.revoke(req.user._id);
+  }
+
+  sendNewKey(res, 201, newKey, key);
+});
+
+// Revoke an API key
+const revokeApiKey = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    return next(new AppError('No API key found with that ID', 404));
+  }
+
+  if (!apiKey.revokedAt) {
+    await apiKey.revoke(req.user._id);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'API key revoked successfully'
+  });
+});
+
+module.exports = {
+  getAllApiKeys,
+  getApiKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
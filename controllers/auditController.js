@@ -0,0 +1,98 @@
+// server/controllers/auditController.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+
+// Parse a ?from= / ?to= value, returning null when it isn't a valid date
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Query the audit log
+// Filters: actor (user id or email), action, entity (collection), entityId, from, to
+const getAuditLogs = catchAsync(async (req, res, next) => {
+  const { actor, action, entity, entityId, from, to } = req.query;
+
+  const query = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      query.actor = actor;
+    } else {
+      query.actorEmail = actor.toLowerCase();
+    }
+  }
+
+  if (action) query.action = action;
+  if (entity) query['entity.collectionName'] = entity.toLowerCase();
+
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return next(new AppError('Invalid entity ID', 400));
+    }
+    query['entity.id'] = entityId;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+
+    if (from) {
+      const fromDate = parseDate(from);
+      if (!fromDate) return next(new AppError('Invalid "from" date', 400));
+      query.createdAt.$gte = fromDate;
+    }
+
+    if (to) {
+      const toDate = parseDate(to);
+      if (!toDate) return next(new AppError('Invalid "to" date', 400));
+      query.createdAt.$lte = toDate;
+    }
+  }
+
+  // Pagination
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('actor', 'name email role')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    AuditLog.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: logs.length,
+    totalResults: total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: {
+      logs
+    }
+  });
+});
+
+// Get a single audit log entry
+const getAuditLog = catchAsync(async (req, res, next) => {
+  const log = await AuditLog.findById(req.params.id).populate('actor', 'name email role');
+
+  if (!log) {
+    return next(new AppError('No audit log entry found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      log
+    }
+  });
+});
+
+module.exports = {
+  getAuditLogs,
+  getAuditLog
+};
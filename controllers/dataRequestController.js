@@ -0,0 +1,414 @@
+// server/controllers/dataRequestController.js
+// Data subject access and erasure requests. Requesters confirm their email
+// before anything is looked up; staff can instead verify identity manually,
+// which also lets the phone number be searched. Every step is kept in the
+// request's history.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const DataSubjectRequest = require('../models/DataSubjectRequest');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const emailService = require('../utils/emailService');
+const {
+  findRecords,
+  countRecords,
+  buildExport,
+  buildExportZip,
+  eraseRecords
+} = require('../utils/dataSubjects');
+
+const REQUEST_TYPES = ['access', 'erasure'];
+const ERASURE_MODES = ['delete', 'anonymise'];
+// Channels staff record requests from; online requests come through submitDataRequest
+const OFFLINE_CHANNELS = ['email', 'phone', 'letter', 'in-person'];
+const MANUAL_VERIFICATION_METHODS = ['id-document', 'in-person', 'other'];
+const CLOSED_STATUSES = ['completed', 'rejected'];
+
+const verifyTokenTTLHours = () => parseInt(process.env.DATA_REQUEST_VERIFY_TTL_HOURS, 10) || 48;
+
+// The identifiers a verified request may be searched on
+const verifiedIdentity = (request) => ({
+  email: request.verification.identifiers.includes('email') ? request.subject.email : undefined,
+  phone: request.verification.identifiers.includes('phone') ? request.subject.phone : undefined
+});
+
+// Email the requester a link to confirm the request
+const sendVerificationLink = async (request, by) => {
+  const expiresInHours = verifyTokenTTLHours();
+  const token = request.createVerificationToken(expiresInHours);
+  request.logStep('verification-sent', { by, details: `Link sent to ${request.subject.email}` });
+  await request.save();
+
+  const verifyURL = `${process.env.FRONTEND_URL}/privacy/verify/${token}`;
+  await emailService.sendDataRequestVerification(request, verifyURL, expiresInHours);
+};
+
+// Validate and build a new request from the body
+const newRequest = (body) => {
+  const { type, name, email, phone, details } = body;
+
+  if (!REQUEST_TYPES.includes(type) || !email) {
+    return null;
+  }
+
+  return new DataSubjectRequest({
+    type,
+    subject: { name, email, phone },
+    details
+  });
+};
+
+const findRequest = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return DataSubjectRequest.findById(id);
+};
+
+// Submit an access or erasure request
+const submitDataRequest = catchAsync(async (req, res, next) => {
+  const request = newRequest(req.body);
+
+  if (!request) {
+    return next(new AppError('Please provide your email and a request type (access or erasure)', 400));
+  }
+
+  request.channel = 'web';
+  request.ipAddress = req.ip;
+  request.logStep('received', { details: 'Submitted online' });
+
+  try {
+    await sendVerificationLink(request);
+  } catch (error) {
+    console.error('Failed to send data request verification:', error);
+    return next(new AppError('There was an error sending the email. Try again later!', 500));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Please check your email and confirm your request. We cannot act on it until you do.',
+    data: {
+      reference: request.reference
+    }
+  });
+});
+
+// Confirm a request from the emailed link
+const verifyDataRequest = catchAsync(async (req, res, next) => {
+  const tokenHash = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const request = await DataSubjectRequest.findOne({
+    'verification.tokenHash': tokenHash,
+    'verification.tokenExpires': { $gt: new Date() },
+    status: 'pending-verification'
+  });
+
+  if (!request) {
+    return next(new AppError('This confirmation link is invalid or has expired', 400));
+  }
+
+  request.markVerified('email-link');
+  await request.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Thank you. Your request is confirmed and we will respond by email.',
+    data: {
+      reference: request.reference,
+      dueAt: request.dueAt
+    }
+  });
+});
+
+// List requests
+// Filters: status, type, email, overdue=true
+const getAllDataRequests = catchAsync(async (req, res, next) => {
+  const { status, type, email, overdue } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (email) query['subject.email'] = email.toLowerCase();
+  if (overdue === 'true') {
+    query.status = { $nin: CLOSED_STATUSES };
+    query.dueAt = { $lt: new Date() };
+  }
+
+  // Pagination
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const [requests, total] = await Promise.all([
+    DataSubjectRequest.find(query)
+      .select('-history -results')
+      .sort('dueAt')
+      .skip(skip)
+      .limit(limit),
+    DataSubjectRequest.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: requests.length,
+    totalResults: total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: {
+      requests
+    }
+  });
+});
+
+// Record a request received by email, phone, letter or in person
+const createDataRequest = catchAsync(async (req, res, next) => {
+  const request = newRequest(req.body);
+
+  if (!request || !OFFLINE_CHANNELS.includes(req.body.channel)) {
+    return next(new AppError(`Please provide the requester's email, a request type (access or erasure) and a channel (${OFFLINE_CHANNELS.join(', ')})`, 400));
+  }
+
+  request.channel = req.body.channel;
+  request.logStep('received', { by: req.user._id, details: `Received by ${req.body.channel}` });
+  await request.save();
+
+  // Staff may verify identity themselves instead (POST /:id/verify)
+  if (req.body.sendVerificationEmail !== false) {
+    try {
+      await sendVerificationLink(request, req.user._id);
+    } catch (error) {
+      console.error('Failed to send data request verification:', error);
+    }
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      request
+    }
+  });
+});
+
+// Get a request, with how many records it covers once verified
+const getDataRequest = catchAsync(async (req, res, next) => {
+  const request = await findRequest(req.params.id);
+
+  if (!request) {
+    return next(new AppError('No data request found with that ID', 404));
+  }
+
+  await request.populate('history.by verification.verifiedBy completedBy', 'name email');
+
+  let records = null;
+  if (request.status === 'verified') {
+    records = countRecords(await findRecords(verifiedIdentity(request)));
+    request.logStep('looked-up', { by: req.user._id, details: JSON.stringify(records) });
+    await request.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      request,
+      records
+    }
+  });
+});
+
+// Verify the requester's identity by other means (ID document, in person)
+const verifyDataRequestManually = catchAsync(async (req, res, next) => {
+  const { method, notes } = req.body;
+
+  if (!MANUAL_VERIFICATION_METHODS.includes(method) || !notes) {
+    return next(new AppError(`Please provide notes and a method (${MANUAL_VERIFICATION_METHODS.join(', ')})`, 400));
+  }
+
+  const request = await findRequest(req.params.id);
+
+  if (!request) {
+    return next(new AppError('No data request found with that ID', 404));
+  }
+
+  if (request.status !== 'pending-verification') {
+    return next(new AppError(`This request is already ${request.status}`, 409));
+  }
+
+  request.markVerified(method, { by: req.user._id, notes });
+  await request.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      request
+    }
+  });
+});
+
+// Download everything found for an access request (?format=zip for the archive)
+const exportDataRequest = catchAsync(async (req, res, next) => {
+  const request = await findRequest(req.params.id);
+
+  if (!request) {
+    return next(new AppError('No data request found with that ID', 404));
+  }
+
+  if (request.type !== 'access' || request.status !== 'verified') {
+    return next(new AppError('Only verified access requests can be exported', 409));
+  }
+
+  const found = await findRecords(verifiedIdentity(request));
+  const format = req.query.format === 'zip' ? 'zip' : 'json';
+
+  request.logStep('exported', { by: req.user._id, details: `Downloaded as ${format}: ${JSON.stringify(countRecords(found))}` });
+  await request.save();
+
+  if (format === 'zip') {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${request.reference}.zip"`);
+    return res.send(buildExportZip(request, found));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: buildExport(request, found)
+  });
+});
+
+// Fulfil an access request: email the requester their data
+const completeAccessRequest = catchAsync(async (req, res, next) => {
+  const request = await findRequest(req.params.id);
+
+  if (!request) {
+    return next(new AppError('No data request found with that ID', 404));
+  }
+
+  if (request.type !== 'access' || request.status !== 'verified') {
+    return next(new AppError('Only verified access requests can be completed here', 409));
+  }
+
+  const found = await findRecords(verifiedIdentity(request));
+
+  try {
+    await emailService.sendDataRequestCompleted(request, {
+      filename: `${request.reference}.zip`,
+      content: buildExportZip(request, found),
+      contentType: 'application/zip'
+    });
+  } catch (error) {
+    console.error('Failed to send data request export:', error);
+    return next(new AppError('There was an error sending the email. Try again later!', 500));
+  }
+
+  request.results = Object.entries(found).flatMap(([collectionName, list]) => list.map(record => ({
+    collectionName,
+    recordId: record._id,
+    action: 'exported'
+  })));
+  request.status = 'completed';
+  request.completedAt = new Date();
+  request.completedBy = req.user._id;
+  request.logStep('exported', { by: req.user._id, details: `Emailed to ${request.subject.email}: ${JSON.stringify(countRecords(found))}` });
+  request.logStep('completed', { by: req.user._id });
+  await request.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      request
+    }
+  });
+});
+
+// Fulfil an erasure request: delete or anonymise every record, then search
+// again to confirm nothing is left
+const eraseDataRequest = catchAsync(async (req, res, next) => {
+  const { mode } = req.body;
+
+  if (!ERASURE_MODES.includes(mode)) {
+    return next(new AppError(`Please choose a mode (${ERASURE_MODES.join(', ')})`, 400));
+  }
+
+  const request = await findRequest(req.params.id);
+
+  if (!request) {
+    return next(new AppError('No data request found with that ID', 404));
+  }
+
+  if (request.type !== 'erasure' || request.status !== 'verified') {
+    return next(new AppError('Only verified erasure requests can be erased', 409));
+  }
+
+  const identity = verifiedIdentity(request);
+  const results = await eraseRecords(await findRecords(identity), mode);
+
+  request.results = results;
+  request.erasureMode = mode;
+  request.logStep('erased', { by: req.user._id, details: `${results.length} records, mode ${mode}` });
+
+  const remaining = countRecords(await findRecords(identity));
+  const remainingTotal = Object.values(remaining).reduce((sum, count) => sum + count, 0);
+
+  if (remainingTotal > 0) {
+    await request.save();
+    return next(new AppError(`Records still match this request after erasure: ${JSON.stringify(remaining)}`, 500));
+  }
+
+  request.status = 'completed';
+  request.completedAt = new Date();
+  request.completedBy = req.user._id;
+  request.logStep('completed', { by: req.user._id, details: 'No matching records remain' });
+  await request.save();
+
+  emailService.sendDataRequestCompleted(request)
+    .catch(error => console.error('Data request completion email error:', error.message));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      request
+    }
+  });
+});
+
+// Reject a request (e.g. identity could not be verified)
+const rejectDataRequest = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return next(new AppError('Please provide a reason', 400));
+  }
+
+  const request = await findRequest(req.params.id);
+
+  if (!request) {
+    return next(new AppError('No data request found with that ID', 404));
+  }
+
+  if (CLOSED_STATUSES.includes(request.status)) {
+    return next(new AppError(`This request is already ${request.status}`, 409));
+  }
+
+  request.status = 'rejected';
+  request.rejectionReason = reason;
+  request.completedAt = new Date();
+  request.completedBy = req.user._id;
+  request.logStep('rejected', { by: req.user._id, details: reason });
+  await request.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      request
+    }
+  });
+});
+
+module.exports = {
+  submitDataRequest,
+  verifyDataRequest,
+  getAllDataRequests,
+  createDataRequest,
+  getDataRequest,
+  verifyDataRequestManually,
+  exportDataRequest,
+  completeAccessRequest,
+  eraseDataRequest,
+  rejectDataRequest
+};
@@ -0,0 +1,224 @@
+// server/controllers/eventCalendarController.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const moment = require('moment-timezone');
+const { buildCalendar } = require('../utils/icalBuilder');
+const { toRRule } = require('../utils/recurrence');
+const { siteUrl, eventUrl, requestUrl } = require('../utils/siteUrls');
+
+// Events that appear in calendars. Cancelled and postponed events stay in the
+// feed so subscribed calendars pick up STATUS:CANCELLED instead of a silent removal.
+const CALENDAR_STATUSES = ['published', 'completed', 'cancelled', 'postponed'];
+
+// How far back the subscribable feed reaches, and how many events it carries
+const FEED_PAST_DAYS = 90;
+const MAX_FEED_EVENTS = 500;
+
+// Suggested polling interval for subscribed calendars
+const REFRESH_MINUTES = 60;
+
+const UID_DOMAIN = (() => {
+  try {
+    return new URL(siteUrl('/')).hostname;
+  } catch {
+    return 'campaign2027';
+  }
+})();
+
+// Map comma-separated ?county= / ?type= values onto the schema's enum values (case-insensitive)
+const matchEnum = (value, enumValues) => {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean)
+    .map(item => enumValues.find(option => option.toLowerCase() === item))
+    .filter(Boolean);
+};
+
+// Shown in front of the title so the change is visible in calendar views
+const SUMMARY_PREFIXES = {
+  cancelled: 'CANCELLED: ',
+  postponed: 'POSTPONED: '
+};
+
+const eventUid = (id) => `event-${id}@${UID_DOMAIN}`;
+
+// Exception days as the start time of the occurrence they remove
+const exceptionStarts = (event) => {
+  const start = moment.tz(event.startDate, event.timezone);
+  return (event.exceptionDates || []).map(date => moment.tz(date, event.timezone)
+    .set({ hour: start.hour(), minute: start.minute(), second: start.second(), millisecond: 0 })
+    .toDate());
+};
+
+const toCalendarEvent = (event) => {
+  const venue = event.venue || {};
+  const location = [venue.name, venue.address, venue.constituency, venue.county, 'Kenya']
+    .filter(Boolean)
+    .join(', ');
+
+  const description = [
+    event.status === 'postponed' ? 'This event has been postponed. New dates will be announced.' : null,
+    event.shortDescription || event.description,
+    event.livestream && event.livestream.enabled && event.livestream.url
+      ? `Livestream: ${event.livestream.url}`
+      : null,
+    eventUrl(event)
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    uid: eventUid(event.recurrenceParent || event._id),
+    recurrenceId: event.recurrenceParent ? event.originalStartDate : undefined,
+    rrule: event.recurrence && event.recurrence.freq ? toRRule(event.recurrence) : undefined,
+    exdates: event.recurrence && event.recurrence.freq ? exceptionStarts(event) : undefined,
+    sequence: event.sequence,
+    status: ['cancelled', 'postponed'].includes(event.status) ? 'CANCELLED' : 'CONFIRMED',
+    summary: `${SUMMARY_PREFIXES[event.status] || ''}${event.title}`,
+    description,
+    location,
+    geo: venue.coordinates,
+    url: eventUrl(event),
+    start: event.startDate,
+    end: event.endDate,
+    allDay: event.allDay,
+    timezone: event.timezone,
+    categories: [event.type, event.category].filter(Boolean),
+    created: event.createdAt,
+    lastModified: event.updatedAt
+  };
+};
+
+// Set caching headers and answer conditional requests; returns true when a 304 was sent
+const sendIfModified = (req, res, events, variant) => {
+  const lastModified = events.reduce((latest, event) => {
+    const updated = new Date(event.updatedAt || event.createdAt || 0);
+    return updated > latest ? updated : latest;
+  }, new Date(0));
+
+  const fingerprint = events
+    .map(event => `${event._id}:${event.sequence || 0}:${new Date(event.updatedAt).getTime()}`)
+    .join(',');
+  const etag = `W/"${crypto.createHash('sha1').update(`${variant}|${fingerprint}`).digest('hex')}"`;
+
+  res.set({
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString(),
+    'Cache-Control': 'public, max-age=300'
+  });
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+// @desc    Subscribable calendar of public events (?county=Nairobi,Mombasa&type=rally)
+// @route   GET /api/events/calendar.ics
+// @access  Public
+const getCalendarFeed = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const query = {
+      status: { $in: CALENDAR_STATUSES },
+      visibility: 'public',
+      // Recurring series stay in the feed until their last occurrence
+      $or: [
+        { endDate: { $gte: since } },
+        { 'recurrence.freq': { $ne: null }, 'recurrence.until': null },
+        { 'recurrence.freq': { $ne: null }, 'recurrence.until': { $gte: since } }
+      ]
+    };
+
+    const counties = matchEnum(req.query.county, Event.schema.path('venue.county').enumValues);
+    const types = matchEnum(req.query.type, Event.schema.path('type').enumValues);
+
+    if (req.query.county && counties.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown county'
+      });
+    }
+    if (req.query.type && types.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown event type. Use one of: ${Event.schema.path('type').enumValues.join(', ')}`
+      });
+    }
+
+    if (counties.length > 0) query['venue.county'] = { $in: counties };
+    if (types.length > 0) query.type = { $in: types };
+
+    const events = await Event.find(query)
+      .sort({ startDate: 1 })
+      .limit(MAX_FEED_EVENTS)
+      .lean();
+
+    if (sendIfModified(req, res, events, `feed|${counties.join(',')}|${types.join(',')}`)) return;
+
+    const scope = [counties.join(', '), types.join(', ')].filter(Boolean).join(' · ');
+    const calendar = {
+      name: scope ? `2027 Campaign Events: ${scope}` : '2027 Campaign Events',
+      description: 'Rallies, town halls and community events from the 2027 campaign',
+      url: requestUrl(req),
+      refreshMinutes: REFRESH_MINUTES
+    };
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="campaign-events.ics"');
+    res.send(buildCalendar(calendar, events.map(toCalendarEvent)));
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar'
+    });
+  }
+};
+
+// @desc    Single event as an .ics file (by id or slug)
+// @route   GET /api/events/:id/calendar.ics
+// @access  Public
+const getEventCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const lookup = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { slug: id.toLowerCase() };
+
+    const event = await Event.findOne({
+      ...lookup,
+      status: { $in: CALENDAR_STATUSES },
+      visibility: { $ne: 'private' }
+    }).lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (sendIfModified(req, res, [event], 'event')) return;
+
+    const calendar = {
+      name: event.title,
+      timezone: event.timezone,
+      url: eventUrl(event)
+    };
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${event.slug || event._id}.ics"`);
+    res.send(buildCalendar(calendar, [toCalendarEvent(event)]));
+  } catch (error) {
+    console.error('Get event calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar'
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  getEventCalendar
+};
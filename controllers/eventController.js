@@ -1,8 +1,93 @@
 const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
 const { validationResult } = require('express-validator');
 const emailService = require('../utils/emailService');
 
-// @desc    Get all events
+// Recurring series are expanded into occurrences inside the requested window,
+// or this many days ahead when no window is given
+const DEFAULT_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const compareBy = (field, direction) => (a, b) => {
+  if (a[field] === b[field]) return 0;
+  if (a[field] === undefined || a[field] === null) return 1;
+  if (b[field] === undefined || b[field] === null) return -1;
+  return (a[field] > b[field] ? 1 : -1) * direction;
+};
+
+// Helper function to parse a recurrence rule sent as an object or a JSON string
+// ({ freq, interval, byDay, until, count }). Empty values clear the rule.
+const parseRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+
+  let rule = recurrence;
+  if (typeof recurrence === 'string') {
+    try {
+      rule = JSON.parse(recurrence);
+    } catch {
+      throw new Error('Recurrence must be valid JSON');
+    }
+  }
+  if (!rule || !rule.freq) return null;
+
+  return {
+    freq: String(rule.freq).toLowerCase(),
+    interval: rule.interval ? parseInt(rule.interval) : 1,
+    byDay: typeof rule.byDay === 'string'
+      ? rule.byDay.split(',').map(day => day.trim().toUpperCase())
+      : (rule.byDay || []).map(day => String(day).toUpperCase()),
+    until: rule.until ? new Date(rule.until) : undefined,
+    count: rule.count ? parseInt(rule.count) : undefined
+  };
+};
+
+// Helper function to parse dates sent as an array or a comma-separated string
+const parseDates = (dates) => {
+  if (dates === undefined || dates === null || dates === '') return null;
+  const list = Array.isArray(dates) ? dates : String(dates).split(',');
+  return list.map(date => new Date(String(date).trim()));
+};
+
+// Find events matching `query`, with recurring series expanded into their
+// occurrences between `from` and `to`. Single events are filtered by the query
+// (including any startDate condition); series only by their other conditions.
+// Returns one page of the merged, sorted list and the overall total.
+const findWithOccurrences = async (query, { from, to, sortField = 'startDate', direction = 1, skip = 0, limit = 20 }) => {
+  const seriesConditions = { ...query };
+  delete seriesConditions.startDate;
+
+  const [total, singles, series] = await Promise.all([
+    Event.countDocuments({ ...query, 'recurrence.freq': null }),
+    Event.find({ ...query, 'recurrence.freq': null })
+      .sort({ [sortField]: direction })
+      .limit(skip + limit)
+      .lean(),
+    Event.find({
+      $and: [
+        seriesConditions,
+        { 'recurrence.freq': { $ne: null } },
+        { startDate: { $lte: to } },
+        { $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: from } }] }
+      ]
+    }).lean()
+  ]);
+
+  const occurrences = (await Event.expandSeries(series, { from, to }))
+    .filter(occurrence => (!query.startDate || (
+      (!query.startDate.$gte || occurrence.startDate >= query.startDate.$gte) &&
+      (!query.startDate.$lt || occurrence.startDate < query.startDate.$lt) &&
+      (!query.startDate.$lte || occurrence.startDate <= query.startDate.$lte)
+    )));
+
+  const events = [...singles, ...occurrences]
+    .sort(compareBy(sortField, direction))
+    .slice(skip, skip + limit);
+
+  return { events, total: total + occurrences.length };
+};
+
+// @desc    Get all events (?startDate=&endDate= set the window recurring events are expanded in)
 // @route   GET /api/events
 // @access  Public
 const getAllEvents = async (req, res) => {
@@ -17,12 +102,12 @@ const getAllEvents = async (req, res) => {
       search,
       startDate,
       endDate,
-      sortBy = 'date',
+      sortBy = 'startDate',
       order = 'asc'
     } = req.query;
 
     // Build query
-    const query = { published: true };
+    const query = { status: 'published' };
     
     if (category && category !== 'all') {
       query.category = category;
@@ -30,14 +115,14 @@ const getAllEvents = async (req, res) => {
     
     if (location) {
       query.$or = [
-        { 'location.county': { $regex: location, $options: 'i' } },
-        { 'location.constituency': { $regex: location, $options: 'i' } },
-        { 'location.venue': { $regex: location, $options: 'i' } }
+        { 'venue.county': { $regex: location, $options: 'i' } },
+        { 'venue.constituency': { $regex: location, $options: 'i' } },
+        { 'venue.name': { $regex: location, $options: 'i' } }
       ];
     }
     
     if (upcoming === 'true') {
-      query.date = { $gte: new Date() };
+      query.startDate = { $gte: new Date() };
     }
     
     if (featured === 'true') {
@@ -48,31 +133,31 @@ const getAllEvents = async (req, res) => {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
         { description: { $regex: search, $options: 'i' } },
-        { 'location.venue': { $regex: search, $options: 'i' } }
+        { 'venue.name': { $regex: search, $options: 'i' } }
       ];
     }
     
     if (startDate || endDate) {
-      if (!query.date) query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+      if (!query.startDate) query.startDate = {};
+      if (startDate) query.startDate.$gte = new Date(startDate);
+      if (endDate) query.startDate.$lte = new Date(endDate);
     }
 
+    // Window for expanding recurring events
+    const from = query.startDate?.$gte || new Date();
+    const to = query.startDate?.$lte || new Date(from.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const total = await Event.countDocuments(query);
-    
-    // Build sort object
-    const sortObj = {};
-    sortObj[sortBy] = order === 'desc' ? -1 : 1;
-    
-    // Fetch events
-    const events = await Event.find(query)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('createdBy', 'name email')
-      .lean();
+
+    const { events, total } = await findWithOccurrences(query, {
+      from,
+      to,
+      sortField: sortBy === 'date' ? 'startDate' : sortBy,
+      direction: order === 'desc' ? -1 : 1,
+      skip,
+      limit: parseInt(limit)
+    });
 
     // Calculate pagination info
     const totalPages = Math.ceil(total / parseInt(limit));
@@ -150,6 +235,51 @@ const getEventById = async (req, res) => {
   }
 };
 
+// @desc    Get single public event by slug (old slugs redirect to the current one)
+// @route   GET /api/events/slug/:slug
+// @access  Public
+const getEventBySlug = async (req, res) => {
+  try {
+    const { doc: event, redirect } = await Event.findBySlug(req.params.slug, {
+      status: { $in: ['published', 'completed', 'cancelled', 'postponed'] },
+      visibility: 'public'
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (redirect) {
+      const location = `${req.baseUrl}/slug/${event.slug}`;
+      return res.status(301).location(location).json({
+        success: true,
+        redirect: true,
+        slug: event.slug,
+        location
+      });
+    }
+
+    // Increment view count
+    await Event.findByIdAndUpdate(event._id, {
+      $inc: { views: 1 }
+    });
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Get event by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching event'
+    });
+  }
+};
+
 // @desc    Create new event
 // @route   POST /api/events
 // @access  Private (Admin only)
@@ -175,6 +305,10 @@ const createEvent = async (req, res) => {
       capacity,
       requiresRegistration,
       registrationDeadline,
+      maxAttendees,
+      waitlistEnabled,
+      recurrence,
+      exceptionDates,
       isVirtual,
       virtualLink,
       agenda,
@@ -186,6 +320,16 @@ const createEvent = async (req, res) => {
       contactInfo
     } = req.body;
 
+    let recurrenceRule;
+    try {
+      recurrenceRule = parseRecurrence(recurrence);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
     // Create event
     const event = new Event({
       title,
@@ -203,6 +347,10 @@ const createEvent = async (req, res) => {
       capacity: capacity || null,
       requiresRegistration: requiresRegistration === 'true',
       registrationDeadline: registrationDeadline ? new Date(registrationDeadline) : null,
+      maxAttendees: maxAttendees ? parseInt(maxAttendees) : null,
+      waitlistEnabled: waitlistEnabled === 'true' || waitlistEnabled === true,
+      recurrence: recurrenceRule || undefined,
+      exceptionDates: parseDates(exceptionDates) || [],
       isVirtual: isVirtual === 'true',
       virtualLink: virtualLink || '',
       agenda: agenda || [],
@@ -227,6 +375,14 @@ const createEvent = async (req, res) => {
     });
   } catch (error) {
     console.error('Create event error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join('. ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while creating event'
@@ -268,6 +424,10 @@ const updateEvent = async (req, res) => {
       capacity,
       requiresRegistration,
       registrationDeadline,
+      maxAttendees,
+      waitlistEnabled,
+      recurrence,
+      exceptionDates,
       isVirtual,
       virtualLink,
       agenda,
@@ -275,10 +435,21 @@ const updateEvent = async (req, res) => {
       tags,
       featured,
       published,
+      status,
       ticketPrice,
       contactInfo
     } = req.body;
 
+    let recurrenceRule;
+    try {
+      recurrenceRule = parseRecurrence(recurrence);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
     // Update fields
     event.title = title || event.title;
     event.description = description || event.description;
@@ -300,6 +471,10 @@ const updateEvent = async (req, res) => {
     event.capacity = capacity || event.capacity;
     event.requiresRegistration = requiresRegistration !== undefined ? requiresRegistration === 'true' : event.requiresRegistration;
     event.registrationDeadline = registrationDeadline ? new Date(registrationDeadline) : event.registrationDeadline;
+    event.maxAttendees = maxAttendees !== undefined ? (parseInt(maxAttendees) || null) : event.maxAttendees;
+    event.waitlistEnabled = waitlistEnabled !== undefined ? String(waitlistEnabled) === 'true' : event.waitlistEnabled;
+    if (recurrence !== undefined) event.recurrence = recurrenceRule || undefined;
+    if (exceptionDates !== undefined) event.exceptionDates = parseDates(exceptionDates) || [];
     event.isVirtual = isVirtual !== undefined ? isVirtual === 'true' : event.isVirtual;
     event.virtualLink = virtualLink || event.virtualLink;
     event.agenda = agenda || event.agenda;
@@ -307,11 +482,21 @@ const updateEvent = async (req, res) => {
     event.tags = tags ? tags.split(',').map(tag => tag.trim()) : event.tags;
     event.featured = featured !== undefined ? featured === 'true' : event.featured;
     event.published = published !== undefined ? published === 'true' : event.published;
+    // Cancelling or postponing notifies registrants via the event reminders job
+    event.status = status || event.status;
     event.ticketPrice = ticketPrice || event.ticketPrice;
     event.contactInfo = contactInfo || event.contactInfo;
     event.updatedAt = new Date();
 
     await event.save();
+
+    // Raised capacity (or removed limit) frees seats for the waitlist
+    const promoted = await EventRegistration.promoteWaitlist(event._id);
+    promoted.forEach(registration => {
+      emailService.sendEventRegistration(event, registration, { promoted: true })
+        .catch(error => console.error('Waitlist promotion email error:', error.message));
+    });
+
     await event.populate('createdBy', 'name email');
 
     res.json({
@@ -321,6 +506,13 @@ const updateEvent = async (req, res) => {
     });
     } catch (error) {
     console.error('Update event error:', error);
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join('. ')
+        });
+    }
     
     if (error.name === 'CastError') {
         return res.status(404).json({
@@ -336,6 +528,91 @@ const updateEvent = async (req, res) => {
     }
 };
 
+// Fields an occurrence override can change; everything else is copied from the series
+const OCCURRENCE_FIELDS = [
+  'title', 'description', 'shortDescription', 'startDate', 'endDate', 'allDay', 'venue',
+  'status', 'visibility', 'speakers', 'featuredImage', 'livestream', 'requiresRegistration',
+  'registrationDeadline', 'maxAttendees', 'waitlistEnabled', 'tags'
+];
+
+// @desc    Edit a single occurrence of a recurring event. The occurrence is detached
+//          from the series as an override event; the rest of the series is unchanged.
+// @route   PUT /api/events/:id/occurrences/:date   (date: YYYY-MM-DD in the event's timezone)
+// @access  Private (events:write)
+const updateOccurrence = async (req, res) => {
+  try {
+    const series = await Event.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!series.isRecurring) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event does not recur. Update it directly instead'
+      });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const override = await Event.occurrenceOn(series, req.params.date);
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'The event has no occurrence on that date'
+      });
+    }
+
+    OCCURRENCE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        override.set(field, ['startDate', 'endDate', 'registrationDeadline'].includes(field)
+          ? new Date(req.body[field])
+          : req.body[field]);
+      });
+
+    const created = override.isNew;
+    await override.save();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Occurrence detached from the series' : 'Occurrence updated successfully',
+      data: override
+    });
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join('. ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating occurrence'
+    });
+  }
+};
+
 // @desc    Delete event
 // @route   DELETE /api/events/:id
 // @access  Private (Admin only)
@@ -384,27 +661,28 @@ const deleteEvent = async (req, res) => {
     }
 };
 
-// @desc    Get upcoming events
+// @desc    Get upcoming events (?days= sets how far ahead recurring events are expanded)
 // @route   GET /api/events/upcoming
 // @access  Public
 const getUpcomingEvents = async (req, res) => {
     try {
-    const { limit = 10, category } = req.query;
+    const { limit = 10, category, days = DEFAULT_WINDOW_DAYS } = req.query;
 
+    const now = new Date();
     const query = {
-        date: { $gte: new Date() },
-        published: true
+        startDate: { $gte: now },
+        status: 'published'
     };
 
     if (category && category !== 'all') {
         query.category = category;
     }
 
-    const events = await Event.find(query)
-        .sort({ date: 1 })
-        .limit(parseInt(limit))
-        .populate('createdBy', 'name email')
-        .lean();
+    const { events } = await findWithOccurrences(query, {
+        from: now,
+        to: new Date(now.getTime() + parseInt(days) * DAY_MS),
+        limit: parseInt(limit)
+    });
 
     res.json({
         success: true,
@@ -420,27 +698,29 @@ const getUpcomingEvents = async (req, res) => {
     }
 };
 
-// @desc    Get past events
+// @desc    Get past events (?days= sets how far back recurring events are expanded)
 // @route   GET /api/events/past
 // @access  Public
 const getPastEvents = async (req, res) => {
     try {
-    const { limit = 10, category } = req.query;
+    const { limit = 10, category, days = DEFAULT_WINDOW_DAYS } = req.query;
 
+    const now = new Date();
     const query = {
-        date: { $lt: new Date() },
-        published: true
+        startDate: { $lt: now },
+        status: { $in: ['published', 'completed'] }
     };
 
     if (category && category !== 'all') {
         query.category = category;
     }
 
-    const events = await Event.find(query)
-        .sort({ date: -1 })
-        .limit(parseInt(limit))
-        .populate('createdBy', 'name email')
-        .lean();
+    const { events } = await findWithOccurrences(query, {
+        from: new Date(now.getTime() - parseInt(days) * DAY_MS),
+        to: now,
+        direction: -1,
+        limit: parseInt(limit)
+    });
 
     res.json({
         success: true,
@@ -456,6 +736,83 @@ const getPastEvents = async (req, res) => {
     }
 };
 
+// Nearby search radius in km: default and upper bound
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// @desc    Upcoming public events near a point, nearest first (?lat=&lng=&radiusKm=&type=&limit=)
+// @route   GET /api/events/nearby
+// @access  Public
+const getNearbyEvents = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid lat and lng query parameters'
+      });
+    }
+
+    const radiusKm = Math.min(parseFloat(req.query.radiusKm) || DEFAULT_RADIUS_KM, MAX_RADIUS_KM);
+    if (radiusKm < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'radiusKm must be a positive number'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const now = new Date();
+
+    const filter = {
+      status: 'published',
+      visibility: 'public',
+      $or: [
+        { endDate: { $gte: now } },
+        { 'recurrence.freq': { $ne: null }, 'recurrence.until': null },
+        { 'recurrence.freq': { $ne: null }, 'recurrence.until': { $gte: now } }
+      ]
+    };
+
+    if (req.query.type && req.query.type !== 'all') {
+      filter.type = req.query.type;
+    }
+
+    const nearby = await Event.findNear({ lat, lng }, { radiusKm, filter, limit });
+
+    // Show recurring series by their next occurrence, and drop those with none left
+    const series = nearby.filter(event => event.recurrence && event.recurrence.freq);
+    const occurrences = await Event.expandSeries(series, {
+      from: now,
+      to: new Date(now.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS)
+    });
+
+    const events = nearby
+      .map(event => {
+        if (!event.recurrence || !event.recurrence.freq) return event;
+        const next = occurrences.find(occurrence => String(occurrence.seriesId) === String(event._id));
+        return next ? { ...next, distanceKm: event.distanceKm } : null;
+      })
+      .filter(Boolean)
+      .map(event => ({ ...event, distanceKm: Math.round(event.distanceKm * 10) / 10 }));
+
+    res.json({
+      success: true,
+      count: events.length,
+      radiusKm,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get nearby events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching nearby events'
+    });
+  }
+};
+
 // @desc    Get featured events
 // @route   GET /api/events/featured
 // @access  Public
@@ -607,11 +964,14 @@ const getEventStats = async (req, res) => {
 module.exports = {
   getAllEvents,
   getEventById,
+  getEventBySlug,
   createEvent,
   updateEvent,
+  updateOccurrence,
   deleteEvent,
   getUpcomingEvents,
   getPastEvents,
+  getNearbyEvents,
   getFeaturedEvents,
   getEventCategories,
   getEventStats
@@ -0,0 +1,416 @@
+// server/controllers/eventRegistrationController.js
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const emailService = require('../utils/emailService');
+
+// What a registrant sees about their own registration
+const publicRegistration = (registration) => ({
+  // For a recurring event, the occurrence registered for
+  event: registration.event,
+  code: registration.code,
+  qrPayload: registration.qrPayload,
+  name: registration.name,
+  email: registration.email,
+  status: registration.status,
+  checkedInAt: registration.checkedInAt,
+  createdAt: registration.createdAt
+});
+
+const sendRegistrationEmail = (event, registration, options) => {
+  emailService.sendEventRegistration(event, registration, options)
+    .catch(error => console.error('Event registration email error:', error.message));
+};
+
+const notFound = (res, message = 'Event not found') => {
+  return res.status(404).json({
+    success: false,
+    message
+  });
+};
+
+// Helper function to get the occurrence of a series someone registers for,
+// detaching it as an override event so it has its own seats and attendee list.
+// Resolves to null when the series has no occurrence on that date.
+const findOccurrence = async (seriesId, date) => {
+  const series = await Event.findById(seriesId);
+  const occurrence = await Event.occurrenceOn(series, date);
+  if (!occurrence || !occurrence.isNew) return occurrence;
+
+  try {
+    await occurrence.save();
+    return occurrence;
+  } catch (error) {
+    // Detached by a concurrent registration
+    if (error.code === 11000) return Event.occurrenceOn(series, date);
+    throw error;
+  }
+};
+
+// @desc    Register for an event (joins the waitlist when full and the waitlist is enabled).
+//          A recurring event takes `occurrenceDate` (YYYY-MM-DD in the event's timezone).
+// @route   POST /api/events/:id/register
+// @access  Public
+const registerForEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return notFound(res);
+
+    let event = await Event.findOne({ _id: req.params.id, status: 'published' }).lean();
+    if (!event) return notFound(res);
+
+    if (event.recurrence && event.recurrence.freq) {
+      if (!req.body.occurrenceDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'This event repeats. Please choose the date you want to attend'
+        });
+      }
+
+      const occurrence = await findOccurrence(event._id, req.body.occurrenceDate);
+      if (!occurrence) return notFound(res, 'The event has no occurrence on that date');
+
+      if (occurrence.status !== 'published') {
+        return res.status(400).json({
+          success: false,
+          message: `This occurrence of the event is ${occurrence.status}`
+        });
+      }
+      event = occurrence.toObject();
+    }
+
+    const now = new Date();
+    if (event.endDate && new Date(event.endDate) < now) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has already ended'
+      });
+    }
+    if (event.registrationDeadline && new Date(event.registrationDeadline) < now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration for this event has closed'
+      });
+    }
+
+    const { name, email, phone, specialRequests } = req.body;
+
+    const existing = await EventRegistration.findOne({ event: event._id, email: String(email).toLowerCase() });
+    if (existing && existing.status !== 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already registered for this event'
+      });
+    }
+
+    const seat = await Event.reserveSeat(event._id);
+
+    if (!seat && !event.waitlistEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'This event is fully booked'
+      });
+    }
+
+    // Someone who cancelled earlier registers again with the same email
+    const registration = existing || new EventRegistration({ event: event._id });
+    registration.set({
+      name,
+      email,
+      phone,
+      specialRequests,
+      code: await EventRegistration.generateCode(),
+      status: seat ? 'confirmed' : 'waitlisted',
+      waitlistedAt: seat ? undefined : now,
+      promotedAt: undefined,
+      cancelledAt: undefined,
+      checkedInAt: undefined,
+      checkedInBy: undefined,
+      ipAddress: req.ip
+    });
+
+    try {
+      await registration.save();
+    } catch (error) {
+      if (seat) await Event.releaseSeat(event._id);
+      throw error;
+    }
+
+    await Event.findByIdAndUpdate(event._id, { $inc: { registrations: 1 } });
+
+    sendRegistrationEmail(event, registration);
+
+    res.status(201).json({
+      success: true,
+      message: seat
+        ? 'Registration confirmed'
+        : 'The event is full. You have been added to the waitlist',
+      data: {
+        ...publicRegistration(registration),
+        waitlistPosition: seat ? undefined : await EventRegistration.waitlistPosition(registration)
+      }
+    });
+  } catch (error) {
+    console.error('Register for event error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already registered for this event'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join('. ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering for event'
+    });
+  }
+};
+
+// @desc    Look up a registration by its code
+// @route   GET /api/events/:id/register/:code
+// @access  Public (the code is the registrant's credential)
+const getRegistration = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findOne({
+      event: req.params.id,
+      code: EventRegistration.parseCode(req.params.code).code
+    });
+
+    if (!registration) return notFound(res, 'Registration not found');
+
+    res.json({
+      success: true,
+      data: {
+        ...publicRegistration(registration),
+        waitlistPosition: registration.status === 'waitlisted'
+          ? await EventRegistration.waitlistPosition(registration)
+          : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Get registration error:', error);
+
+    if (error.name === 'CastError') return notFound(res, 'Registration not found');
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching registration'
+    });
+  }
+};
+
+// @desc    Cancel a registration; the freed seat goes to the next person on the waitlist
+// @route   DELETE /api/events/:id/register/:code
+// @access  Public (the code is the registrant's credential)
+const cancelRegistration = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findOneAndUpdate(
+      {
+        event: req.params.id,
+        code: EventRegistration.parseCode(req.params.code).code,
+        status: { $in: ['confirmed', 'waitlisted'] },
+        checkedInAt: null
+      },
+      { status: 'cancelled', cancelledAt: new Date() }
+    );
+
+    if (!registration) {
+      return notFound(res, 'No active registration found for this code');
+    }
+
+    // findOneAndUpdate returned the registration as it was before cancelling
+    if (registration.status === 'confirmed') {
+      await Event.releaseSeat(registration.event);
+
+      const promoted = await EventRegistration.promoteWaitlist(registration.event);
+      if (promoted.length > 0) {
+        const event = await Event.findById(registration.event).lean();
+        promoted.forEach(promotedRegistration => {
+          sendRegistrationEmail(event, promotedRegistration, { promoted: true });
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Registration cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel registration error:', error);
+
+    if (error.name === 'CastError') return notFound(res, 'Registration not found');
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling registration'
+    });
+  }
+};
+
+// @desc    List an event's registrations
+// @route   GET /api/events/:id/attendees
+// @access  Private (events:read)
+const getEventAttendees = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, checkedIn, search } = req.query;
+
+    const event = await Event.findById(req.params.id)
+      .select('title startDate maxAttendees currentAttendees waitlistEnabled actualAttendance')
+      .lean();
+    if (!event) return notFound(res);
+
+    const query = { event: event._id };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (checkedIn === 'true') {
+      query.checkedInAt = { $ne: null };
+    } else if (checkedIn === 'false') {
+      query.checkedInAt = null;
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { code: search.toUpperCase() }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [total, attendees, statusCounts, checkedInCount] = await Promise.all([
+      EventRegistration.countDocuments(query),
+      EventRegistration.find(query)
+        .sort({ status: 1, waitlistedAt: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('checkedInBy', 'name email'),
+      EventRegistration.aggregate([
+        { $match: { event: event._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      EventRegistration.countDocuments({ event: event._id, checkedInAt: { $ne: null } })
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: attendees,
+      summary: {
+        event,
+        confirmed: 0,
+        waitlisted: 0,
+        cancelled: 0,
+        ...Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+        checkedIn: checkedInCount
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get event attendees error:', error);
+
+    if (error.name === 'CastError') return notFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attendees'
+    });
+  }
+};
+
+// @desc    Check in a registrant by typed code or scanned QR payload
+// @route   POST /api/events/:id/checkin
+// @access  Private (events:write)
+const checkInToEvent = async (req, res) => {
+  try {
+    const { eventId, code } = EventRegistration.parseCode(req.body.code || req.body.qrPayload);
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a registration code'
+      });
+    }
+
+    if (eventId && eventId !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'This registration is for a different event'
+      });
+    }
+
+    const registration = await EventRegistration.findOneAndUpdate(
+      { event: req.params.id, code, status: 'confirmed', checkedInAt: null },
+      { checkedInAt: new Date(), checkedInBy: req.user.id },
+      { new: true }
+    );
+
+    if (!registration) {
+      const existing = await EventRegistration.findOne({ event: req.params.id, code }).lean();
+
+      if (!existing) return notFound(res, 'Registration not found');
+
+      return res.status(409).json({
+        success: false,
+        message: existing.checkedInAt
+          ? 'This registration has already been checked in'
+          : `This registration is ${existing.status}`,
+        data: {
+          name: existing.name,
+          status: existing.status,
+          checkedInAt: existing.checkedInAt
+        }
+      });
+    }
+
+    const event = await Event.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { actualAttendance: 1 } },
+      { new: true }
+    ).select('actualAttendance currentAttendees');
+
+    res.json({
+      success: true,
+      message: `${registration.name} checked in`,
+      data: {
+        registration: publicRegistration(registration),
+        actualAttendance: event ? event.actualAttendance : undefined,
+        currentAttendees: event ? event.currentAttendees : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Check in to event error:', error);
+
+    if (error.name === 'CastError') return notFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking in'
+    });
+  }
+};
+
+module.exports = {
+  registerForEvent,
+  getRegistration,
+  cancelRegistration,
+  getEventAttendees,
+  checkInToEvent
+};
@@ -0,0 +1,162 @@
+// server/controllers/partnerController.js
+// Read-only feeds for partner sites and the SMS bridge, behind scoped API keys
+// (see apiKeyAuth). Unlike the public endpoints they include scheduled
+// (embargoed) press releases and cancelled or postponed events, and take
+// ?updatedSince= so partners can sync only what changed.
+const Press = require('../models/Press');
+const Event = require('../models/Event');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { toRRule } = require('../utils/recurrence');
+
+const MAX_LIMIT = 100;
+
+const PARTNER_PRESS_STATUSES = ['scheduled', 'published'];
+const PARTNER_EVENT_STATUSES = ['published', 'postponed', 'cancelled', 'completed'];
+
+// Editorial and analytics fields partners don't get
+const PRESS_HIDDEN_FIELDS = '-workflowHistory -notifySubscribers -notificationSentAt -views -downloads -shares -__v';
+const EVENT_HIDDEN_FIELDS = '-rsvps -views -__v';
+
+// Shared ?page=&limit=&updatedSince= handling
+const listOptions = (req, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+  const query = {};
+
+  if (req.query.updatedSince) {
+    const since = new Date(req.query.updatedSince);
+    if (Number.isNaN(since.getTime())) {
+      next(new AppError('updatedSince must be a date', 400));
+      return null;
+    }
+    query.updatedAt = { $gte: since };
+  }
+
+  return { page, limit, query };
+};
+
+const sendPage = (res, { page, limit }, total, key, items) => {
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: { [key]: items }
+  });
+};
+
+// Recurring events carry their rule as an RRULE too, for calendar-aware partners
+const withRRule = (event) => ({
+  ...event,
+  rrule: event.recurrence && event.recurrence.freq ? toRRule(event.recurrence) : undefined
+});
+
+// List published and scheduled press releases (?status=published|scheduled)
+const getPartnerPress = catchAsync(async (req, res, next) => {
+  const options = listOptions(req, next);
+  if (!options) return;
+
+  const { status } = req.query;
+  if (status && !PARTNER_PRESS_STATUSES.includes(status)) {
+    return next(new AppError(`status must be one of: ${PARTNER_PRESS_STATUSES.join(', ')}`, 400));
+  }
+
+  const query = { ...options.query, status: status || { $in: PARTNER_PRESS_STATUSES } };
+
+  const [total, pressReleases] = await Promise.all([
+    Press.countDocuments(query),
+    Press.find(query)
+      .select(PRESS_HIDDEN_FIELDS)
+      .sort({ publishDate: -1, createdAt: -1 })
+      .skip((options.page - 1) * options.limit)
+      .limit(options.limit)
+      .lean()
+  ]);
+
+  sendPage(res, options, total, 'pressReleases', pressReleases);
+});
+
+// Get a published or scheduled press release
+const getPartnerPressRelease = catchAsync(async (req, res, next) => {
+  const pressRelease = await Press.findOne({ _id: req.params.id, status: { $in: PARTNER_PRESS_STATUSES } })
+    .select(PRESS_HIDDEN_FIELDS)
+    .lean();
+
+  if (!pressRelease) {
+    return next(new AppError('No press release found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { pressRelease }
+  });
+});
+
+// List public events, recurring series as one record with their rule (?status=&upcoming=true)
+const getPartnerEvents = catchAsync(async (req, res, next) => {
+  const options = listOptions(req, next);
+  if (!options) return;
+
+  const { status, upcoming } = req.query;
+  if (status && !PARTNER_EVENT_STATUSES.includes(status)) {
+    return next(new AppError(`status must be one of: ${PARTNER_EVENT_STATUSES.join(', ')}`, 400));
+  }
+
+  const query = {
+    ...options.query,
+    visibility: 'public',
+    status: status || { $in: PARTNER_EVENT_STATUSES }
+  };
+
+  // A series is upcoming while it has occurrences left
+  if (upcoming === 'true') {
+    const now = new Date();
+    query.$or = [
+      { 'recurrence.freq': null, endDate: { $gte: now } },
+      { 'recurrence.freq': { $ne: null }, $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: now } }] }
+    ];
+  }
+
+  const [total, events] = await Promise.all([
+    Event.countDocuments(query),
+    Event.find(query)
+      .select(EVENT_HIDDEN_FIELDS)
+      .sort({ startDate: 1 })
+      .skip((options.page - 1) * options.limit)
+      .limit(options.limit)
+      .lean()
+  ]);
+
+  sendPage(res, options, total, 'events', events.map(withRRule));
+});
+
+// Get a public event
+const getPartnerEvent = catchAsync(async (req, res, next) => {
+  const event = await Event.findOne({
+    _id: req.params.id,
+    visibility: 'public',
+    status: { $in: PARTNER_EVENT_STATUSES }
+  })
+    .select(EVENT_HIDDEN_FIELDS)
+    .lean();
+
+  if (!event) {
+    return next(new AppError('No event found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { event: withRRule(event) }
+  });
+});
+
+module.exports = {
+  getPartnerPress,
+  getPartnerPressRelease,
+  getPartnerEvents,
+  getPartnerEvent
+};
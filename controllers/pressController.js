@@ -6,8 +6,33 @@ const {
   deleteFromCloudinary
 } = require('../config/cloudinary');
 
+const { SUPPORTED_LANGUAGES, negotiateLanguage } = require('../config/languages');
+const { hasPermission } = require('../config/permissions');
+
 const fs = require('fs').promises;
 
+// Publication state only changes through the review workflow
+// (POST /api/press/:id/transitions), never through create/update
+const WORKFLOW_FIELDS = ['published', 'status', 'workflowHistory', 'notificationSentAt'];
+
+const stripWorkflowFields = (body) => {
+  const data = { ...body };
+  WORKFLOW_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Public endpoints only show live releases, and never the review trail
+const publicPressQuery = () => ({
+  published: true,
+  status: 'published',
+  publishDate: { $lte: new Date() }
+});
+
+const PUBLIC_HIDDEN_FIELDS = '-workflowHistory -notificationSentAt';
+
+// Editors (press:read) may also look at drafts and releases in review
+const canReadUnpublished = (req) => hasPermission(req.user?.permissions, 'press:read');
+
 // Enhanced upload function with better error handling
 const uploadToCloudinary = async (filePath, folder = 'press-releases') => {
   try {
@@ -124,6 +149,30 @@ const parseSeoKeywords = (keywords) => {
   return [];
 };
 
+// Helper function to parse translations sent as an object or a JSON string
+// ({ sw: { title, excerpt, content, seo } }). Returns undefined when absent.
+const parseTranslations = (translations) => {
+  if (translations === undefined || translations === '') return undefined;
+
+  const parsed = typeof translations === 'string' ? JSON.parse(translations) : translations;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Translations must be an object keyed by language');
+  }
+
+  const unsupported = Object.keys(parsed).find(lang => !SUPPORTED_LANGUAGES.includes(lang));
+  if (unsupported) {
+    throw new Error(`Unsupported translation language: ${unsupported}`);
+  }
+
+  return parsed;
+};
+
+// Set the headers for a response negotiated on Accept-Language
+const setLanguageHeaders = (res, lang) => {
+  res.set('Content-Language', lang);
+  res.vary('Accept-Language');
+};
+
 // Enhanced cleanup function to handle file deletion safely
 const safeFileCleanup = async (filePaths) => {
   if (!filePaths) return;
@@ -162,17 +211,14 @@ const getAllPress = async (req, res) => {
       startDate,
       endDate,
       featured,
-      published = true,
+      published = 'true',
       type
     } = req.query;
 
+    const isPublic = !canReadUnpublished(req);
+
     // Build query
-    const query = {};
-    
-    if (published === 'true') {
-      query.published = true;
-      query.publishDate = { $lte: new Date() };
-    }
+    const query = isPublic || published === 'true' ? publicPressQuery() : {};
     
     if (category && category !== 'all') {
       query.category = category;
@@ -191,9 +237,12 @@ const getAllPress = async (req, res) => {
     }
     
     if (startDate || endDate) {
-      query.publishDate = {};
+      query.publishDate = { ...query.publishDate };
       if (startDate) query.publishDate.$gte = new Date(startDate);
-      if (endDate) query.publishDate.$lte = new Date(endDate);
+      // An end date can narrow the range but never lift the publishDate <= now limit
+      if (endDate && !(query.publishDate.$lte < new Date(endDate))) {
+        query.publishDate.$lte = new Date(endDate);
+      }
     }
     
     if (featured === 'true') {
@@ -206,11 +255,15 @@ const getAllPress = async (req, res) => {
     
     // Fetch press releases
     const pressReleases = await Press.find(query)
+      .select(isPublic ? PUBLIC_HIDDEN_FIELDS : '')
       .sort({ publishDate: -1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
+    const lang = negotiateLanguage(req);
+    setLanguageHeaders(res, lang);
+
     // Calculate pagination info
     const totalPages = Math.ceil(total / parseInt(limit));
     const hasNextPage = parseInt(page) < totalPages;
@@ -218,7 +271,8 @@ const getAllPress = async (req, res) => {
 
     res.json({
       success: true,
-      data: pressReleases,
+      language: lang,
+      data: pressReleases.map(pressRelease => Press.localize(pressRelease, lang)),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -242,7 +296,15 @@ const getAllPress = async (req, res) => {
 // @access  Public
 const getPressById = async (req, res) => {
   try {
-    const pressRelease = await Press.findById(req.params.id).lean();
+    const isPublic = !canReadUnpublished(req);
+
+    // Unpublished releases are reported as missing to the public
+    const pressRelease = await Press.findOne({
+      _id: req.params.id,
+      ...(isPublic ? publicPressQuery() : {})
+    })
+      .select(isPublic ? PUBLIC_HIDDEN_FIELDS : '')
+      .lean();
 
     if (!pressRelease) {
       return res.status(404).json({
@@ -251,22 +313,17 @@ const getPressById = async (req, res) => {
       });
     }
 
-    // Check if published (unless admin)
-    if (!pressRelease.published && !req.user?.role === 'admin') {
-      return res.status(404).json({
-        success: false,
-        message: 'Press release not found'
-      });
-    }
-
     // Increment view count
     await Press.findByIdAndUpdate(req.params.id, {
       $inc: { views: 1 }
     });
 
+    const lang = negotiateLanguage(req);
+    setLanguageHeaders(res, lang);
+
     res.json({
       success: true,
-      data: pressRelease
+      data: Press.localize(pressRelease, lang, { keepTranslations: true })
     });
   } catch (error) {
     console.error('Get press by ID error:', error);
@@ -285,6 +342,50 @@ const getPressById = async (req, res) => {
   }
 };
 
+// @desc    Get single published press release by slug (old slugs redirect to the current one)
+// @route   GET /api/press/slug/:slug
+// @access  Public
+const getPressBySlug = async (req, res) => {
+  try {
+    const { doc: pressRelease, redirect } = await Press.findBySlug(req.params.slug, publicPressQuery(), PUBLIC_HIDDEN_FIELDS);
+
+    if (!pressRelease) {
+      return res.status(404).json({
+        success: false,
+        message: 'Press release not found'
+      });
+    }
+
+    if (redirect) {
+      const location = `${req.baseUrl}/slug/${pressRelease.slug}`;
+      return res.status(301).location(location).json({
+        success: true,
+        redirect: true,
+        slug: pressRelease.slug,
+        location
+      });
+    }
+
+    await Press.findByIdAndUpdate(pressRelease._id, {
+      $inc: { views: 1 }
+    });
+
+    const lang = negotiateLanguage(req);
+    setLanguageHeaders(res, lang);
+
+    res.json({
+      success: true,
+      data: Press.localize(pressRelease, lang, { keepTranslations: true })
+    });
+  } catch (error) {
+    console.error('Get press by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching press release'
+    });
+  }
+};
+
 // @desc    Create new press release
 // @route   POST /api/press
 // @access  Private (Admin only)
@@ -312,10 +413,20 @@ const createPress = async (req, res, next) => {
     }
 
     // Prepare press data
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
     const pressData = {
-      ...req.body,
+      ...stripWorkflowFields(req.body),
+      translations,
       tags: parseTags(req.body.tags),
-      published: req.body.published === 'true',
       featured: req.body.featured === 'true',
       publishDate: req.body.publishDate ? new Date(req.body.publishDate) : new Date(),
       seo: {
@@ -354,8 +465,10 @@ const createPress = async (req, res, next) => {
       );
     }
 
-    // Create the press release
-    const press = await Press.create(pressData);
+    // Create the press release (saving records its first revision)
+    const press = new Press(pressData);
+    press.$locals.revision = { editor: req.user._id };
+    await press.save();
 
     res.status(201).json({
       success: true,
@@ -416,9 +529,19 @@ const updatePress = async (req, res, next) => {
       });
     }
 
+    let translations;
+    try {
+      translations = parseTranslations(req.body.translations);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
     // Prepare update data
     const updateData = {
-      ...req.body,
+      ...stripWorkflowFields(req.body),
       tags: parseTags(req.body.tags),
       seo: {
         title: req.body.seoTitle || req.body.title,
@@ -487,16 +610,30 @@ const updatePress = async (req, res, next) => {
       }
     }
 
-    // Save update
-    const updatedPress = await Press.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true
-    });
+    // Save update through save() so the model hooks run and a revision is recorded
+    delete updateData.translations;
+    existingPress.set(updateData);
+    // Translations are merged per language; send null for a language to remove it
+    if (translations) {
+      Object.entries(translations).forEach(([lang, translation]) => {
+        if (translation) {
+          existingPress.translations.set(lang, translation);
+        } else {
+          existingPress.translations.delete(lang);
+        }
+      });
+    }
+    // Edited content, even on a live release, waits for approval again
+    const needsReview = existingPress.resetApprovalIfEdited(req.user._id);
+    existingPress.$locals.revision = { editor: req.user._id };
+    const updatedPress = await existingPress.save();
 
     res.json({
       success: true,
       data: updatedPress,
-      message: 'Press release updated successfully'
+      message: needsReview
+        ? 'Press release updated and returned to draft; it must be approved again before it goes live'
+        : 'Press release updated successfully'
     });
 
   } catch (error) {
@@ -592,10 +729,7 @@ const getLatestPress = async (req, res) => {
       });
     }
 
-    const query = {
-      published: true,
-      publishDate: { $lte: new Date() }
-    };
+    const query = publicPressQuery();
 
     if (type && type !== 'all') {
       query.type = type;
@@ -618,14 +752,18 @@ const getLatestPress = async (req, res) => {
     const pressReleases = await Press.find(query)
       .sort({ publishDate: -1 })
       .limit(parseInt(limit))
-      .select('title excerpt category publishDate slug views type createdAt featuredImage')
+      .select('title excerpt category publishDate slug views type createdAt featuredImage language translations')
       .lean();
 
     console.log('Found press releases:', pressReleases?.length || 0);
 
+    const lang = negotiateLanguage(req);
+    setLanguageHeaders(res, lang);
+
     res.json({
       success: true,
-      data: pressReleases || [],
+      language: lang,
+      data: (pressReleases || []).map(pressRelease => Press.localize(pressRelease, lang)),
       count: pressReleases?.length || 0
     });
 
@@ -672,8 +810,7 @@ const searchPress = async (req, res) => {
     }
 
     const query = {
-      published: true,
-      publishDate: { $lte: new Date() },
+      ...publicPressQuery(),
       $or: [
         { title: { $regex: search, $options: 'i' } },
         { content: { $regex: search, $options: 'i' } },
@@ -699,6 +836,7 @@ const searchPress = async (req, res) => {
     const total = await Press.countDocuments(query);
 
     const pressReleases = await Press.find(query)
+      .select(PUBLIC_HIDDEN_FIELDS)
       .sort({ publishDate: -1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -808,6 +946,61 @@ const getPressStats = async (req, res) => {
   }
 };
 
+// @desc    Report press releases missing a translation
+// @route   GET /api/press/translations/missing
+// @access  Private (press:read)
+const getMissingTranslations = async (req, res) => {
+  try {
+    const { language, published } = req.query;
+
+    if (language && !SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const query = { status: { $ne: 'archived' } };
+    if (published === 'true') query.published = true;
+
+    const pressReleases = await Press.find(query)
+      .select('title slug status published publishDate language translations')
+      .sort({ publishDate: -1 })
+      .lean();
+
+    const report = pressReleases
+      .map(pressRelease => {
+        const available = Press.availableLanguages(pressRelease);
+        return {
+          _id: pressRelease._id,
+          title: pressRelease.title,
+          slug: pressRelease.slug,
+          status: pressRelease.status,
+          published: pressRelease.published,
+          publishDate: pressRelease.publishDate,
+          language: pressRelease.language,
+          availableLanguages: available,
+          missingLanguages: SUPPORTED_LANGUAGES.filter(lang => !available.includes(lang))
+        };
+      })
+      .filter(item => language
+        ? item.missingLanguages.includes(language)
+        : item.missingLanguages.length > 0);
+
+    res.json({
+      success: true,
+      count: report.length,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get missing translations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building translation report'
+    });
+  }
+};
+
 // @desc    Get press releases by type
 // @route   GET /api/press/type/:type
 // @access  Public
@@ -833,9 +1026,8 @@ const getPressByType = async (req, res) => {
 
     // Build query
     const query = {
-      type,
-      published: true,
-      publishDate: { $lte: new Date() }
+      ...publicPressQuery(),
+      type
     };
     
     if (category && category !== 'all') {
@@ -860,6 +1052,7 @@ const getPressByType = async (req, res) => {
     
     // Fetch press releases
     const pressReleases = await Press.find(query)
+      .select(PUBLIC_HIDDEN_FIELDS)
       .sort({ publishDate: -1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -906,6 +1099,7 @@ const toggleFeatured = async (req, res) => {
     }
 
     pressRelease.featured = !pressRelease.featured;
+    pressRelease.$locals.revision = { editor: req.user._id };
     await pressRelease.save();
 
     res.json({
@@ -972,6 +1166,7 @@ const deleteAttachment = async (req, res) => {
 
     // Remove from array
     pressRelease.attachments.splice(attachmentIndex, 1);
+    pressRelease.$locals.revision = { editor: req.user._id };
     await pressRelease.save();
 
     res.json({
@@ -998,12 +1193,14 @@ const deleteAttachment = async (req, res) => {
 module.exports = {
   getAllPress,
   getPressById,
+  getPressBySlug,
   createPress,
   updatePress,
   deletePress,
   getLatestPress,
   searchPress,
   getPressStats,
+  getMissingTranslations,
   toggleFeatured,
   deleteAttachment,
   getPressByType 
@@ -0,0 +1,111 @@
+// server/controllers/pressFeedController.js
+const crypto = require('crypto');
+const Press = require('../models/Press');
+const { negotiateLanguage } = require('../config/languages');
+const { FORMATS, mimeTypeFromUrl } = require('../utils/feedBuilder');
+const { siteUrl, pressUrl, requestUrl } = require('../utils/siteUrls');
+
+const DEFAULT_FEED_SIZE = 20;
+const MAX_FEED_SIZE = 50;
+
+// Turn a press release into a feed item with image and video enclosures
+const toFeedItem = (pressRelease) => {
+  const enclosures = [];
+
+  if (pressRelease.featuredImage?.url) {
+    enclosures.push({
+      url: pressRelease.featuredImage.url,
+      type: mimeTypeFromUrl(pressRelease.featuredImage.url, 'image/jpeg')
+    });
+  }
+
+  (pressRelease.attachments || [])
+    .filter(attachment => attachment.type === 'video')
+    .forEach(attachment => {
+      enclosures.push({
+        url: attachment.url,
+        type: mimeTypeFromUrl(attachment.url, 'video/mp4'),
+        length: attachment.size
+      });
+    });
+
+  return {
+    id: `urn:press:${pressRelease._id}`,
+    title: pressRelease.title,
+    link: pressUrl(pressRelease),
+    summary: pressRelease.excerpt,
+    published: pressRelease.publishDate,
+    updated: pressRelease.updatedAt || pressRelease.publishDate,
+    author: pressRelease.author?.name,
+    categories: [pressRelease.category, pressRelease.type].filter(Boolean),
+    image: pressRelease.featuredImage?.url,
+    enclosures
+  };
+};
+
+// @desc    Press release feed (?category=&type=&limit=&lang=)
+// @route   GET /api/press/feed.rss | feed.atom | feed.json
+// @access  Public
+const getPressFeed = (format) => async (req, res) => {
+  try {
+    const { category, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_FEED_SIZE, MAX_FEED_SIZE);
+
+    const filters = {};
+    if (category && category !== 'all') filters.category = category;
+    if (type && type !== 'all') filters.type = type.toUpperCase();
+
+    const lang = negotiateLanguage(req);
+    const pressReleases = (await Press.getRecent(limit, filters).lean())
+      .map(pressRelease => Press.localize(pressRelease, lang));
+
+    // Conditional GET: feed readers poll with If-None-Match / If-Modified-Since
+    const lastModified = pressReleases.reduce((latest, pressRelease) => {
+      const updated = new Date(pressRelease.updatedAt || pressRelease.publishDate);
+      return updated > latest ? updated : latest;
+    }, new Date(0));
+
+    const fingerprint = pressReleases
+      .map(pressRelease => `${pressRelease._id}:${new Date(pressRelease.updatedAt).getTime()}`)
+      .join(',');
+    const etag = `W/"${crypto.createHash('sha1').update(`${format}|${lang}|${fingerprint}`).digest('hex')}"`;
+
+    res.set({
+      'ETag': etag,
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': 'public, max-age=300',
+      'Content-Language': lang
+    });
+    res.vary('Accept-Language');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const feed = {
+      title: category && category !== 'all'
+        ? `2027 Campaign Press Releases: ${category}`
+        : '2027 Campaign Press Releases',
+      description: 'Official statements, announcements and press releases from the 2027 campaign',
+      link: siteUrl('/press'),
+      selfUrl: requestUrl(req),
+      language: lang,
+      updated: pressReleases.length > 0 ? lastModified : new Date()
+    };
+
+    res.type(FORMATS[format].contentType);
+    res.send(FORMATS[format].build(feed, pressReleases.map(toFeedItem)));
+  } catch (error) {
+    console.error(`Get press ${format} feed error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building press feed'
+    });
+  }
+};
+
+module.exports = {
+  getRssFeed: getPressFeed('rss'),
+  getAtomFeed: getPressFeed('atom'),
+  getJsonFeed: getPressFeed('json')
+};
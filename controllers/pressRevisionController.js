@@ -0,0 +1,209 @@
+// server/controllers/pressRevisionController.js
+const Press = require('../models/Press');
+const PressRevision = require('../models/PressRevision');
+const { diffDocuments } = require('../utils/diff');
+
+// Publication state is changed through publishing, not by restoring old content
+const RESTORE_EXCLUDED_FIELDS = ['published', 'status', 'featured', 'publishDate', 'slug', 'previousSlugs'];
+
+const parseRevisionNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// @desc    List revisions of a press release
+// @route   GET /api/press/:id/revisions
+// @access  Private (press:read)
+const getRevisions = async (req, res) => {
+  try {
+    const revisions = await PressRevision.find({ press: req.params.id })
+      .select('-snapshot')
+      .populate('editor', 'name email')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Press release not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+};
+
+// @desc    Get a single revision with its snapshot
+// @route   GET /api/press/:id/revisions/:revision
+// @access  Private (press:read)
+const getRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    if (!revisionNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision must be a positive number'
+      });
+    }
+
+    const revision = await PressRevision.findOne({ press: req.params.id, revision: revisionNumber })
+      .populate('editor', 'name email');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision'
+    });
+  }
+};
+
+// @desc    Diff two revisions (?from=&to=, "to" defaults to the latest)
+// @route   GET /api/press/:id/revisions/diff
+// @access  Private (press:read)
+const diffRevisions = async (req, res) => {
+  try {
+    const from = parseRevisionNumber(req.query.from);
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the revision to compare from (?from=)'
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      PressRevision.findOne({ press: req.params.id, revision: from }),
+      req.query.to
+        ? PressRevision.findOne({ press: req.params.id, revision: parseRevisionNumber(req.query.to) })
+        : PressRevision.getLatest(req.params.id)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revision,
+        to: toRevision.revision,
+        changes: diffDocuments(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing revisions'
+    });
+  }
+};
+
+// @desc    Restore a press release to the content of an earlier revision
+// @route   POST /api/press/:id/revisions/:revision/restore
+// @access  Private (press:write)
+const restoreRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    if (!revisionNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision must be a positive number'
+      });
+    }
+
+    const [pressRelease, revision] = await Promise.all([
+      Press.findById(req.params.id),
+      PressRevision.findOne({ press: req.params.id, revision: revisionNumber })
+    ]);
+
+    if (!pressRelease || !revision) {
+      return res.status(404).json({
+        success: false,
+        message: pressRelease ? 'Revision not found' : 'Press release not found'
+      });
+    }
+
+    const content = { ...revision.snapshot };
+    RESTORE_EXCLUDED_FIELDS.forEach(field => delete content[field]);
+
+    pressRelease.set(content);
+    // Restored content is reviewed like any other edit
+    const needsReview = pressRelease.resetApprovalIfEdited(req.user._id);
+    pressRelease.$locals.revision = {
+      editor: req.user._id,
+      action: 'restore',
+      restoredFrom: revision.revision
+    };
+    await pressRelease.save();
+
+    res.json({
+      success: true,
+      data: pressRelease,
+      message: needsReview
+        ? `Press release restored to revision ${revision.revision} and returned to draft; it must be approved again before it goes live`
+        : `Press release restored to revision ${revision.revision}`
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Press release not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring revision'
+    });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -0,0 +1,144 @@
+// server/controllers/pressWorkflowController.js
+const Press = require('../models/Press');
+const AdminUser = require('../models/AdminUser');
+const emailService = require('../utils/emailService');
+const { hasPermission } = require('../config/permissions');
+const { PRESS_TRANSITIONS, availableTransitions } = require('../config/pressWorkflow');
+
+// Email everyone who can approve, except the person who submitted
+const notifyReviewers = async (pressRelease, submittedBy) => {
+  const staff = await AdminUser.find({ active: true, _id: { $ne: submittedBy._id } });
+  const reviewers = staff.filter(user => hasPermission(user.permissions, 'press:approve'));
+
+  if (reviewers.length === 0) {
+    console.warn(`No reviewers to notify about press release ${pressRelease._id}`);
+    return;
+  }
+
+  await emailService.sendPressReviewRequest(pressRelease, reviewers, submittedBy);
+};
+
+// @desc    Move a press release through the editorial workflow
+// @route   POST /api/press/:id/transitions  { action, comment, publishDate }
+// @access  Private (permission depends on the action)
+const transitionPress = async (req, res) => {
+  try {
+    const { action, comment, publishDate } = req.body;
+    const transition = PRESS_TRANSITIONS[action];
+
+    if (!transition) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown action. Use one of: ${Object.keys(PRESS_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    if (!hasPermission(req.user.permissions, transition.permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    const pressRelease = await Press.findById(req.params.id);
+
+    if (!pressRelease) {
+      return res.status(404).json({
+        success: false,
+        message: 'Press release not found'
+      });
+    }
+
+    if (!transition.from.includes(pressRelease.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} a press release that is ${pressRelease.status}`,
+        availableTransitions: availableTransitions(pressRelease.status)
+      });
+    }
+
+    if (transition.requiresComment && !(comment && comment.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `Please explain why you want to ${action} this press release`
+      });
+    }
+
+    if (action === 'schedule') {
+      if (publishDate) {
+        pressRelease.publishDate = new Date(publishDate);
+      }
+
+      if (!(pressRelease.publishDate > new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scheduled releases need a publishDate in the future'
+        });
+      }
+    }
+
+    if (action === 'publish' && pressRelease.publishDate > new Date()) {
+      pressRelease.publishDate = new Date();
+    }
+
+    pressRelease.transition(action, { by: req.user._id, comment });
+    pressRelease.$locals.revision = { editor: req.user._id };
+    await pressRelease.save();
+
+    if (transition.to === 'in-review') {
+      notifyReviewers(pressRelease, req.user).catch(error => {
+        console.error('Failed to notify press reviewers:', error.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      data: pressRelease,
+      availableTransitions: availableTransitions(pressRelease.status),
+      message: `Press release is now ${pressRelease.status}`
+    });
+  } catch (error) {
+    console.error('Press transition error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Press release not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating press release status'
+    });
+  }
+};
+
+// @desc    Press releases waiting for review, oldest first
+// @route   GET /api/press/review-queue
+// @access  Private (press:read)
+const getReviewQueue = async (req, res) => {
+  try {
+    const pressReleases = await Press.find({ status: 'in-review' })
+      .select('title excerpt category type publishDate workflowHistory updatedAt')
+      .populate('workflowHistory.by', 'name email')
+      .sort({ updatedAt: 1 });
+
+    res.json({
+      success: true,
+      count: pressReleases.length,
+      data: pressReleases
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching review queue'
+    });
+  }
+};
+
+module.exports = {
+  transitionPress,
+  getReviewQueue
+};
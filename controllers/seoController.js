@@ -0,0 +1,237 @@
+// server/controllers/seoController.js
+const mongoose = require('mongoose');
+const Press = require('../models/Press');
+const Event = require('../models/Event');
+const Media = require('../models/Media');
+const { negotiateLanguage } = require('../config/languages');
+const { buildUrlset, buildSitemapIndex } = require('../utils/sitemapBuilder');
+const { siteUrl, pressUrl, eventUrl, mediaUrl } = require('../utils/siteUrls');
+const structuredData = require('../utils/structuredData');
+
+// sitemaps.org allows 50,000 URLs per sitemap
+const SITEMAP_PAGE_SIZE = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 50000, 50000);
+
+// Frontend pages that always exist
+const STATIC_PAGES = ['/', '/press', '/events', '/media', '/join'];
+
+// Public content only: what each section lists and how it maps to sitemap URLs
+const SECTIONS = {
+  press: {
+    model: Press,
+    query: () => ({ published: true, publishDate: { $lte: new Date() } }),
+    select: 'title slug publishDate updatedAt featuredImage',
+    sort: { publishDate: -1 },
+    toUrl: press => ({
+      loc: pressUrl(press),
+      lastmod: press.updatedAt || press.publishDate,
+      changefreq: 'monthly',
+      priority: 0.8,
+      images: press.featuredImage?.url
+        ? [{ loc: press.featuredImage.url, title: press.featuredImage.alt || press.title }]
+        : []
+    })
+  },
+  events: {
+    model: Event,
+    query: () => ({ status: { $in: ['published', 'completed', 'postponed'] }, visibility: 'public' }),
+    select: 'title slug startDate updatedAt featuredImage',
+    sort: { startDate: -1 },
+    toUrl: event => ({
+      loc: eventUrl(event),
+      lastmod: event.updatedAt,
+      changefreq: new Date(event.startDate) > new Date() ? 'daily' : 'yearly',
+      priority: new Date(event.startDate) > new Date() ? 0.9 : 0.5,
+      images: event.featuredImage?.url
+        ? [{ loc: event.featuredImage.url, title: event.featuredImage.alt || event.title }]
+        : []
+    })
+  },
+  media: {
+    model: Media,
+    query: () => ({ featured: true, status: { $in: ['public', 'featured'] } }),
+    select: 'title type url thumbnail altText description publishDate updatedAt',
+    sort: { publishDate: -1 },
+    toUrl: media => ({
+      loc: mediaUrl(media),
+      lastmod: media.updatedAt || media.publishDate,
+      changefreq: 'monthly',
+      priority: 0.6,
+      images: [{
+        loc: media.type === 'image' ? media.url : media.thumbnail?.url,
+        title: media.title,
+        caption: media.altText || media.description
+      }].filter(image => image.loc)
+    })
+  }
+};
+
+const staticPageUrls = () => STATIC_PAGES.map(path => ({
+  loc: siteUrl(path),
+  changefreq: 'daily',
+  priority: path === '/' ? 1.0 : 0.7
+}));
+
+const fetchSectionUrls = async (name, page = 1) => {
+  const section = SECTIONS[name];
+  const items = await section.model.find(section.query())
+    .select(section.select)
+    .sort(section.sort)
+    .skip((page - 1) * SITEMAP_PAGE_SIZE)
+    .limit(SITEMAP_PAGE_SIZE)
+    .lean();
+
+  return items.map(section.toUrl);
+};
+
+const sendXml = (res, xml) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('application/xml');
+  res.send(xml);
+};
+
+// @desc    Sitemap (a single urlset, or a sitemap index once there are too many URLs)
+// @route   GET /sitemap.xml
+// @access  Public
+const getSitemap = async (req, res) => {
+  try {
+    const counts = {};
+    await Promise.all(Object.keys(SECTIONS).map(async name => {
+      counts[name] = await SECTIONS[name].model.countDocuments(SECTIONS[name].query());
+    }));
+
+    const total = STATIC_PAGES.length + Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    if (total <= SITEMAP_PAGE_SIZE) {
+      const sectionUrls = await Promise.all(Object.keys(SECTIONS).map(name => fetchSectionUrls(name)));
+      return sendXml(res, buildUrlset([...staticPageUrls(), ...sectionUrls.flat()]));
+    }
+
+    const base = `${req.protocol}://${req.get('host')}/sitemaps`;
+    const sitemaps = [{ loc: `${base}/pages-1.xml` }];
+
+    Object.entries(counts).forEach(([name, count]) => {
+      const pages = Math.ceil(count / SITEMAP_PAGE_SIZE);
+      for (let page = 1; page <= pages; page++) {
+        sitemaps.push({ loc: `${base}/${name}-${page}.xml` });
+      }
+    });
+
+    sendXml(res, buildSitemapIndex(sitemaps));
+  } catch (error) {
+    console.error('Get sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building sitemap'
+    });
+  }
+};
+
+// @desc    One page of a sitemap section, e.g. press-2.xml
+// @route   GET /sitemaps/:file
+// @access  Public
+const getSitemapPage = async (req, res) => {
+  try {
+    const match = /^(pages|press|events|media)-(\d+)\.xml$/.exec(req.params.file);
+
+    if (!match || parseInt(match[2]) < 1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    const [, name, page] = match;
+
+    if (name === 'pages') {
+      return sendXml(res, buildUrlset(staticPageUrls()));
+    }
+
+    const urls = await fetchSectionUrls(name, parseInt(page));
+
+    if (urls.length === 0 && parseInt(page) > 1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    sendXml(res, buildUrlset(urls));
+  } catch (error) {
+    console.error('Get sitemap page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building sitemap'
+    });
+  }
+};
+
+// Public items that can be described with JSON-LD, looked up by id or slug
+const JSON_LD_TYPES = {
+  press: {
+    model: Press,
+    query: () => ({ published: true, publishDate: { $lte: new Date() } }),
+    bySlug: true,
+    build: (press, req) => structuredData.newsArticle(Press.localize(press, negotiateLanguage(req)))
+  },
+  events: {
+    model: Event,
+    query: () => ({ status: { $in: ['published', 'completed', 'cancelled', 'postponed'] }, visibility: 'public' }),
+    bySlug: true,
+    build: event => structuredData.event(event)
+  },
+  media: {
+    model: Media,
+    query: () => ({ status: { $in: ['public', 'featured'] } }),
+    bySlug: false,
+    build: media => structuredData.mediaObject(media)
+  }
+};
+
+// @desc    schema.org JSON-LD for a press release, event or media item
+// @route   GET /api/seo/jsonld/:type/:id   (type: press | events | media; id or slug)
+// @access  Public
+const getJsonLd = async (req, res) => {
+  try {
+    const type = JSON_LD_TYPES[req.params.type];
+
+    if (!type) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown content type. Use one of: ${Object.keys(JSON_LD_TYPES).join(', ')}`
+      });
+    }
+
+    const { id } = req.params;
+    const lookup = mongoose.Types.ObjectId.isValid(id)
+      ? { _id: id }
+      : type.bySlug ? { slug: id.toLowerCase() } : null;
+
+    const item = lookup
+      ? await type.model.findOne({ ...type.query(), ...lookup }).lean()
+      : null;
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.vary('Accept-Language');
+    res.type('application/ld+json');
+    res.send(JSON.stringify(type.build(item, req)));
+  } catch (error) {
+    console.error('Get JSON-LD error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building structured data'
+    });
+  }
+};
+
+module.exports = {
+  getSitemap,
+  getSitemapPage,
+  getJsonLd
+};
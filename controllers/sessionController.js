@@ -0,0 +1,76 @@
+// server/controllers/sessionController.js
+const Session = require('../models/Session');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { hasPermission } = require('../config/permissions');
+
+// Staff managers may manage any user's sessions, everyone else only their own
+const canManage = (req, userId) => {
+  return hasPermission(req.user.permissions, 'users:manage') || req.user._id.equals(userId);
+};
+
+// List active sessions (own sessions, or ?user=<id> for staff managers)
+const getSessions = catchAsync(async (req, res, next) => {
+  const userId = req.query.user || req.user._id;
+
+  if (!canManage(req, userId)) {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  const sessions = await Session.getActiveForUser(userId);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    }
+  });
+});
+
+// Revoke a single session (sign a device out)
+const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findById(req.params.id);
+
+  if (!session || !canManage(req, session.user)) {
+    return next(new AppError('No session found with that ID', 404));
+  }
+
+  if (!session.revokedAt) {
+    await session.revoke('revoked', req.user._id);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully'
+  });
+});
+
+// Revoke all of the current user's sessions except the one in use
+const revokeOtherSessions = catchAsync(async (req, res, next) => {
+  const result = await Session.updateMany(
+    {
+      user: req.user._id,
+      _id: { $ne: req.authSession._id },
+      revokedAt: null
+    },
+    {
+      revokedAt: new Date(),
+      revokedReason: 'revoked',
+      revokedBy: req.user._id
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: `${result.modifiedCount} session(s) revoked`
+  });
+});
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+};
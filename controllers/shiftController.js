@@ -0,0 +1,591 @@
+// server/controllers/shiftController.js
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const Volunteer = require('../models/Volunteer');
+const emailService = require('../utils/emailService');
+
+const SHIFT_FIELDS = ['role', 'description', 'startTime', 'endTime', 'headcount', 'skills', 'selfSignup'];
+
+// Events that can no longer take volunteers
+const CLOSED_EVENT_STATUSES = ['cancelled', 'completed'];
+
+// Volunteers who may be put on a shift
+const BOOKABLE_VOLUNTEER_STATUSES = ['approved', 'active'];
+
+const MAX_SHIFT_HOURS = 24;
+
+// What the public sees about a shift
+const publicShift = (shift) => ({
+  _id: shift._id,
+  role: shift.role,
+  description: shift.description,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  hours: shift.hours,
+  headcount: shift.headcount,
+  filled: shift.filled,
+  openSlots: shift.openSlots,
+  skills: shift.skills,
+  selfSignup: shift.selfSignup
+});
+
+const notFound = (res, message = 'Shift not found') => {
+  return res.status(404).json({
+    success: false,
+    message
+  });
+};
+
+const findShift = (req) => {
+  const { id, shiftId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(shiftId)) return null;
+  return Shift.findOne({ _id: shiftId, event: id });
+};
+
+// Why a volunteer can't take a shift, as a list of conflicts (empty when they can)
+const findConflicts = async (volunteer, shift, event) => {
+  const conflicts = [];
+
+  const overlapping = await ShiftAssignment.findOverlapping(volunteer._id, {
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    excludeShift: shift._id
+  });
+  overlapping.forEach(assignment => {
+    conflicts.push({
+      type: 'overlap',
+      message: 'Already scheduled for an overlapping shift',
+      shift: assignment.shift
+    });
+  });
+
+  const availability = volunteer.availability || {};
+  if (!availability.fullTime) {
+    const missing = shift.availabilityNeeded(event.timezone).filter(flag => !availability[flag]);
+    if (missing.length > 0) {
+      conflicts.push({
+        type: 'availability',
+        message: `Shift falls outside stated availability (${missing.join(', ')})`,
+        missing
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+// Put a volunteer on a shift. Availability conflicts can be overridden by a
+// coordinator; overlapping shifts and a full shift cannot.
+// Resolves to { assignment } or { status, message, conflicts }.
+const bookShift = async ({ shift, event, volunteer, source, assignedBy, force = false }) => {
+  if (CLOSED_EVENT_STATUSES.includes(event.status)) {
+    return { status: 400, message: `This event is ${event.status}` };
+  }
+  if (new Date(shift.endTime) <= new Date()) {
+    return { status: 400, message: 'This shift has already ended' };
+  }
+  if (!BOOKABLE_VOLUNTEER_STATUSES.includes(volunteer.status)) {
+    return { status: 400, message: 'Only approved volunteers can be scheduled for shifts' };
+  }
+
+  const existing = await ShiftAssignment.findOne({ shift: shift._id, volunteer: volunteer._id });
+  if (existing && existing.status !== 'cancelled') {
+    return { status: 409, message: 'This volunteer is already on this shift' };
+  }
+
+  const conflicts = await findConflicts(volunteer, shift, event);
+  const blocking = conflicts.filter(conflict => conflict.type === 'overlap' || !force);
+  if (blocking.length > 0) {
+    return { status: 409, message: 'This shift conflicts with the volunteer\'s schedule', conflicts };
+  }
+
+  const slot = await Shift.claimSlot(shift._id);
+  if (!slot) {
+    return { status: 409, message: 'This shift is full' };
+  }
+
+  // Someone who cancelled earlier is booked again on the same record
+  const assignment = existing || new ShiftAssignment({ shift: shift._id, volunteer: volunteer._id });
+  assignment.set({
+    event: event._id,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    status: 'scheduled',
+    source,
+    assignedBy,
+    availabilityOverride: conflicts.length > 0,
+    scheduleConflicts: [],
+    hoursCredited: 0,
+    attendanceRecordedBy: undefined,
+    attendanceRecordedAt: undefined,
+    cancelledAt: undefined
+  });
+
+  try {
+    await assignment.save();
+  } catch (error) {
+    await Shift.releaseSlot(shift._id);
+    if (error.code === 11000) {
+      return { status: 409, message: 'This volunteer is already on this shift' };
+    }
+    throw error;
+  }
+
+  await Shift.syncEventCounts(event._id);
+
+  emailService.sendShiftConfirmation(volunteer, shift, event)
+    .catch(error => console.error('Shift confirmation email error:', error.message));
+
+  return { assignment, conflicts };
+};
+
+// Re-run the conflict checks for the volunteers scheduled on a shift that was
+// retimed, recording the outcome on each assignment for the coordinator.
+// Resolves to the assignments that now conflict.
+const recheckAssignments = async (shift, event) => {
+  const assignments = await ShiftAssignment.find({ shift: shift._id, status: 'scheduled' })
+    .populate('volunteer', 'firstName lastName email availability');
+  const conflicting = [];
+
+  for (const assignment of assignments) {
+    if (!assignment.volunteer) continue;
+
+    const conflicts = await findConflicts(assignment.volunteer, shift, event);
+    await ShiftAssignment.updateOne(
+      { _id: assignment._id },
+      { scheduleConflicts: conflicts.map(({ type, message }) => ({ type, message })) }
+    );
+
+    if (conflicts.length > 0) {
+      conflicting.push({
+        assignment: assignment._id,
+        volunteer: {
+          _id: assignment.volunteer._id,
+          fullName: assignment.volunteer.fullName,
+          email: assignment.volunteer.email
+        },
+        conflicts
+      });
+    }
+  }
+
+  return conflicting;
+};
+
+// @desc    Get the shifts of a published event
+// @route   GET /api/events/:id/shifts
+// @access  Public
+const getEventShifts = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return notFound(res, 'Event not found');
+
+    const event = await Event.findOne({ _id: req.params.id, status: { $in: ['published', 'postponed'] } })
+      .select('_id')
+      .lean();
+    if (!event) return notFound(res, 'Event not found');
+
+    const shifts = await Shift.find({ event: event._id }).sort({ startTime: 1, role: 1 });
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      data: shifts.map(publicShift)
+    });
+  } catch (error) {
+    console.error('Get event shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shifts'
+    });
+  }
+};
+
+// @desc    Get every shift of an event with the volunteers on it
+// @route   GET /api/events/:id/shifts/roster
+// @access  Private (volunteers:read)
+const getShiftRoster = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return notFound(res, 'Event not found');
+
+    const shifts = await Shift.find({ event: req.params.id }).sort({ startTime: 1, role: 1 }).lean();
+
+    const filter = { event: req.params.id };
+    if (req.query.includeCancelled !== 'true') filter.status = { $ne: 'cancelled' };
+
+    const assignments = await ShiftAssignment.find(filter)
+      .populate('volunteer', 'firstName lastName email county constituency skills')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const roster = shifts.map(shift => ({
+      ...shift,
+      openSlots: Math.max(shift.headcount - shift.filled, 0),
+      assignments: assignments.filter(assignment => assignment.shift.equals(shift._id))
+    }));
+
+    res.json({
+      success: true,
+      count: roster.length,
+      data: roster
+    });
+  } catch (error) {
+    console.error('Get shift roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shift roster'
+    });
+  }
+};
+
+// @desc    Create a shift for an event
+// @route   POST /api/events/:id/shifts
+// @access  Private (events:write)
+const createShift = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return notFound(res, 'Event not found');
+
+    const event = await Event.findById(req.params.id).select('_id status').lean();
+    if (!event) return notFound(res, 'Event not found');
+
+    if (CLOSED_EVENT_STATUSES.includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Shifts cannot be added to a ${event.status} event`
+      });
+    }
+
+    const shift = new Shift({ event: event._id, createdBy: req.user.id });
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    });
+    await shift.save();
+
+    await Shift.syncEventCounts(event._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Create shift error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating shift'
+    });
+  }
+};
+
+// @desc    Update a shift. Retiming it re-checks the schedules of the volunteers on it
+//          and reports (and records on their assignments) any conflicts.
+// @route   PUT /api/events/:id/shifts/:shiftId
+// @access  Private (events:write)
+const updateShift = async (req, res) => {
+  try {
+    const shift = await findShift(req);
+    if (!shift) return notFound(res);
+
+    const event = await Event.findById(shift.event).lean();
+    if (!event) return notFound(res, 'Event not found');
+
+    if (CLOSED_EVENT_STATUSES.includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Shifts of a ${event.status} event cannot be changed`
+      });
+    }
+
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    });
+    const timesChanged = shift.isModified('startTime') || shift.isModified('endTime');
+    await shift.save();
+
+    // Keep the copied times used for overlap checks in step
+    let conflicts = [];
+    if (timesChanged) {
+      await ShiftAssignment.updateMany(
+        { shift: shift._id },
+        { startTime: shift.startTime, endTime: shift.endTime }
+      );
+      conflicts = await recheckAssignments(shift, event);
+    }
+
+    await Shift.syncEventCounts(shift.event);
+
+    res.json({
+      success: true,
+      message: conflicts.length > 0
+        ? `Shift updated. ${conflicts.length} volunteer(s) on it now have schedule conflicts`
+        : 'Shift updated successfully',
+      data: shift,
+      conflicts
+    });
+  } catch (error) {
+    console.error('Update shift error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating shift'
+    });
+  }
+};
+
+// @desc    Delete a shift that has no volunteers on it
+// @route   DELETE /api/events/:id/shifts/:shiftId
+// @access  Private (events:write)
+const deleteShift = async (req, res) => {
+  try {
+    const shift = await findShift(req);
+    if (!shift) return notFound(res);
+
+    if (shift.filled > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cancel the volunteers on this shift before deleting it'
+      });
+    }
+
+    await ShiftAssignment.deleteMany({ shift: shift._id });
+    await shift.deleteOne();
+    await Shift.syncEventCounts(shift.event);
+
+    res.json({
+      success: true,
+      message: 'Shift deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting shift'
+    });
+  }
+};
+
+// @desc    Assign a volunteer to a shift (force=true overrides availability conflicts)
+// @route   POST /api/events/:id/shifts/:shiftId/assignments
+// @access  Private (volunteers:write)
+const assignVolunteer = async (req, res) => {
+  try {
+    const shift = await findShift(req);
+    if (!shift) return notFound(res);
+
+    const { volunteerId, force } = req.body;
+    const volunteer = mongoose.Types.ObjectId.isValid(volunteerId)
+      ? await Volunteer.findById(volunteerId)
+      : null;
+    if (!volunteer) return notFound(res, 'Volunteer not found');
+
+    const event = await Event.findById(shift.event).lean();
+
+    const result = await bookShift({
+      shift,
+      event,
+      volunteer,
+      source: 'coordinator',
+      assignedBy: req.user.id,
+      force: force === true || force === 'true'
+    });
+
+    if (!result.assignment) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        conflicts: result.conflicts
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.conflicts.length > 0
+        ? 'Volunteer assigned outside their stated availability'
+        : 'Volunteer assigned successfully',
+      data: result.assignment,
+      conflicts: result.conflicts
+    });
+  } catch (error) {
+    console.error('Assign volunteer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning volunteer'
+    });
+  }
+};
+
+// @desc    Sign up for a shift as an approved volunteer
+// @route   POST /api/events/:id/shifts/:shiftId/signup
+// @access  Volunteer (portal session)
+const signUpForShift = async (req, res) => {
+  try {
+    const shift = await findShift(req);
+    if (!shift) return notFound(res);
+
+    if (!shift.selfSignup) {
+      return res.status(403).json({
+        success: false,
+        message: 'Places on this shift are assigned by the coordinator'
+      });
+    }
+
+    const event = await Event.findOne({ _id: shift.event, status: 'published' }).lean();
+    if (!event) return notFound(res, 'Event not found');
+
+    const result = await bookShift({ shift, event, volunteer: req.volunteer, source: 'self' });
+
+    if (!result.assignment) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        conflicts: result.conflicts
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'You are signed up for this shift',
+      data: {
+        _id: result.assignment._id,
+        status: result.assignment.status,
+        shift: publicShift(shift)
+      }
+    });
+  } catch (error) {
+    console.error('Shift signup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while signing up for shift'
+    });
+  }
+};
+
+// @desc    Take a volunteer off a shift
+// @route   DELETE /api/events/:id/shifts/:shiftId/assignments/:assignmentId
+// @access  Private (volunteers:write)
+const cancelAssignment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.assignmentId)) return notFound(res, 'Assignment not found');
+
+    const [assignment] = await ShiftAssignment.cancelScheduled({
+      _id: req.params.assignmentId,
+      shift: req.params.shiftId
+    });
+
+    if (!assignment) {
+      return notFound(res, 'No scheduled assignment found with that ID');
+    }
+
+    res.json({
+      success: true,
+      message: 'Volunteer removed from shift',
+      data: assignment
+    });
+  } catch (error) {
+    console.error('Cancel assignment error:', error);
+
+    if (error.name === 'CastError') {
+      return notFound(res, 'Assignment not found');
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling assignment'
+    });
+  }
+};
+
+// @desc    Record attendance for an assignment; 'attended' credits the volunteer's hours
+// @route   PUT /api/events/:id/shifts/:shiftId/assignments/:assignmentId/attendance
+// @access  Private (volunteers:write)
+const recordAttendance = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.assignmentId)) return notFound(res, 'Assignment not found');
+
+    const shift = await findShift(req);
+    if (!shift) return notFound(res);
+
+    const assignment = await ShiftAssignment.findOne({ _id: req.params.assignmentId, shift: shift._id });
+    if (!assignment || assignment.status === 'cancelled') {
+      return notFound(res, 'Assignment not found');
+    }
+
+    const { status } = req.body;
+    if (!['attended', 'no-show'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be attended or no-show'
+      });
+    }
+
+    if (new Date(shift.startTime) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance can only be recorded once the shift has started'
+      });
+    }
+
+    // Defaults to the scheduled length of the shift
+    const hours = req.body.hours !== undefined ? Number(req.body.hours) : shift.hours;
+    if (status === 'attended' && !(hours > 0 && hours <= MAX_SHIFT_HOURS)) {
+      return res.status(400).json({
+        success: false,
+        message: `Hours must be between 0 and ${MAX_SHIFT_HOURS}`
+      });
+    }
+
+    const updated = await assignment.recordAttendance(status, {
+      hours: Math.round(hours * 100) / 100,
+      recordedBy: req.user.id
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This assignment was changed by someone else. Please reload and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: status === 'attended'
+        ? `Attendance confirmed: ${updated.hoursCredited} hours credited`
+        : 'Marked as no-show',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Record attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording attendance'
+    });
+  }
+};
+
+module.exports = {
+  getEventShifts,
+  getShiftRoster,
+  createShift,
+  updateShift,
+  deleteShift,
+  assignVolunteer,
+  signUpForShift,
+  cancelAssignment,
+  recordAttendance
+};
@@ -0,0 +1,200 @@
+// server/controllers/twoFactorController.js
+const AdminUser = require('../models/AdminUser');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const {
+  generateSecret,
+  buildOtpauthURI,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Issue a fresh set of recovery codes, returning the plain codes once
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Get the current user's two-factor status
+const getStatus = catchAsync(async (req, res, next) => {
+  const user = await AdminUser.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await SecurityPolicy.requiresTwoFactor(user.role),
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length
+    }
+  });
+});
+
+// Start enrolment: create a pending secret and its provisioning URI
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await AdminUser.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthURI({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Campaign 2027'
+      })
+    }
+  });
+});
+
+// Finish enrolment by confirming a code from the pending secret
+const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError('Please provide a verification code', 400));
+  }
+
+  const user = await AdminUser.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new AppError('Please start two-factor setup first', 400));
+  }
+
+  if (!user.verifyTwoFactorCode(code, { pending: true })) {
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = issueRecoveryCodes(user);
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+// Turn two-factor authentication off (requires password and a current code)
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return next(new AppError('Please provide your password and a verification code', 400));
+  }
+
+  const user = await AdminUser.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (await SecurityPolicy.requiresTwoFactor(user.role)) {
+    return next(new AppError('Two-factor authentication is required for your role and cannot be disabled', 403));
+  }
+
+  if (!(await user.correctPassword(password)) || !user.verifyTwoFactorCode(code)) {
+    return next(new AppError('Incorrect password or verification code', 401));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// Replace all recovery codes (requires a current code)
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await AdminUser.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!code || !user.verifyTwoFactorCode(code)) {
+    return next(new AppError('Invalid verification code', 401));
+  }
+
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+// Get the two-factor policy (super-admin only)
+const getPolicy = catchAsync(async (req, res, next) => {
+  const policy = await SecurityPolicy.getPolicy();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+      updatedAt: policy.updatedAt
+    }
+  });
+});
+
+// Set which roles must use two-factor authentication (super-admin only)
+const updatePolicy = catchAsync(async (req, res, next) => {
+  const { roles } = req.body;
+
+  if (!Array.isArray(roles)) {
+    return next(new AppError('Please provide roles as an array', 400));
+  }
+
+  const policy = await SecurityPolicy.getPolicy();
+  policy.twoFactorRequiredRoles = [...new Set(roles)];
+  policy.updatedBy = req.user._id;
+  await policy.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor policy updated',
+    data: {
+      twoFactorRequiredRoles: policy.twoFactorRequiredRoles
+    }
+  });
+});
+
+module.exports = {
+  getStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getPolicy,
+  updatePolicy
+};
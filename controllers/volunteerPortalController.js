@@ -0,0 +1,169 @@
+// server/controllers/volunteerPortalController.js
+// The signed-in volunteer's own record (see middleware/volunteerAuth.js)
+const mongoose = require('mongoose');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { COOKIE_NAME } = require('../middleware/volunteerAuth');
+const { getStage, nextStage } = require('../config/volunteerOnboarding');
+
+// Fields a volunteer may change themselves. Everything else (nationalId, name,
+// date of birth, email, status, verification, onboarding, hours) stays with coordinators.
+const EDITABLE_FIELDS = [
+  'phone', 'address', 'county', 'constituency', 'ward', 'coordinates',
+  'occupation', 'education', 'skills', 'languages', 'availability',
+  'preferredActivities', 'previousExperience', 'experienceDetails', 'motivation'
+];
+
+// The volunteer's record without internal bookkeeping
+const ownProfile = (volunteer) => {
+  const profile = volunteer.toJSON();
+  delete profile.portal;
+  delete profile.geo;
+  delete profile.verificationSentAt;
+  delete profile.__v;
+
+  const stage = volunteer.currentStage();
+  const next = nextStage(stage);
+  profile.onboarding = {
+    stage,
+    label: getStage(stage).label,
+    nextStage: next ? next.label : null,
+    history: volunteer.onboarding.history.map(({ stage: key, at }) => ({ stage: key, at }))
+  };
+
+  return profile;
+};
+
+// Get my profile
+const getMyProfile = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      volunteer: ownProfile(req.volunteer)
+    }
+  });
+});
+
+// Update my profile
+const updateMyProfile = catchAsync(async (req, res, next) => {
+  const readOnly = Object.keys(req.body).filter(field => !EDITABLE_FIELDS.includes(field));
+
+  if (readOnly.length > 0) {
+    return next(new AppError(`These fields cannot be changed here: ${readOnly.join(', ')}`, 400));
+  }
+
+  const volunteer = req.volunteer;
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] === undefined) return;
+
+    // Availability flags are updated one by one, so sending one keeps the others
+    if (field === 'availability' && req.body.availability && typeof req.body.availability === 'object') {
+      Object.keys(req.body.availability).forEach(slot => {
+        volunteer.set(`availability.${slot}`, req.body.availability[slot]);
+      });
+      return;
+    }
+
+    volunteer.set(field, req.body[field]);
+  });
+
+  await volunteer.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your profile has been updated',
+    data: {
+      volunteer: ownProfile(volunteer)
+    }
+  });
+});
+
+// Get my shifts and contribution totals
+const getMyActivities = catchAsync(async (req, res, next) => {
+  const now = new Date();
+
+  const assignments = await ShiftAssignment.find({ volunteer: req.volunteer._id })
+    .select('shift event startTime endTime status source hoursCredited attendanceRecordedAt cancelledAt')
+    .populate('shift', 'role description')
+    .populate('event', 'title slug startDate status venue.name venue.county timezone')
+    .sort({ startTime: -1 })
+    .lean();
+
+  const upcoming = assignments
+    .filter(assignment => assignment.status === 'scheduled' && new Date(assignment.endTime) > now)
+    .reverse();
+  const past = assignments.filter(assignment => !upcoming.includes(assignment));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      summary: {
+        hoursContributed: req.volunteer.hoursContributed,
+        activitiesCompleted: req.volunteer.activitiesCompleted,
+        upcomingShifts: upcoming.length,
+        joinDate: req.volunteer.joinDate
+      },
+      upcoming,
+      past
+    }
+  });
+});
+
+// Cancel one of my shifts before it starts
+const cancelMyShift = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.assignmentId)) {
+    return next(new AppError('No upcoming shift found with that ID', 404));
+  }
+
+  const [assignment] = await ShiftAssignment.cancelScheduled({
+    _id: req.params.assignmentId,
+    volunteer: req.volunteer._id,
+    startTime: { $gt: new Date() }
+  });
+
+  if (!assignment) {
+    return next(new AppError('No upcoming shift found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'You have been taken off this shift',
+    data: {
+      assignment
+    }
+  });
+});
+
+// Withdraw from volunteering: cancels upcoming shifts and ends every portal session
+const withdraw = catchAsync(async (req, res, next) => {
+  const volunteer = req.volunteer;
+
+  const cancelled = await ShiftAssignment.cancelScheduled({
+    volunteer: volunteer._id,
+    startTime: { $gt: new Date() }
+  });
+
+  volunteer.status = 'withdrawn';
+  volunteer.withdrawnAt = new Date();
+  volunteer.withdrawalReason = req.body.reason;
+  volunteer.portal.sessionVersion += 1;
+  await volunteer.save();
+
+  res.clearCookie(COOKIE_NAME);
+  res.status(200).json({
+    status: 'success',
+    message: 'You have withdrawn as a volunteer. Thank you for your support.',
+    data: {
+      cancelledShifts: cancelled.length
+    }
+  });
+});
+
+module.exports = {
+  getMyProfile,
+  updateMyProfile,
+  getMyActivities,
+  cancelMyShift,
+  withdraw
+};
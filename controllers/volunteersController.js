@@ -1,17 +1,49 @@
 // server/controllers/volunteerController.js
 const Volunteer = require('../models/Volunteer');
+const Event = require('../models/Event');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const emailService = require('../utils/emailService');
+const { signVolunteerToken, verifyVolunteerToken } = require('../utils/volunteerTokens');
+const { hasPermission } = require('../config/permissions');
+const { STAGE_KEYS, ONBOARDING_STAGES, OFF_PIPELINE_STATUSES, getStage, nextStage, stageForStatus } = require('../config/volunteerOnboarding');
+
+// How long an email verification link stays valid
+const VERIFY_TOKEN_TTL_HOURS = parseInt(process.env.VOLUNTEER_VERIFY_TOKEN_TTL_HOURS, 10) || 48;
+
+// Days in one stage after which an applicant counts as stalled in the funnel report
+const ONBOARDING_STALL_DAYS = parseInt(process.env.ONBOARDING_STALL_DAYS, 10) || 14;
+
+// Map ?fields= names to stored paths: encrypted fields are selected through
+// their ciphertext, and the national ID only for users allowed to see it
+const volunteerFields = (fields, user) => fields.split(',')
+  .map(field => field.trim())
+  .filter(field => {
+    const name = field.replace(/^[+-]/, '');
+    if (/^(encrypted|blindIndex)(\.|$)/.test(name)) return false;
+    return name !== 'nationalId' || hasPermission(user.permissions, 'volunteers:pii');
+  })
+  .map(field => field.replace(/^([+-]?)(phone|nationalId|dateOfBirth)$/, '$1encrypted.$2'))
+  .join(' ');
+
+// Email a volunteer a signed link to confirm their address
+const sendVerificationEmail = async (volunteer) => {
+  const token = signVolunteerToken(volunteer, 'verify-email', `${VERIFY_TOKEN_TTL_HOURS}h`);
+  const verifyURL = `${process.env.FRONTEND_URL}/volunteer/verify/${token}`;
+
+  await emailService.sendVolunteerVerification(volunteer, verifyURL, VERIFY_TOKEN_TTL_HOURS);
+
+  volunteer.verificationSentAt = new Date();
+  await volunteer.save({ validateBeforeSave: false });
+};
 
 // Create new volunteer registration
 const createVolunteer = catchAsync(async (req, res, next) => {
-  // Check if volunteer already exists
-  const existingVolunteer = await Volunteer.findOne({
-    $or: [
-      { email: req.body.email },
-      { nationalId: req.body.nationalId }
-    ]
-  });
+  // Check if volunteer already exists (national IDs are encrypted, so they are matched on their blind index)
+  const duplicateChecks = [{ email: req.body.email }];
+  const nationalIdIndex = Volunteer.blindIndexFor('nationalId', req.body.nationalId);
+  if (nationalIdIndex) duplicateChecks.push({ 'blindIndex.nationalId': nationalIdIndex });
+
+  const existingVolunteer = await Volunteer.findOne({ $or: duplicateChecks });
 
   if (existingVolunteer) {
     return next(new AppError('A volunteer with this email or National ID already exists', 400));
@@ -30,6 +62,7 @@ const createVolunteer = catchAsync(async (req, res, next) => {
     constituency: req.body.constituency,
     ward: req.body.ward,
     address: req.body.address,
+    coordinates: req.body.coordinates,
     occupation: req.body.occupation,
     education: req.body.education,
     skills: req.body.skills || [],
@@ -41,11 +74,11 @@ const createVolunteer = catchAsync(async (req, res, next) => {
     motivation: req.body.motivation
   });
 
-  // Send welcome email
+  // Ask the volunteer to confirm their email; the welcome email follows verification
   try {
-    await emailService.sendVolunteerWelcome(volunteer);
+    await sendVerificationEmail(volunteer);
   } catch (error) {
-    console.error('Failed to send welcome email:', error);
+    console.error('Failed to send verification email:', error);
     // Don't fail the registration if email fails
   }
 
@@ -56,13 +89,82 @@ const createVolunteer = catchAsync(async (req, res, next) => {
 
   res.status(201).json({
     status: 'success',
-    message: 'Thank you for volunteering! We will contact you soon.',
+    message: 'Thank you for volunteering! Please check your email to confirm your address.',
     data: {
       volunteer
     }
   });
 });
 
+// Confirm a volunteer's email address from the emailed link
+const verifyVolunteerEmail = catchAsync(async (req, res, next) => {
+  const payload = verifyVolunteerToken(req.params.token, 'verify-email');
+  const volunteer = payload ? await Volunteer.findById(payload.id) : null;
+
+  // A changed email address invalidates links sent to the old one
+  if (!volunteer || volunteer.email !== payload.email) {
+    return next(new AppError('This verification link is invalid or has expired', 400));
+  }
+
+  if (!volunteer.verified) {
+    const canAdvance = !OFF_PIPELINE_STATUSES.includes(volunteer.status);
+    const stage = nextStage(volunteer.currentStage());
+
+    if (canAdvance && stage && stage.key === 'email-verification') {
+      volunteer.advanceOnboarding('email-verification');
+    } else {
+      volunteer.verified = true;
+      volunteer.verificationDate = new Date();
+    }
+    await volunteer.save();
+
+    try {
+      await emailService.sendWelcomeEmail(volunteer);
+    } catch (error) {
+      console.error('Failed to send welcome email:', error);
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Thank you! Your email address is confirmed.',
+    data: {
+      volunteer: {
+        _id: volunteer._id,
+        fullName: volunteer.fullName,
+        email: volunteer.email,
+        verified: volunteer.verified,
+        verificationDate: volunteer.verificationDate
+      }
+    }
+  });
+});
+
+// Send a fresh verification link (the response never reveals whether the email is registered)
+const resendVolunteerVerification = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide your email address', 400));
+  }
+
+  const volunteer = await Volunteer.findOne({ email: String(email).toLowerCase().trim(), verified: { $ne: true } });
+
+  if (volunteer) {
+    try {
+      await sendVerificationEmail(volunteer);
+    } catch (error) {
+      console.error('Failed to resend verification email:', error);
+      return next(new AppError('There was an error sending the email. Try again later!', 500));
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If an unconfirmed registration exists for that email, a new link has been sent.'
+  });
+});
+
 // Get all volunteers (admin only)
 const getAllVolunteers = catchAsync(async (req, res, next) => {
   // Build query
@@ -70,6 +172,14 @@ const getAllVolunteers = catchAsync(async (req, res, next) => {
   const excludedFields = ['page', 'sort', 'limit', 'fields'];
   excludedFields.forEach(el => delete queryObj[el]);
 
+  // Encrypted fields can only be matched exactly, on their blind index
+  ['phone', 'nationalId'].forEach(field => {
+    if (queryObj[field] === undefined) return;
+    const index = Volunteer.blindIndexFor(field, String(queryObj[field]));
+    queryObj[`blindIndex.${field}`] = index || { $in: [] };
+    delete queryObj[field];
+  });
+
   // Advanced filtering
   let queryStr = JSON.stringify(queryObj);
   queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
@@ -86,10 +196,10 @@ const getAllVolunteers = catchAsync(async (req, res, next) => {
 
   // Field limiting
   if (req.query.fields) {
-    const fields = req.query.fields.split(',').join(' ');
-    query = query.select(fields);
+    query = query.select(volunteerFields(req.query.fields, req.user));
   } else {
-    query = query.select('-nationalId -__v');
+    // The national ID is left out unless asked for (select: false)
+    query = query.select('-__v');
   }
 
   // Pagination
@@ -117,19 +227,14 @@ const getAllVolunteers = catchAsync(async (req, res, next) => {
 
 // Get volunteer by ID
 const getVolunteer = catchAsync(async (req, res, next) => {
-  const volunteer = await Volunteer.findById(req.params.id);
+  // Sensitive information is only decrypted for users who may see it
+  const volunteer = await Volunteer.findById(req.params.id)
+    .select(hasPermission(req.user.permissions, 'volunteers:pii') ? '+encrypted.nationalId' : '-encrypted');
 
   if (!volunteer) {
     return next(new AppError('No volunteer found with that ID', 404));
   }
 
-  // Remove sensitive information for non-admin users
-  if (req.user.role !== 'super-admin') {
-    volunteer.nationalId = undefined;
-    volunteer.phone = undefined;
-    volunteer.dateOfBirth = undefined;
-  }
-
   res.status(200).json({
     status: 'success',
     data: {
@@ -138,7 +243,9 @@ const getVolunteer = catchAsync(async (req, res, next) => {
   });
 });
 
-// Update volunteer status (admin only)
+// Update volunteer status (admin only).
+// Only takes volunteers out of the pipeline (rejected/inactive) or restores them
+// to where they were; moving forward goes through the onboarding stages.
 const updateVolunteerStatus = catchAsync(async (req, res, next) => {
   const { status, verificationNotes } = req.body;
 
@@ -148,13 +255,16 @@ const updateVolunteerStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('No volunteer found with that ID', 404));
   }
 
+  const restoreStatus = volunteer.pipelineStatus();
+  if (!OFF_PIPELINE_STATUSES.includes(status) && status !== restoreStatus) {
+    return next(new AppError(
+      `Status can be set to ${[...OFF_PIPELINE_STATUSES, restoreStatus].join(', ')}. Use the onboarding stages to move a volunteer forward`,
+      400
+    ));
+  }
+
   // Update status
   volunteer.status = status;
-  
-  if (status === 'approved') {
-    volunteer.verified = true;
-    volunteer.verificationDate = new Date();
-  }
 
   await volunteer.save();
 
@@ -168,6 +278,85 @@ const updateVolunteerStatus = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
     message: 'Volunteer status updated successfully',
+    data: {
+      volunteer: {
+        _id: volunteer._id,
+        fullName: volunteer.fullName,
+        email: volunteer.email,
+        status: volunteer.status,
+        verified: volunteer.verified,
+        onboardingStage: volunteer.currentStage()
+      }
+    }
+  });
+});
+
+// Get a volunteer's onboarding progress
+const getVolunteerOnboarding = catchAsync(async (req, res, next) => {
+  const volunteer = await Volunteer.findById(req.params.id)
+    .select('firstName lastName email status verified onboarding createdAt')
+    .populate('onboarding.history.by', 'name email');
+
+  if (!volunteer) {
+    return next(new AppError('No volunteer found with that ID', 404));
+  }
+
+  const stage = volunteer.currentStage();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      volunteer: {
+        _id: volunteer._id,
+        fullName: volunteer.fullName,
+        email: volunteer.email,
+        status: volunteer.status
+      },
+      stage,
+      stageEnteredAt: volunteer.onboarding.stageEnteredAt || volunteer.createdAt,
+      nextStage: nextStage(stage),
+      history: volunteer.onboarding.history,
+      stages: ONBOARDING_STAGES
+    }
+  });
+});
+
+// Sign off the next onboarding stage for a volunteer
+const advanceVolunteerOnboarding = catchAsync(async (req, res, next) => {
+  const { stage, note } = req.body;
+
+  const volunteer = await Volunteer.findById(req.params.id);
+
+  if (!volunteer) {
+    return next(new AppError('No volunteer found with that ID', 404));
+  }
+
+  if (OFF_PIPELINE_STATUSES.includes(volunteer.status)) {
+    return next(new AppError(`Cannot advance a volunteer who is ${volunteer.status}`, 409));
+  }
+
+  const stageToSign = nextStage(volunteer.currentStage());
+
+  if (!stageToSign) {
+    return next(new AppError('This volunteer has completed onboarding', 409));
+  }
+
+  if (stage && stage !== stageToSign.key) {
+    return next(new AppError(`The next onboarding stage for this volunteer is ${stageToSign.key}`, 409));
+  }
+
+  if (stageToSign.permission && !hasPermission(req.user.permissions, stageToSign.permission)) {
+    return next(new AppError(`Signing off "${stageToSign.label}" requires the ${stageToSign.permission} permission`, 403));
+  }
+
+  volunteer.advanceOnboarding(stageToSign.key, { by: req.user._id, note });
+  await volunteer.save();
+
+  const following = nextStage(stageToSign.key);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${stageToSign.label} recorded`,
     data: {
       volunteer: {
         _id: volunteer._id,
@@ -175,8 +364,122 @@ const updateVolunteerStatus = catchAsync(async (req, res, next) => {
         email: volunteer.email,
         status: volunteer.status,
         verified: volunteer.verified
+      },
+      stage: stageToSign.key,
+      nextStage: following,
+      history: volunteer.onboarding.history
+    }
+  });
+});
+
+// Onboarding funnel per county: where applicants are, how many got past each
+// stage and how many have been stuck for more than ONBOARDING_STALL_DAYS
+const getOnboardingFunnel = catchAsync(async (req, res, next) => {
+  const { county, since } = req.query;
+  const stallDays = parseInt(req.query.stallDays, 10) || ONBOARDING_STALL_DAYS;
+  const stalledBefore = new Date(Date.now() - stallDays * 24 * 60 * 60 * 1000);
+
+  const match = {};
+  if (county) match.county = county;
+  if (since) match.createdAt = { $gte: new Date(since) };
+
+  // Volunteers from before the pipeline are placed by their status
+  const legacyStage = {
+    $switch: {
+      branches: ['active', 'inactive', 'approved'].map(status => ({
+        case: { $eq: ['$status', status] },
+        then: stageForStatus(status)
+      })),
+      default: 'application'
+    }
+  };
+
+  const groups = await Volunteer.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        stage: { $ifNull: ['$onboarding.stage', legacyStage] },
+        stageEnteredAt: { $ifNull: ['$onboarding.stageEnteredAt', '$createdAt'] }
+      }
+    },
+    {
+      $group: {
+        _id: { county: '$county', stage: '$stage' },
+        count: { $sum: 1 },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+        stalled: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $not: [{ $in: ['$status', OFF_PIPELINE_STATUSES] }] },
+                  { $ne: ['$stage', 'active'] },
+                  { $lt: ['$stageEnteredAt', stalledBefore] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        },
+        avgDaysInStage: {
+          $avg: { $divide: [{ $subtract: [new Date(), '$stageEnteredAt'] }, 24 * 60 * 60 * 1000] }
+        }
       }
     }
+  ]);
+
+  // Stages in use, plus any a volunteer still sits in after it was switched off
+  const stageKeys = STAGE_KEYS.filter(key =>
+    ONBOARDING_STAGES.some(stage => stage.key === key) || groups.some(group => group._id.stage === key));
+
+  const buildFunnel = (rows) => {
+    const total = rows.reduce((sum, row) => sum + row.count, 0);
+    let reached = total;
+    let previousReached = null;
+
+    const stages = stageKeys.map(key => {
+      const stageRows = rows.filter(row => row._id.stage === key);
+      const sum = field => stageRows.reduce((acc, row) => acc + row[field], 0);
+      const current = sum('count');
+
+      const stage = {
+        stage: key,
+        label: getStage(key).label,
+        current,
+        reached,
+        // Share of those who reached the previous stage that got this far
+        conversionRate: previousReached ? Math.round((reached / previousReached) * 1000) / 10 : null,
+        rejected: sum('rejected'),
+        stalled: sum('stalled'),
+        avgDaysInStage: current
+          ? Math.round((stageRows.reduce((acc, row) => acc + row.avgDaysInStage * row.count, 0) / current) * 10) / 10
+          : null
+      };
+
+      previousReached = reached;
+      reached -= current;
+      return stage;
+    });
+
+    // The stage holding the most stalled applicants
+    const bottleneck = stages.reduce((worst, stage) => (stage.stalled > (worst ? worst.stalled : 0) ? stage : worst), null);
+
+    return { total, stages, bottleneck: bottleneck ? bottleneck.stage : null };
+  };
+
+  const counties = [...new Set(groups.map(group => group._id.county))]
+    .map(name => ({ county: name, ...buildFunnel(groups.filter(group => group._id.county === name)) }))
+    .sort((a, b) => b.total - a.total);
+
+  res.status(200).json({
+    status: 'success',
+    results: counties.length,
+    data: {
+      stallDays,
+      overall: buildFunnel(groups),
+      counties
+    }
   });
 });
 
@@ -237,7 +540,7 @@ const getVolunteerStats = catchAsync(async (req, res, next) => {
         age: {
           $subtract: [
             { $year: new Date() },
-            { $year: '$dateOfBirth' }
+            '$birthYear'
           ]
         }
       }
@@ -300,7 +603,7 @@ const searchVolunteers = catchAsync(async (req, res, next) => {
   }
 
   const volunteers = await Volunteer.find(searchQuery)
-    .select('-nationalId -dateOfBirth -__v')
+    .select('-encrypted.dateOfBirth -__v')
     .sort('-createdAt')
     .limit(50);
 
@@ -339,6 +642,66 @@ const getVolunteersByLocation = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get approved volunteers nearest to an event's venue (?eventId=) or a point (?lat=&lng=)
+const getNearestVolunteers = catchAsync(async (req, res, next) => {
+  const { eventId, skills } = req.query;
+  const radiusKm = Math.min(parseFloat(req.query.radiusKm) || 50, 500);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  if (radiusKm < 0) {
+    return next(new AppError('radiusKm must be a positive number', 400));
+  }
+
+  let point = { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) };
+  let event;
+
+  if (eventId) {
+    event = await Event.findById(eventId).select('title startDate venue');
+    if (!event) {
+      return next(new AppError('No event found with that ID', 404));
+    }
+
+    const coordinates = event.venue && event.venue.coordinates;
+    if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+      return next(new AppError('This event venue has no coordinates', 400));
+    }
+    point = { lat: coordinates.lat, lng: coordinates.lng };
+  }
+
+  if (Number.isNaN(point.lat) || Number.isNaN(point.lng)) {
+    return next(new AppError('Please provide an eventId, or lat and lng', 400));
+  }
+
+  const filter = { status: { $in: ['approved', 'active'] } };
+  if (skills) {
+    filter.skills = { $in: skills.split(',').map(skill => skill.trim()) };
+  }
+
+  const select = {
+    firstName: 1, lastName: 1, email: 1, county: 1, constituency: 1, ward: 1,
+    skills: 1, availability: 1, coordinates: 1
+  };
+  if (hasPermission(req.user.permissions, 'volunteers:pii')) {
+    select['encrypted.phone'] = 1;
+  }
+
+  const volunteers = (await Volunteer.findNear(point, { radiusKm, filter, limit, select }))
+    .map(volunteer => ({
+      ...Volunteer.decryptFields(volunteer),
+      distanceKm: Math.round(volunteer.distanceKm * 10) / 10
+    }));
+
+  res.status(200).json({
+    status: 'success',
+    results: volunteers.length,
+    data: {
+      event: event ? { _id: event._id, title: event.title, startDate: event.startDate, venue: event.venue } : undefined,
+      radiusKm,
+      volunteers
+    }
+  });
+});
+
 // Update volunteer activity
 const updateVolunteerActivity = catchAsync(async (req, res, next) => {
   const { activityType, hoursSpent, description } = req.body;
@@ -395,8 +758,9 @@ const exportVolunteers = catchAsync(async (req, res, next) => {
   if (county) query.county = county;
   if (status) query.status = status;
 
+  // The national ID stays out (select: false); phone and date of birth are decrypted
   const volunteers = await Volunteer.find(query)
-    .select('-nationalId -__v')
+    .select('-__v')
     .sort('county constituency ward lastName firstName');
 
   if (format === 'csv') {
@@ -422,12 +786,18 @@ const exportVolunteers = catchAsync(async (req, res, next) => {
 
 module.exports = {
   createVolunteer,
+  verifyVolunteerEmail,
+  resendVolunteerVerification,
   getAllVolunteers,
   getVolunteer,
   updateVolunteerStatus,
+  getVolunteerOnboarding,
+  advanceVolunteerOnboarding,
+  getOnboardingFunnel,
   getVolunteerStats,
   searchVolunteers,
   getVolunteersByLocation,
+  getNearestVolunteers,
   updateVolunteerActivity,
   deleteVolunteer,
   exportVolunteers
@@ -0,0 +1,171 @@
+// server/jobs/eventReminders.js
+// Emails registrants before an event starts, and when an event is cancelled or
+// postponed. Every notification is claimed in EventReminder first, so restarts
+// and multiple instances never send it twice.
+//
+// Recurring series are reminded occurrence by occurrence, each keyed by its own
+// start. Registrations for a single occurrence belong to its override event,
+// which is reminded like any other event.
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const EventReminder = require('../models/EventReminder');
+const emailService = require('../utils/emailService');
+const { scheduleJob } = require('./runner');
+
+const JOB_NAME = 'event-reminders';
+
+// Keep BCC lists to a size mail providers accept
+const BATCH_SIZE = 100;
+
+// Status changes older than this are not announced (e.g. after a long outage)
+const STATUS_NOTICE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// '24h,2h' → [{ label: '24h', ms }, { label: '2h', ms }], largest first
+const parseOffsets = (value = '24h,2h') => {
+  return String(value)
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .map(item => /^(\d+)([mhd])$/.exec(item))
+    .filter(Boolean)
+    .map(([label, amount, unit]) => ({ label, ms: parseInt(amount, 10) * UNITS[unit] }))
+    .sort((a, b) => b.ms - a.ms);
+};
+
+const REMINDER_OFFSETS = parseOffsets(process.env.EVENT_REMINDER_OFFSETS || '24h,2h');
+
+// 'tomorrow', 'in 3 days', 'in 2 hours', 'in 30 minutes'
+const describeOffset = (ms) => {
+  if (ms === UNITS.d) return 'tomorrow';
+  if (ms % UNITS.d === 0) return `in ${ms / UNITS.d} days`;
+  if (ms % UNITS.h === 0) return `in ${ms / UNITS.h} hour${ms === UNITS.h ? '' : 's'}`;
+  return `in ${Math.round(ms / UNITS.m)} minutes`;
+};
+
+// Registrants to notify, from registrations and the legacy embedded rsvps, one per email
+const getRecipients = async (event, statuses = ['confirmed']) => {
+  const registrations = await EventRegistration.find({ event: event._id, status: { $in: statuses } })
+    .select('name email')
+    .lean();
+  const rsvps = (event.rsvps || []).filter(rsvp => rsvp.email && statuses.includes(rsvp.status));
+
+  const byEmail = new Map();
+  [...registrations, ...rsvps].forEach(recipient => {
+    byEmail.set(recipient.email.toLowerCase(), { name: recipient.name, email: recipient.email });
+  });
+  return [...byEmail.values()];
+};
+
+// Claim a notification, send it in batches and record the outcome.
+// Returns the number of recipients, or null when it was already claimed.
+const dispatch = async (event, kind, key, statuses, send) => {
+  const claim = await EventReminder.claim(event._id, kind, key);
+  if (!claim) return null;
+
+  const recipients = await getRecipients(event, statuses);
+
+  try {
+    for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
+      await send(recipients.slice(i, i + BATCH_SIZE));
+    }
+    await claim.complete(recipients.length);
+    return recipients.length;
+  } catch (error) {
+    // Not retried: part of the list may already have the email
+    await claim.complete(recipients.length, error);
+    throw error;
+  }
+};
+
+// Send the reminders that are due. Only the nearest due offset is sent, so an
+// event that comes into range late gets one timely reminder rather than several.
+const sendDueReminders = async (now = new Date()) => {
+  if (REMINDER_OFFSETS.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS[0].ms);
+
+  const [single, series] = await Promise.all([
+    Event.find({ status: 'published', 'recurrence.freq': null, startDate: { $gt: now, $lte: horizon } }).lean(),
+    Event.find({
+      status: 'published',
+      'recurrence.freq': { $ne: null },
+      startDate: { $lte: horizon },
+      $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gt: now } }]
+    }).lean()
+  ]);
+
+  // Occurrences keep the series' _id, so they go to the series' registrants
+  const occurrences = (await Event.expandSeries(series, { from: now, to: horizon }))
+    .filter(occurrence => occurrence.startDate > now);
+
+  const events = [...single, ...occurrences];
+
+  let sent = 0;
+
+  for (const event of events) {
+    const due = REMINDER_OFFSETS.filter(offset => new Date(event.startDate) - offset.ms <= now);
+    const offset = due[due.length - 1];
+    if (!offset) continue;
+
+    try {
+      const recipients = await dispatch(event, `reminder:${offset.label}`, event.startDate, ['confirmed'],
+        batch => emailService.sendEventReminder(event, batch, { startsIn: describeOffset(offset.ms) }));
+
+      if (recipients !== null) {
+        sent += 1;
+        console.log(`🔔 Sent ${offset.label} reminder for ${event.title} to ${recipients} registrants`);
+      }
+    } catch (error) {
+      console.error(`Failed to send reminder for event ${event._id}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+// Tell registrants (and the waitlist) about cancelled or postponed events
+const sendStatusNotices = async (now = new Date()) => {
+  const events = await Event.find({
+    status: { $in: ['cancelled', 'postponed'] },
+    statusChangedAt: { $gte: new Date(now.getTime() - STATUS_NOTICE_MAX_AGE_MS) }
+  }).lean();
+
+  let sent = 0;
+
+  for (const event of events) {
+    try {
+      const recipients = await dispatch(event, `status:${event.status}`, event.statusChangedAt, ['confirmed', 'waitlisted'],
+        batch => emailService.sendEventStatusUpdate(event, batch));
+
+      if (recipients !== null) {
+        sent += 1;
+        console.log(`📣 Told ${recipients} registrants that ${event.title} is ${event.status}`);
+      }
+    } catch (error) {
+      console.error(`Failed to send ${event.status} notice for event ${event._id}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+const runEventReminders = async (now = new Date()) => {
+  const notices = await sendStatusNotices(now);
+  const reminders = await sendDueReminders(now);
+  return { notices, reminders };
+};
+
+// Start the dispatcher (EVENT_REMINDER_INTERVAL_SEC, default five minutes)
+const startEventReminders = () => {
+  const intervalSec = parseInt(process.env.EVENT_REMINDER_INTERVAL_SEC, 10) || 300;
+  scheduleJob(JOB_NAME, intervalSec * 1000, () => runEventReminders());
+};
+
+module.exports = {
+  parseOffsets,
+  sendDueReminders,
+  sendStatusNotices,
+  runEventReminders,
+  startEventReminders
+};
@@ -0,0 +1,97 @@
+// server/jobs/pressScheduler.js
+// Publishes scheduled press releases once their publishDate has passed.
+const Press = require('../models/Press');
+const Newsletter = require('../models/Newsletter');
+const emailService = require('../utils/emailService');
+const { scheduleJob } = require('./runner');
+
+const JOB_NAME = 'press-scheduler';
+
+// Keep BCC lists to a size mail providers accept
+const NOTIFICATION_BATCH_SIZE = 100;
+
+// Email subscribers interested in press releases about a newly published release.
+// Each batch is recorded in emailHistory as it goes out, so a run that fails
+// partway resumes with the subscribers who haven't been emailed yet.
+const notifySubscribers = async (press) => {
+  const campaignId = `press-${press._id}`;
+  const subscribers = await Newsletter.getByInterests(['press-releases'])
+    .where('emailHistory.campaignId').ne(campaignId)
+    .select('email');
+
+  for (let i = 0; i < subscribers.length; i += NOTIFICATION_BATCH_SIZE) {
+    const batch = subscribers.slice(i, i + NOTIFICATION_BATCH_SIZE);
+    await emailService.sendPressNotification(press, batch);
+
+    await Newsletter.updateMany(
+      { _id: { $in: batch.map(sub => sub._id) } },
+      {
+        $inc: { emailsReceived: 1 },
+        $push: {
+          emailHistory: {
+            campaignId,
+            subject: `New Press Release: ${press.title}`,
+            sentDate: new Date()
+          }
+        }
+      }
+    );
+  }
+
+  return subscribers.length;
+};
+
+// Notify subscribers about published releases that ask for it. A release is only
+// marked as notified once every batch has gone out, so failures are retried on
+// the next run.
+const sendPendingNotifications = async () => {
+  const pending = await Press.getPendingNotifications();
+  let notified = 0;
+
+  for (const press of pending) {
+    try {
+      const sent = await notifySubscribers(press);
+      await Press.updateOne({ _id: press._id }, { notificationSentAt: new Date() });
+      notified += 1;
+      console.log(`📧 Press notification for ${press.title} sent to ${sent} subscribers`);
+    } catch (error) {
+      console.error(`Failed to notify subscribers about ${press._id}:`, error.message);
+    }
+  }
+
+  return notified;
+};
+
+// Publish every scheduled release that is due, then send any pending
+// notifications. Returns how many were published.
+const publishDueReleases = async (now = new Date()) => {
+  const due = await Press.getDueScheduled(now);
+  let published = 0;
+
+  for (const press of due) {
+    try {
+      await press.publish();
+      published += 1;
+      console.log(`📰 Published scheduled press release: ${press.title}`);
+    } catch (error) {
+      console.error(`Failed to publish press release ${press._id}:`, error.message);
+    }
+  }
+
+  await sendPendingNotifications();
+
+  return published;
+};
+
+// Start the scheduler (PRESS_SCHEDULER_INTERVAL_SEC, default one minute)
+const startPressScheduler = () => {
+  const intervalSec = parseInt(process.env.PRESS_SCHEDULER_INTERVAL_SEC, 10) || 60;
+  scheduleJob(JOB_NAME, intervalSec * 1000, () => publishDueReleases());
+};
+
+module.exports = {
+  publishDueReleases,
+  sendPendingNotifications,
+  notifySubscribers,
+  startPressScheduler
+};
@@ -0,0 +1,67 @@
+// server/jobs/runner.js
+// Runs background jobs on an interval inside the server process. Each run takes
+// a JobLock first, so when several instances are deployed only one acts.
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const JobLock = require('../models/JobLock');
+
+// Identifies this process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const timers = new Map();
+
+// Run a job once if we can take its lock. Returns the task result, or null when
+// another instance holds the lock or the database isn't connected.
+const runJob = async (name, task, { lockTtlMs = 5 * 60 * 1000 } = {}) => {
+  if (mongoose.connection.readyState !== 1) return null;
+
+  const acquired = await JobLock.acquire(name, INSTANCE_ID, lockTtlMs);
+  if (!acquired) return null;
+
+  try {
+    return await task();
+  } finally {
+    await JobLock.release(name, INSTANCE_ID);
+  }
+};
+
+// Schedule a job every `intervalMs`. Runs never overlap within one process.
+const scheduleJob = (name, intervalMs, task, options = {}) => {
+  if (timers.has(name)) return;
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await runJob(name, task, options);
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for background jobs
+  timer.unref();
+  timers.set(name, timer);
+
+  console.log(`⏱️  Job ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+};
+
+// Stop every scheduled job (used on shutdown)
+const stopAllJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  INSTANCE_ID,
+  runJob,
+  scheduleJob,
+  stopAllJobs
+};
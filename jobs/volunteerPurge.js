@@ -0,0 +1,38 @@
+// server/jobs/volunteerPurge.js
+// Deletes volunteer sign-ups whose email was never confirmed, so bots and
+// mistyped addresses don't pile up. Only records that were sent a verification
+// link are purged; volunteers from before email verification are left alone.
+const Volunteer = require('../models/Volunteer');
+const { scheduleJob } = require('./runner');
+
+const JOB_NAME = 'volunteer-purge';
+
+// Delete unverified sign-ups older than maxAgeHours. Returns how many were deleted.
+const purgeUnverifiedVolunteers = async (now = new Date()) => {
+  const maxAgeHours = parseInt(process.env.UNVERIFIED_VOLUNTEER_MAX_AGE_HOURS, 10) || 7 * 24;
+  const cutoff = new Date(now.getTime() - maxAgeHours * 60 * 60 * 1000);
+
+  const { deletedCount } = await Volunteer.deleteMany({
+    verified: { $ne: true },
+    status: 'pending',
+    verificationSentAt: { $exists: true },
+    createdAt: { $lt: cutoff }
+  });
+
+  if (deletedCount > 0) {
+    console.log(`🧹 Purged ${deletedCount} unverified volunteer sign-ups older than ${maxAgeHours} hours`);
+  }
+
+  return deletedCount;
+};
+
+// Start the purge (VOLUNTEER_PURGE_INTERVAL_SEC, default one hour)
+const startVolunteerPurge = () => {
+  const intervalSec = parseInt(process.env.VOLUNTEER_PURGE_INTERVAL_SEC, 10) || 3600;
+  scheduleJob(JOB_NAME, intervalSec * 1000, () => purgeUnverifiedVolunteers());
+};
+
+module.exports = {
+  purgeUnverifiedVolunteers,
+  startVolunteerPurge
+};
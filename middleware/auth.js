@@ -2,79 +2,111 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { AppError, catchAsync } = require('./errorHandler');
-
-// Simple admin user model (you might want to create a proper User model)
-const adminUsers = [
-  {
-    id: '1',
-    username: 'admin',
-    email: 'admin@campaign2027.ke',
-    password: '$2a$12$k1gZ/wtmYRp.BqCOLoOvnui.9Iu2j3fsJ9s0ZZp2QBOgZz/taZ2RC', // hashed 'admin123'
-    role: 'super-admin',
-    permissions: ['all']
-  },
-  {
-    id: '2',
-    username: 'communications',
-    email: 'comms@campaign2027.ke',
-    password: '$2a$12$8k2WcGN1OaOtlL4/gNhOFu7Q6sZxELGj8d9wKl2pMn3oVbCxFyZq6', // hashed 'comms2027'
-    role: 'communications',
-    permissions: ['press', 'media', 'newsletter']
-  },
-  {
-    id: '3',
-    username: 'volunteer-coordinator',
-    email: 'volunteers@campaign2027.ke',
-    password: '$2a$12$Rm8k3lL5xN2pQ7wKj9yF8O4cVdEhGf6tYu1zXs0aBn7mL9pC2kI5e', // hashed 'volunteers2027'
-    role: 'volunteer-coordinator',
-    permissions: ['volunteers', 'events']
-  }
-];
-
-// Generate JWT token
-const signToken = (user) => {
+const AdminUser = require('../models/AdminUser');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const { hasPermission } = require('../config/permissions');
+const emailService = require('../utils/emailService');
+const { diffDocuments } = require('../utils/diff');
+
+// Generate a short-lived JWT access token bound to a session
+const signToken = (user, session) => {
   return jwt.sign(
     {
       id: user.id,
       role: user.role,
+      sid: session.id,
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     }
   );
 };
 
+// Generate a refresh token and the hash stored for it
+const generateRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  return { refreshToken, refreshTokenHash: hashToken(refreshToken) };
+};
 
-// Create and send token response
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user);
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRES_IN || 7) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+// SHA-256 hash used for every token we persist
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Refresh token lifetime in milliseconds
+const refreshTokenTTL = () => {
+  return (parseInt(process.env.JWT_REFRESH_EXPIRES_IN, 10) || 7) * 24 * 60 * 60 * 1000;
+};
+
+// Read the refresh token from the cookie or request body
+const getRefreshToken = (req) => {
+  if (req.cookies && req.cookies.refreshToken) {
+    return req.cookies.refreshToken;
+  }
+  return req.body && req.body.refreshToken;
+};
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
+
+// Set the access and refresh token cookies
+const setAuthCookies = (res, token, refreshToken, session) => {
+  res.cookie('jwt', token, {
+    ...baseCookieOptions(),
+    expires: new Date(jwt.decode(token).exp * 1000)
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    ...baseCookieOptions(),
+    expires: session.expiresAt,
+    path: '/api/auth'
+  });
+};
+
+// Create a new session and send the token pair
+const createSendToken = async (user, statusCode, req, res) => {
+  await handleConcurrentSessions(user);
+
+  const { refreshToken, refreshTokenHash } = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    expiresAt: new Date(Date.now() + refreshTokenTTL())
+  });
 
-  res.cookie('jwt', token, cookieOptions);
+  const token = signToken(user, session);
+  setAuthCookies(res, token, refreshToken, session);
 
-  const { password, ...userWithoutPassword } = user;
+  // Remove password from output
+  user.password = undefined;
 
   res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken,
     data: {
-      user: userWithoutPassword,
+      user,
     },
   });
 };
 
 
-// Middleware to protect routes (require authentication)
-const protect = catchAsync(async (req, res, next) => {
+// Build the authentication middleware. Accounts flagged with mustChangePassword
+// may only reach routes built with allowPasswordChange, and accounts whose role
+// requires two-factor authentication only routes built with allowTwoFactorSetup
+// until they enrol.
+const authenticate = ({ allowPasswordChange = false, allowTwoFactorSetup = false } = {}) => catchAsync(async (req, res, next) => {
   // 1) Getting token and check if it's there
   let token;
   if (
@@ -82,7 +114,7 @@ const protect = catchAsync(async (req, res, next) => {
     req.headers.authorization.startsWith('Bearer')
   ) {
     token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.jwt) {
+  } else if (req.cookies && req.cookies.jwt) {
     token = req.cookies.jwt;
   }
 
@@ -95,22 +127,81 @@ const protect = catchAsync(async (req, res, next) => {
   // 2) Verification of token
   const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
 
-  // 3) Check if admin user still exists
-  const currentUser = adminUsers.find(user => user.id === decoded.id);
+  // 3) Check if admin user still exists and has not been disabled
+  const currentUser = await AdminUser.findById(decoded.id);
   if (!currentUser) {
     return next(
       new AppError('The user belonging to this token does no longer exist.', 401)
     );
   }
+  if (!currentUser.active) {
+    return next(
+      new AppError('This account has been disabled. Please contact an administrator.', 401)
+    );
+  }
 
   // 4) Check if user changed password after the token was issued
-  // (In a real application, you'd check this against a database field)
+  if (currentUser.changedPasswordAfter(decoded.iat)) {
+    return next(
+      new AppError('User recently changed password! Please log in again.', 401)
+    );
+  }
+
+  // 5) Check the session behind the token has not been revoked
+  const session = decoded.sid && await Session.findOne({
+    _id: decoded.sid,
+    user: currentUser._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) {
+    return next(
+      new AppError('Your session has ended. Please log in again.', 401)
+    );
+  }
+
+  // 6) Hold back accounts that still have to replace a temporary password
+  if (currentUser.mustChangePassword && !allowPasswordChange) {
+    return next(
+      new AppError('You must change your password before continuing.', 403)
+    );
+  }
+
+  // 7) Hold back accounts whose role requires 2FA until they have enrolled
+  if (
+    !currentUser.twoFactor.enabled &&
+    !allowTwoFactorSetup &&
+    await SecurityPolicy.requiresTwoFactor(currentUser.role)
+  ) {
+    return next(
+      new AppError('Two-factor authentication is required for your role. Please set it up to continue.', 403)
+    );
+  }
 
   // Grant access to protected route
   req.user = currentUser;
+  req.authSession = session;
   next();
 });
 
+// Middleware to protect routes (require authentication)
+const protect = authenticate();
+
+// Same as protect, but lets through users who must change their password
+const protectPasswordChange = authenticate({ allowPasswordChange: true });
+
+// Same as protect, but lets through users who still have to enrol in 2FA
+const protectTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Sign the short-lived token that stands between the password and 2FA steps
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
 // Middleware to restrict to certain roles
 const restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -123,22 +214,16 @@ const restrictTo = (...roles) => {
   };
 };
 
-// Middleware to check specific permissions
+// Middleware to check specific permissions (passes if the user has any of them)
 const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    const userPermissions = req.user.permissions;
-    
-    // Super admin has all permissions
-    if (userPermissions.includes('all')) {
-      return next();
-    }
+    const userPermissions = req.user.permissions || [];
 
-    // Check if user has any of the required permissions
-    const hasPermission = permissions.some(permission => 
-      userPermissions.includes(permission)
+    const allowed = permissions.some(permission =>
+      hasPermission(userPermissions, permission)
     );
 
-    if (!hasPermission) {
+    if (!allowed) {
       return next(
         new AppError('You do not have permission to perform this action', 403)
       );
@@ -147,6 +232,16 @@ const requirePermission = (...permissions) => {
   };
 };
 
+// Route guard: authenticate, then check a permission from config/permissions.js
+const authorize = (...permissions) => [protect, requirePermission(...permissions)];
+
+// Extra permission check that only applies when the request matches a condition,
+// e.g. publishing while saving a press release
+const requirePermissionWhen = (condition, ...permissions) => {
+  const check = requirePermission(...permissions);
+  return (req, res, next) => (condition(req) ? check(req, res, next) : next());
+};
+
 // Login function
 const login = catchAsync(async (req, res, next) => {
   const { email, password } = req.body;
@@ -157,29 +252,151 @@ const login = catchAsync(async (req, res, next) => {
   }
 
   // 2) Check if user exists && password is correct
-  const bcrypt = require('bcryptjs');
-  const user = adminUsers.find(user => user.email === email);
-  
-  if (!user || !(await bcrypt.compare(password, user.password))) {
+  const user = await AdminUser.findOne({ email: email.toLowerCase() }).select('+password');
+
+  if (!user || !(await user.correctPassword(password))) {
     return next(new AppError('Incorrect email or password', 401));
   }
 
-  // 3) If everything ok, send token to client
-  createSendToken(user, 200, res);
+  if (!user.active) {
+    return next(new AppError('This account has been disabled. Please contact an administrator.', 401));
+  }
+
+  // 3) If two-factor authentication is enabled, ask for the code first
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user)
+    });
+  }
+
+  // 4) If everything ok, record the login and send token to client
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await createSendToken(user, 200, req, res);
+});
+
+// Second login step: exchange a challenge token and TOTP/recovery code for a session
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Please provide the challenge token and a verification code', 400));
+  }
+
+  // 1) Verify the challenge token
+  let decoded;
+  try {
+    decoded = await promisify(jwt.verify)(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(new AppError('Your login attempt has expired. Please log in again.', 401));
+  }
+
+  if (decoded.purpose !== '2fa-challenge') {
+    return next(new AppError('Invalid challenge token', 401));
+  }
+
+  // 2) Check the user is still allowed in
+  const user = await AdminUser.findById(decoded.id)
+    .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user || !user.active || !user.twoFactor.enabled) {
+    return next(new AppError('Your login attempt has expired. Please log in again.', 401));
+  }
+
+  // 3) Check the TOTP or recovery code
+  const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+
+  if (!verified) {
+    return next(new AppError('Invalid verification code', 401));
+  }
+
+  // 4) Record the login and send token to client
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await createSendToken(user, 200, req, res);
 });
 
 // Logout function
-const logout = (req, res) => {
+const logout = catchAsync(async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  // Revoke the session server-side so the refresh token can't be reused
+  if (refreshToken) {
+    const session = await Session.findOne({
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null
+    });
+    if (session) {
+      await session.revoke('logout', session.user);
+    }
+  }
+
   res.cookie('jwt', 'loggedout', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true,
   });
+  res.clearCookie('refreshToken', { path: '/api/auth' });
   res.status(200).json({ status: 'success' });
-};
+});
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+const refresh = catchAsync(async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  if (!refreshToken) {
+    return next(new AppError('Refresh token is required', 401));
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // A rotated-out token being presented again means it was stolen: end that session
+    const reusedSession = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (reusedSession) {
+      await reusedSession.revoke('token-reuse');
+      console.warn(`Refresh token reuse detected for session ${reusedSession.id}`);
+    }
+    return next(new AppError('Invalid refresh token. Please log in again.', 401));
+  }
+
+  if (!session.isActive) {
+    return next(new AppError('Your session has ended. Please log in again.', 401));
+  }
+
+  const user = await AdminUser.findById(session.user);
+  if (!user || !user.active) {
+    await session.revoke('account-disabled');
+    return next(new AppError('This account is no longer active.', 401));
+  }
+
+  // Rotate the refresh token
+  const { refreshToken: newRefreshToken, refreshTokenHash } = generateRefreshToken();
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = refreshTokenHash;
+  session.rotationCount += 1;
+  session.lastUsedAt = new Date();
+  session.ipAddress = req.ip;
+  session.userAgent = req.get('User-Agent');
+  await session.save();
+
+  const token = signToken(user, session);
+  setAuthCookies(res, token, newRefreshToken, session);
+
+  res.status(200).json({
+    status: 'success',
+    token,
+    refreshToken: newRefreshToken
+  });
+});
 
 // Middleware to check if user is logged in (for rendered pages)
 const isLoggedIn = async (req, res, next) => {
-  if (req.cookies.jwt) {
+  if (req.cookies && req.cookies.jwt) {
     try {
       // 1) verify the token
       const decoded = await promisify(jwt.verify)(
@@ -188,8 +405,23 @@ const isLoggedIn = async (req, res, next) => {
       );
 
       // 2) Check if user still exists
-      const currentUser = adminUsers.find(user => user.id === decoded.id);
-      if (!currentUser) {
+      const currentUser = await AdminUser.findById(decoded.id);
+      if (!currentUser || !currentUser.active) {
+        return next();
+      }
+
+      // 3) Check if user changed password after the token was issued
+      if (currentUser.changedPasswordAfter(decoded.iat)) {
+        return next();
+      }
+
+      // 4) Check the session is still active
+      const session = decoded.sid && await Session.exists({
+        _id: decoded.sid,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+      if (!session) {
         return next();
       }
 
@@ -208,27 +440,41 @@ const generateSecureToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
-// API key authentication for external services
-const apiKeyAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  
-  if (!apiKey) {
+// API key authentication for partner services, e.g. apiKeyAuth('press:read')
+const apiKeyAuth = (...scopes) => catchAsync(async (req, res, next) => {
+  // Keys in URLs end up in logs and browser history
+  if (req.query.apiKey || req.query.api_key) {
+    return next(new AppError('Send your API key in the X-API-Key header, not the query string', 400));
+  }
+
+  const key = req.headers['x-api-key'];
+
+  if (!key) {
     return next(new AppError('API key is required', 401));
   }
 
-  // Check against valid API keys (store these in environment variables)
-  const validApiKeys = [
-    process.env.INTERNAL_API_KEY,
-    process.env.WEBHOOK_API_KEY,
-    process.env.MEDIA_API_KEY
-  ].filter(Boolean);
+  // Every API key scope is read-only
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    return next(new AppError('API keys only grant read access', 403));
+  }
+
+  const apiKey = await ApiKey.findByKey(key);
 
-  if (!validApiKeys.includes(apiKey)) {
-    return next(new AppError('Invalid API key', 401));
+  if (!apiKey || !apiKey.isActive) {
+    return next(new AppError('Invalid or expired API key', 401));
   }
 
+  if (!apiKey.hasScopes(scopes)) {
+    return next(new AppError('This API key does not have the required scope', 403));
+  }
+
+  apiKey.recordUsage(req.ip).catch(error => {
+    console.error('Failed to record API key usage:', error.message);
+  });
+
+  req.apiKey = apiKey;
   next();
-};
+});
 
 // Rate limiting by user role
 const rateLimitByRole = (req, res, next) => {
@@ -250,39 +496,107 @@ const rateLimitByRole = (req, res, next) => {
   next();
 };
 
-// Middleware to log admin actions
-const logAdminAction = (action) => {
-  return (req, res, next) => {
-    const originalSend = res.send;
-    
-    res.send = function(data) {
-      // Log successful admin actions
-      if (res.statusCode < 400 && req.user) {
-        console.log(`Admin Action: ${action} by ${req.user.email} at ${new Date().toISOString()}`);
-        
-        // In production, you'd want to store this in a database
-        // AdminLog.create({
-        //   action,
-        //   userId: req.user.id,
-        //   userEmail: req.user.email,
-        //   ip: req.ip,
-        //   userAgent: req.get('User-Agent'),
-        //   timestamp: new Date()
-        // });
+// Fields whose values never belong in the audit trail
+const AUDIT_REDACTED_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'twoFactor',
+  'keyHash',
+  'nationalId',
+  'encrypted',
+  'blindIndex'
+];
+
+// Find the id of the record a controller returned, e.g. { data: { _id } }
+// or { data: { volunteer: { _id } } }
+const findResponseEntityId = (body) => {
+  const data = body && body.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return undefined;
+  if (data._id) return data._id;
+
+  const nested = Object.values(data).find(value => value && typeof value === 'object' && value._id);
+  return nested ? nested._id : undefined;
+};
+
+// Middleware to log admin actions to the AuditLog collection.
+// When a model name is given, the target record is loaded before and after the
+// handler runs so the log carries a field-level diff of what changed.
+const logAdminAction = (action, { model, idParam = 'id', redact = [] } = {}) => {
+  return async (req, res, next) => {
+    const Model = model ? mongoose.model(model) : null;
+    const targetId = req.params[idParam];
+    let before = null;
+
+    if (Model && targetId && mongoose.Types.ObjectId.isValid(targetId)) {
+      try {
+        before = await Model.findById(targetId).lean();
+      } catch (error) {
+        console.error(`Audit snapshot failed for ${action}:`, error.message);
       }
-      
-      originalSend.call(this, data);
+    }
+
+    let responseBody;
+    const originalJson = res.json;
+    res.json = function(body) {
+      responseBody = body;
+      return originalJson.call(this, body);
     };
-    
+
+    res.on('finish', async () => {
+      // Only successful admin actions are recorded
+      if (res.statusCode >= 400 || !req.user) return;
+
+      try {
+        const entityId = targetId || findResponseEntityId(responseBody);
+        const validId = entityId && mongoose.Types.ObjectId.isValid(entityId) ? entityId : undefined;
+        const after = Model && validId ? await Model.findById(validId).lean() : null;
+
+        await AuditLog.create({
+          actor: req.user._id,
+          actorEmail: req.user.email,
+          actorRole: req.user.role,
+          action,
+          entity: {
+            collectionName: Model ? Model.collection.collectionName : undefined,
+            id: validId
+          },
+          changes: Model
+            ? diffDocuments(before, after, { redact: [...AUDIT_REDACTED_FIELDS, ...redact] })
+            : [],
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+      } catch (error) {
+        console.error(`Failed to record admin action ${action}:`, error.message);
+      }
+    });
+
     next();
   };
 };
 
 // Middleware to handle concurrent sessions
-const handleConcurrentSessions = (req, res, next) => {
-  // In a real application, you'd check against active sessions in database
-  // For now, we'll just allow multiple sessions
-  next();
+// Revokes the oldest sessions so a new login stays within the role's limit
+const handleConcurrentSessions = async (user) => {
+  const roleSessionLimits = {
+    'super-admin': 3,
+    'communications': 5,
+    'volunteer-coordinator': 5,
+    'default': 3
+  };
+
+  const maxSessions = roleSessionLimits[user.role] || roleSessionLimits.default;
+
+  const activeSessions = await Session.getActiveForUser(user._id);
+  const excessSessions = activeSessions.slice(maxSessions - 1);
+
+  await Promise.all(
+    excessSessions.map(session => session.revoke('session-limit'))
+  );
 };
 
 // Password strength validation
@@ -336,16 +650,140 @@ const generatePasswordResetToken = () => {
     
   return { resetToken, hashedToken };
 };
-const authenticateAdmin = [protect, restrictTo('super-admin', 'communications')];
+
+// Send a password reset link to an admin user
+const forgotPassword = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide your email address', 400));
+  }
+
+  const genericResponse = {
+    status: 'success',
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  };
+
+  // 1) Get user based on posted email (don't reveal whether it exists)
+  const user = await AdminUser.findOne({ email: email.toLowerCase(), active: true });
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // 2) Generate the random reset token and store only its hash
+  const { resetToken, hashedToken } = generatePasswordResetToken();
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MIN, 10) || 10;
+
+  user.passwordResetToken = hashedToken;
+  user.passwordResetExpires = Date.now() + expiresInMinutes * 60 * 1000;
+  await user.save({ validateBeforeSave: false });
+
+  // 3) Send it to user's email
+  const resetURL = `${process.env.FRONTEND_URL}/admin/reset-password/${resetToken}`;
+
+  try {
+    await emailService.sendPasswordReset(user, resetURL, expiresInMinutes);
+  } catch (error) {
+    console.error('Failed to send password reset email:', error);
+
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(
+      new AppError('There was an error sending the email. Try again later!', 500)
+    );
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// Reset password using the emailed token
+const resetPassword = catchAsync(async (req, res, next) => {
+  // 1) Get user based on the token
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await AdminUser.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() },
+    active: true
+  });
+
+  // 2) If token has not expired, and there is user, set the new password
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
+
+  const { password } = req.body;
+  const passwordError = password ? validatePassword(password) : 'Please provide a new password';
+  if (passwordError) {
+    return next(new AppError(passwordError, 400));
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.mustChangePassword = false;
+  await user.save();
+
+  // 3) End every existing session, log the user in, send JWT
+  await Session.revokeAllForUser(user._id, 'password-change');
+  await createSendToken(user, 200, req, res);
+});
+
+// Change password for the logged in user
+const changePassword = catchAsync(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return next(new AppError('Please provide your current and new password', 400));
+  }
+
+  // 1) Get user from collection
+  const user = await AdminUser.findById(req.user.id).select('+password');
+
+  // 2) Check if posted current password is correct
+  if (!(await user.correctPassword(currentPassword))) {
+    return next(new AppError('Your current password is wrong.', 401));
+  }
+
+  if (currentPassword === newPassword) {
+    return next(new AppError('New password must be different from the current password', 400));
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return next(new AppError(passwordError, 400));
+  }
+
+  // 3) Update password
+  user.password = newPassword;
+  user.mustChangePassword = false;
+  await user.save();
+
+  // 4) End every existing session, log user in, send JWT
+  await Session.revokeAllForUser(user._id, 'password-change', user._id);
+  await createSendToken(user, 200, req, res);
+});
 
 module.exports = {
   signToken,
   createSendToken,
   protect,
+  protectPasswordChange,
+  protectTwoFactorSetup,
   restrictTo,
   requirePermission,
+  requirePermissionWhen,
+  authorize,
   login,
+  verifyTwoFactorLogin,
   logout,
+  refresh,
+  hashToken,
   isLoggedIn,
   generateSecureToken,
   apiKeyAuth,
@@ -355,6 +793,7 @@ module.exports = {
   validatePassword,
   checkSessionTimeout,
   generatePasswordResetToken,
-  authenticateAdmin,
-  adminUsers // Export for testing purposes
+  forgotPassword,
+  resetPassword,
+  changePassword
 };
\ No newline at end of file
@@ -123,6 +123,44 @@ const uploadLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Partner API limiter per IP (runs before apiKeyAuth). Requests that authenticate
+// are not counted, so it only holds back callers without a valid key.
+const partnerIpLimiter = rateLimit({
+  store: new MongoStore({
+    uri: mongoUrl,
+    collectionName: 'partner_ip_rate_limits',
+    expireTimeMs: 15 * 60 * 1000 // 15 minutes
+  }),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 unauthenticated requests per windowMs
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.apiKey)
+});
+
+// Partner API limiter, per API key rather than per IP (runs after apiKeyAuth)
+const partnerLimiter = rateLimit({
+  store: new MongoStore({
+    uri: mongoUrl,
+    collectionName: 'partner_rate_limits',
+    expireTimeMs: 15 * 60 * 1000 // 15 minutes
+  }),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PARTNER_RATE_LIMIT, 10) || 1000, // Requests per key per windowMs
+  message: {
+    error: 'This API key has made too many requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `api-key-${req.apiKey._id}`
+});
+
 // Speed limiter to slow down requests after certain threshold
 const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -266,6 +304,8 @@ module.exports = {
   volunteerLimiter,
   newsletterLimiter,
   uploadLimiter,
+  partnerIpLimiter,
+  partnerLimiter,
   speedLimiter,
   searchLimiter,
   downloadLimiter,
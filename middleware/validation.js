@@ -93,6 +93,18 @@ const validateVolunteer = [
     .isLength({ min: 10, max: 200 })
     .withMessage('Address must be between 10 and 200 characters'),
   
+  body('coordinates.lat')
+    .optional()
+    .isFloat({ min: -4.7, max: 5.5 })
+    .withMessage('Latitude must be within Kenya')
+    .toFloat(),
+  
+  body('coordinates.lng')
+    .optional()
+    .isFloat({ min: 33.9, max: 42.0 })
+    .withMessage('Longitude must be within Kenya')
+    .toFloat(),
+  
   body('occupation')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -330,6 +342,37 @@ const validateMedia = [
   handleValidationErrors
 ];
 
+// Event registration validation rules
+const validateEventRegistration = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('phone')
+    .optional()
+    .matches(/^(\+254|0)[17]\d{8}$/)
+    .withMessage('Please provide a valid Kenyan phone number'),
+
+  body('specialRequests')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Special requests cannot exceed 500 characters'),
+
+  body('occurrenceDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Occurrence date must be in YYYY-MM-DD format'),
+
+  handleValidationErrors
+];
+
 // Parameter validation for routes
 const validateObjectId = [
   param('id')
@@ -381,6 +424,7 @@ module.exports = {
   validatePressRelease,
   validateContact,
   validateEvent,
+  validateEventRegistration,
   validateNewsletter,
   validateMedia,
   validateObjectId,
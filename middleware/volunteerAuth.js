@@ -0,0 +1,168 @@
+// server/middleware/volunteerAuth.js
+// Passwordless login for the volunteer portal. A volunteer asks for a magic
+// link, the link is exchanged once for a portal session token, and the token
+// authenticates /api/volunteers/me. None of this touches admin sessions: the
+// tokens have their own audience and never resolve to an AdminUser.
+const crypto = require('crypto');
+const Volunteer = require('../models/Volunteer');
+const { AppError, catchAsync } = require('./errorHandler');
+const { hashToken } = require('./auth');
+const { signVolunteerToken, verifyVolunteerToken } = require('../utils/volunteerTokens');
+const emailService = require('../utils/emailService');
+
+const COOKIE_NAME = 'volunteerToken';
+
+// Volunteers who can no longer sign in
+const LOCKED_OUT_STATUSES = ['withdrawn'];
+
+const loginLinkTTLMinutes = () => parseInt(process.env.VOLUNTEER_LOGIN_LINK_TTL_MIN, 10) || 15;
+const sessionTTLHours = () => parseInt(process.env.VOLUNTEER_SESSION_TTL_HOURS, 10) || 7 * 24;
+
+// Read the portal token from the Authorization header or the cookie
+const getPortalToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return req.cookies && req.cookies[COOKIE_NAME];
+};
+
+// Resolve a portal token to its volunteer, or null when it is invalid or was
+// ended by logout or withdrawal
+const findPortalVolunteer = async (token) => {
+  const payload = token && verifyVolunteerToken(token, 'portal-session');
+  if (!payload) return null;
+
+  const volunteer = await Volunteer.findById(payload.id);
+  if (!volunteer || volunteer.email !== payload.email) return null;
+  if (volunteer.portal.sessionVersion !== payload.sv) return null;
+  if (LOCKED_OUT_STATUSES.includes(volunteer.status)) return null;
+
+  return volunteer;
+};
+
+// Email a one-time sign-in link (the response never reveals whether the email is registered)
+const requestLoginLink = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide your email address', 400));
+  }
+
+  const genericResponse = {
+    status: 'success',
+    message: 'If a volunteer is registered with that email, a sign-in link has been sent.'
+  };
+
+  const volunteer = await Volunteer.findOne({
+    email: String(email).toLowerCase().trim(),
+    status: { $nin: LOCKED_OUT_STATUSES }
+  });
+  if (!volunteer) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Only the latest link works, and only once
+  const nonce = crypto.randomBytes(16).toString('hex');
+  volunteer.portal.loginNonceHash = hashToken(nonce);
+  await volunteer.save({ validateBeforeSave: false });
+
+  const expiresInMinutes = loginLinkTTLMinutes();
+  const token = signVolunteerToken(volunteer, 'portal-login', `${expiresInMinutes}m`, { nonce });
+  const loginURL = `${process.env.FRONTEND_URL}/volunteer/login/${token}`;
+
+  try {
+    await emailService.sendVolunteerLoginLink(volunteer, loginURL, expiresInMinutes);
+  } catch (error) {
+    console.error('Failed to send volunteer login link:', error);
+    return next(new AppError('There was an error sending the email. Try again later!', 500));
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// Exchange a magic link token for a portal session
+const loginWithLink = catchAsync(async (req, res, next) => {
+  const payload = verifyVolunteerToken(req.body.token, 'portal-login');
+  const invalid = new AppError('This sign-in link is invalid or has expired. Please request a new one.', 401);
+
+  if (!payload || !payload.nonce) {
+    return next(invalid);
+  }
+
+  // Clearing the nonce in the same update that checks it makes the link single-use
+  const volunteer = await Volunteer.findOneAndUpdate(
+    {
+      _id: payload.id,
+      email: payload.email,
+      status: { $nin: LOCKED_OUT_STATUSES },
+      'portal.loginNonceHash': hashToken(payload.nonce)
+    },
+    {
+      $unset: { 'portal.loginNonceHash': 1 },
+      $set: { 'portal.lastLoginAt': new Date(), lastActive: new Date() }
+    },
+    { new: true }
+  );
+
+  if (!volunteer) {
+    return next(invalid);
+  }
+
+  const expiresInHours = sessionTTLHours();
+  const token = signVolunteerToken(volunteer, 'portal-session', `${expiresInHours}h`, {
+    sv: volunteer.portal.sessionVersion
+  });
+
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    expires: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    token,
+    data: {
+      volunteer: {
+        _id: volunteer._id,
+        fullName: volunteer.fullName,
+        email: volunteer.email,
+        status: volunteer.status
+      }
+    }
+  });
+});
+
+// Require a portal session; sets req.volunteer
+const protectVolunteer = catchAsync(async (req, res, next) => {
+  const token = getPortalToken(req);
+
+  if (!token) {
+    return next(new AppError('Please sign in to the volunteer portal.', 401));
+  }
+
+  const volunteer = await findPortalVolunteer(token);
+  if (!volunteer) {
+    return next(new AppError('Your session has ended. Please sign in again.', 401));
+  }
+
+  req.volunteer = volunteer;
+  next();
+});
+
+// End every portal session of the signed-in volunteer
+const logoutVolunteer = catchAsync(async (req, res, next) => {
+  await Volunteer.updateOne({ _id: req.volunteer._id }, { $inc: { 'portal.sessionVersion': 1 } });
+
+  res.clearCookie(COOKIE_NAME);
+  res.status(200).json({ status: 'success' });
+});
+
+module.exports = {
+  COOKIE_NAME,
+  requestLoginLink,
+  loginWithLink,
+  protectVolunteer,
+  logoutVolunteer
+};
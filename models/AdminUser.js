@@ -0,0 +1,192 @@
+// server/models/AdminUser.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { verifyTOTP, hashRecoveryCode } = require('../utils/totp');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+
+const adminUserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters long'],
+    select: false
+  },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+
+  // Access Control
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: Object.keys(ROLE_PERMISSIONS)
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+
+  // Account History
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  lastLogin: Date,
+  disabledAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Never serialise credentials, even when they were explicitly selected
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Fill in role permissions when none were given explicitly
+adminUserSchema.pre('save', function(next) {
+  if (this.isModified('role') && (!this.permissions || this.permissions.length === 0)) {
+    this.permissions = [...ROLE_PERMISSIONS[this.role]];
+  }
+  next();
+});
+
+// Hash password whenever it changes
+adminUserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+// Record when the password changed so older tokens can be rejected
+adminUserSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Back-date by a second so the token issued right after the change stays valid
+  this.passwordChangedAt = Date.now() - 1000;
+  next();
+});
+
+// Indexes for efficient queries
+adminUserSchema.index({ role: 1, active: 1 });
+adminUserSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
+// Static method to get the default permissions for a role
+adminUserSchema.statics.defaultPermissions = function(role) {
+  return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : [];
+};
+
+// Method to compare a candidate password with the stored hash
+adminUserSchema.methods.correctPassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to check whether the password changed after a token was issued
+adminUserSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = parseInt(this.passwordChangedAt.getTime() / 1000, 10);
+    return JWTTimestamp < changedTimestamp;
+  }
+  return false;
+};
+
+// Method to check a TOTP code against the active (or pending) secret.
+// Needs +twoFactor.secret / +twoFactor.pendingSecret and +twoFactor.lastUsedStep selected.
+adminUserSchema.methods.verifyTwoFactorCode = function(code, { pending = false, time = Date.now() } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) return false;
+
+  const step = verifyTOTP(code, secret, { time });
+  if (step === null) return false;
+
+  // Reject a code that was already used (or an older one)
+  if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a one-time recovery code. Needs +twoFactor.recoveryCodes selected.
+adminUserSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const recoveryCode = (this.twoFactor.recoveryCodes || []).find(
+    entry => entry.hash === hash && !entry.usedAt
+  );
+
+  if (!recoveryCode) return false;
+
+  recoveryCode.usedAt = new Date();
+  return true;
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
\ No newline at end of file
@@ -0,0 +1,123 @@
+// server/models/ApiKey.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'ck_';
+
+// Only record usage once a minute so busy partners don't write on every request
+const USAGE_WRITE_INTERVAL = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // Only the SHA-256 hash of the key is stored; the prefix identifies it in lists
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(API_KEY_SCOPES)
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  // Lifecycle
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Indexes for efficient queries
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+apiKeySchema.index({ createdAt: -1 });
+
+// Static method to hash a raw key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Static method to generate a new raw key with its hash and display prefix
+apiKeySchema.statics.generateKey = function() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  return {
+    key,
+    keyHash: this.hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 8)
+  };
+};
+
+// Static method to find the key record for a raw key
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+// Method to check the key grants every required scope
+apiKeySchema.methods.hasScopes = function(scopes) {
+  return scopes.every(scope => this.scopes.includes(scope));
+};
+
+// Method to record that the key was used
+apiKeySchema.methods.recordUsage = function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < USAGE_WRITE_INTERVAL) {
+    return Promise.resolve();
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+  );
+};
+
+// Method to revoke the key
+apiKeySchema.methods.revoke = function(revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
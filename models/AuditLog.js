@@ -0,0 +1,55 @@
+// server/models/AuditLog.js
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  actorEmail: String,
+  actorRole: String,
+
+  // What
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  entity: {
+    collectionName: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // Request context
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'entity.collectionName': 1, 'entity.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to get the history of a single record
+auditLogSchema.statics.getForEntity = function(collectionName, id, limit = 50) {
+  return this.find({ 'entity.collectionName': collectionName, 'entity.id': id })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,164 @@
+// server/models/DataSubjectRequest.js
+// A data subject's request to see ("access") or remove ("erasure") the personal
+// data we hold about them, with its full history from receipt to fulfilment.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days we allow ourselves to fulfil a request (DATA_REQUEST_RESPONSE_DAYS)
+const RESPONSE_DAYS = parseInt(process.env.DATA_REQUEST_RESPONSE_DAYS, 10) || 7;
+
+const dataSubjectRequestSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['access', 'erasure'],
+    required: [true, 'Request type is required']
+  },
+  subject: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  details: {
+    type: String,
+    maxlength: [2000, 'Details cannot exceed 2000 characters']
+  },
+  // How the request reached us
+  channel: {
+    type: String,
+    enum: ['web', 'email', 'phone', 'letter', 'in-person'],
+    default: 'web'
+  },
+  status: {
+    type: String,
+    enum: ['pending-verification', 'verified', 'completed', 'rejected'],
+    default: 'pending-verification'
+  },
+  verification: {
+    // 'email-link' proves control of the email only; the manual methods cover the phone too
+    method: {
+      type: String,
+      enum: ['email-link', 'id-document', 'in-person', 'other']
+    },
+    // Identifiers the requester has proven, and so may be searched on
+    identifiers: [{
+      type: String,
+      enum: ['email', 'phone']
+    }],
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    notes: String,
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    tokenExpires: {
+      type: Date,
+      select: false
+    }
+  },
+  // What was done with each record when the request was fulfilled
+  erasureMode: {
+    type: String,
+    enum: ['delete', 'anonymise']
+  },
+  results: [{
+    collectionName: String,
+    recordId: mongoose.Schema.Types.ObjectId,
+    action: {
+      type: String,
+      enum: ['exported', 'deleted', 'anonymised', 'retained']
+    },
+    note: String
+  }],
+  dueAt: Date,
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  rejectionReason: String,
+  // Every step taken on the request, oldest first
+  history: [{
+    action: {
+      type: String,
+      enum: ['received', 'verification-sent', 'verified', 'looked-up', 'exported', 'erased', 'completed', 'rejected'],
+      required: true
+    },
+    // Unset for steps taken by the requester or the system
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    details: String,
+    at: { type: Date, default: Date.now }
+  }],
+  ipAddress: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the deadline has passed without fulfilment
+dataSubjectRequestSchema.virtual('overdue').get(function() {
+  return !['completed', 'rejected'].includes(this.status) && this.dueAt < new Date();
+});
+
+// Indexes for efficient queries
+dataSubjectRequestSchema.index({ status: 1, dueAt: 1 });
+dataSubjectRequestSchema.index({ 'subject.email': 1 });
+
+// Assign a reference (DSR-YYYYMMDD-XXXXXX) and deadline to new requests
+dataSubjectRequestSchema.pre('save', function(next) {
+  if (this.isNew) {
+    const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.reference = this.reference || `DSR-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    this.dueAt = this.dueAt || new Date(Date.now() + RESPONSE_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+// Method to record a step in the history
+dataSubjectRequestSchema.methods.logStep = function(action, { by, details } = {}) {
+  this.history.push({ action, by, details });
+  return this;
+};
+
+// Method to create an email verification token. Returns the token; only its hash is kept.
+dataSubjectRequestSchema.methods.createVerificationToken = function(expiresInHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verification.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.verification.tokenExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to mark the requester's identity as verified
+dataSubjectRequestSchema.methods.markVerified = function(method, { by, notes } = {}) {
+  this.status = 'verified';
+  this.verification.method = method;
+  this.verification.identifiers = method === 'email-link' || !this.subject.phone ? ['email'] : ['email', 'phone'];
+  this.verification.verifiedAt = new Date();
+  this.verification.verifiedBy = by;
+  this.verification.notes = notes;
+  this.verification.tokenHash = undefined;
+  this.verification.tokenExpires = undefined;
+  return this.logStep('verified', { by, details: `Verified by ${method}` });
+};
+
+module.exports = mongoose.model('DataSubjectRequest', dataSubjectRequestSchema);
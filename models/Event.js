@@ -1,5 +1,9 @@
 // server/models/Event.js
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const slugHistory = require('./plugins/slugHistory');
+const geoPoint = require('./plugins/geoPoint');
+const { FREQUENCIES, WEEKDAYS, dayKey, expandOccurrences } = require('../utils/recurrence');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -56,6 +60,36 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // Recurrence (RRULE-style). startDate/endDate describe the first occurrence.
+  recurrence: {
+    freq: {
+      type: String,
+      enum: FREQUENCIES
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1'],
+      default: 1
+    },
+    byDay: [{
+      type: String,
+      enum: WEEKDAYS
+    }],
+    until: Date,
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1']
+    }
+  },
+  // Days on which an occurrence of the series is skipped
+  exceptionDates: [Date],
+  // Set on a single occurrence that was edited separately from its series
+  recurrenceParent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  originalStartDate: Date,
   
   // Location
   venue: {
@@ -129,6 +163,13 @@ const eventSchema = new mongoose.Schema({
     enum: ['public', 'private', 'invitation-only'],
     default: 'public'
   },
+  // When status last changed (drives cancellation/postponement notices)
+  statusChangedAt: Date,
+  // Revision number for calendar clients (iCalendar SEQUENCE)
+  sequence: {
+    type: Number,
+    default: 0
+  },
   
   // Speakers and Attendees
   speakers: [{
@@ -317,6 +358,11 @@ eventSchema.virtual('formattedDateRange').get(function() {
   return `${start} - ${end}`;
 });
 
+// Virtual for whether the event is a recurring series
+eventSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.recurrence && this.recurrence.freq);
+});
+
 // Virtual for registration status
 eventSchema.virtual('registrationStatus').get(function() {
   if (!this.requiresRegistration) return 'open';
@@ -325,14 +371,28 @@ eventSchema.virtual('registrationStatus').get(function() {
   return 'open';
 });
 
-// Create slug from title before saving
+// Create a unique slug from title and date before saving; old slugs redirect
+eventSchema.plugin(slugHistory, {
+  source: event => `${event.title}-${event.startDate ? event.startDate.toISOString().split('T')[0] : ''}`
+});
+
+// GeoJSON copy of venue.coordinates for distance queries
+eventSchema.plugin(geoPoint, { path: 'geo', source: event => event.venue && event.venue.coordinates });
+
+// Bump the calendar sequence when something subscribers see changes,
+// so calendar apps replace their copy of the event
+const CALENDAR_FIELDS = ['title', 'description', 'startDate', 'endDate', 'timezone', 'allDay', 'venue', 'status'];
+
 eventSchema.pre('save', function(next) {
-  if (this.isModified('title')) {
-    const date = this.startDate.toISOString().split('T')[0];
-    this.slug = `${this.title}-${date}`
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
+  if (!this.isNew && CALENDAR_FIELDS.some(field => this.isModified(field))) {
+    this.sequence = (this.sequence || 0) + 1;
+  }
+  next();
+});
+
+eventSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('status')) {
+    this.statusChangedAt = new Date();
   }
   next();
 });
@@ -346,8 +406,27 @@ eventSchema.pre('save', function(next) {
   }
 });
 
+// A series can't itself be an override, and may end on a date or after a count
+// (or neither, for an open-ended series)
+eventSchema.pre('validate', function(next) {
+  if (!this.isRecurring) return next();
+
+  if (this.recurrenceParent) {
+    this.invalidate('recurrence', 'An occurrence override cannot have its own recurrence');
+  }
+  if (this.recurrence.until && this.recurrence.count) {
+    this.invalidate('recurrence.count', 'Recurrence can end on a date or after a count, not both');
+  }
+  if (this.recurrence.until && this.recurrence.until < this.startDate) {
+    this.invalidate('recurrence.until', 'Recurrence end date must be after the first occurrence');
+  }
+  next();
+});
+
 // Indexes for efficient queries
 eventSchema.index({ status: 1, startDate: 1 });
+eventSchema.index({ 'recurrence.freq': 1, status: 1 });
+eventSchema.index({ recurrenceParent: 1, originalStartDate: 1 }, { unique: true, sparse: true });
 eventSchema.index({ 'venue.county': 1, startDate: 1 });
 eventSchema.index({ type: 1, startDate: 1 });
 eventSchema.index({ slug: 1 }, { unique: true });
@@ -378,15 +457,116 @@ eventSchema.statics.getByCounty = function(county, limit = 10) {
     .limit(limit);
 };
 
-// Method to register attendee
-eventSchema.methods.registerAttendee = function(attendeeData) {
-  if (this.registrationStatus === 'open') {
-    this.rsvps.push(attendeeData);
-    this.currentAttendees += 1;
-    return this.save();
-  } else {
-    throw new Error('Registration is not available');
-  }
+// Static method to expand recurring series into occurrences within a window.
+// Exception dates and days that have a detached override are left out; the
+// overrides themselves are ordinary events and are found by the normal query.
+eventSchema.statics.expandSeries = async function(seriesList, { from, to }) {
+  if (seriesList.length === 0) return [];
+
+  const overrides = await this.find({ recurrenceParent: { $in: seriesList.map(series => series._id) } })
+    .select('recurrenceParent originalStartDate')
+    .lean();
+
+  const occurrences = [];
+
+  seriesList.forEach(series => {
+    const duration = new Date(series.endDate) - new Date(series.startDate);
+    const overridden = overrides
+      .filter(override => String(override.recurrenceParent) === String(series._id))
+      .map(override => override.originalStartDate);
+
+    expandOccurrences(series.recurrence, {
+      start: series.startDate,
+      timezone: series.timezone,
+      from: new Date(from.getTime() - duration), // include occurrences already under way
+      to,
+      exceptions: [...(series.exceptionDates || []), ...overridden]
+    }).forEach(start => {
+      occurrences.push({
+        ...series,
+        seriesId: series._id,
+        occurrenceDate: dayKey(start, series.timezone),
+        isOccurrence: true,
+        startDate: start,
+        endDate: new Date(start.getTime() + duration)
+      });
+    });
+  });
+
+  return occurrences.sort((a, b) => a.startDate - b.startDate);
+};
+
+// Series fields a detached occurrence doesn't inherit
+const SERIES_ONLY_FIELDS = [
+  '_id', '__v', 'id', 'slug', 'previousSlugs', 'recurrence', 'exceptionDates', 'sequence',
+  'currentAttendees', 'registrations', 'actualAttendance', 'views', 'rsvps', 'createdAt', 'updatedAt'
+];
+
+// Static method to get the occurrence of a series on a day (YYYY-MM-DD in the
+// series' timezone) as an override event: the existing one, or a new unsaved
+// copy of the series when the occurrence hasn't been detached yet.
+// Resolves to null when the series has no occurrence that day.
+eventSchema.statics.occurrenceOn = async function(series, date) {
+  const dayStart = moment.tz(date, series.timezone).startOf('day');
+  const dayEnd = dayStart.clone().endOf('day');
+
+  const override = await this.findOne({
+    recurrenceParent: series._id,
+    originalStartDate: { $gte: dayStart.toDate(), $lte: dayEnd.toDate() }
+  });
+  if (override) return override;
+
+  const originalStart = expandOccurrences(series.recurrence, {
+    start: series.startDate,
+    timezone: series.timezone,
+    from: dayStart.toDate(),
+    to: dayEnd.toDate(),
+    exceptions: series.exceptionDates
+  })[0];
+  if (!originalStart) return null;
+
+  const inherited = series.toObject({ virtuals: false });
+  SERIES_ONLY_FIELDS.forEach(field => delete inherited[field]);
+
+  // The registration deadline keeps its distance from the start
+  const offset = originalStart - series.startDate;
+  return new this({
+    ...inherited,
+    recurrenceParent: series._id,
+    originalStartDate: originalStart,
+    startDate: originalStart,
+    endDate: new Date(series.endDate.getTime() + offset),
+    registrationDeadline: series.registrationDeadline
+      ? new Date(series.registrationDeadline.getTime() + offset)
+      : undefined
+  });
+};
+
+// Static method to claim a seat. The capacity check and the increment happen in
+// one update, so concurrent registrations can't oversell maxAttendees.
+// Resolves to the updated event, or null when the event is full or not open.
+eventSchema.statics.reserveSeat = function(eventId) {
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: 'published',
+      $or: [
+        { maxAttendees: { $in: [null, 0] } },
+        { $expr: { $lt: ['$currentAttendees', '$maxAttendees'] } }
+      ]
+    },
+    { $inc: { currentAttendees: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give a seat back
+eventSchema.statics.releaseSeat = function(eventId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, currentAttendees: { $gt: 0 } },
+    { $inc: { currentAttendees: -1 } },
+    { new: true }
+  );
 };
 
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
@@ -0,0 +1,136 @@
+// server/models/EventRegistration.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unambiguous characters for codes read out or typed at the door (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Prefix of the QR payload so scanners can tell our codes apart
+const QR_PREFIX = 'CAMPAIGN2027-EVT';
+
+const eventRegistrationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+
+  // Registrant
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    match: [/^(\+254|0)[17]\d{8}$/, 'Please enter a valid Kenyan phone number']
+  },
+  specialRequests: {
+    type: String,
+    maxlength: [500, 'Special requests cannot exceed 500 characters']
+  },
+
+  // Registration state
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['confirmed', 'waitlisted', 'cancelled'],
+    default: 'confirmed'
+  },
+  waitlistedAt: Date,
+  promotedAt: Date,
+  cancelledAt: Date,
+
+  // Check-in
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+
+  ipAddress: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the payload encoded in the registrant's QR code
+eventRegistrationSchema.virtual('qrPayload').get(function() {
+  const eventId = this.event && this.event._id ? this.event._id : this.event;
+  return `${QR_PREFIX}:${eventId}:${this.code}`;
+});
+
+// Indexes for efficient queries
+eventRegistrationSchema.index({ event: 1, email: 1 }, { unique: true });
+eventRegistrationSchema.index({ event: 1, status: 1, createdAt: 1 });
+
+// Static method to generate an unused registration code
+eventRegistrationSchema.statics.generateCode = async function() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+    if (!(await this.exists({ code }))) return code;
+  }
+  throw new Error('Could not generate a unique registration code');
+};
+
+// Static method to read a registration code from a typed code or a scanned QR payload
+eventRegistrationSchema.statics.parseCode = function(input) {
+  const value = String(input || '').trim();
+  const parts = value.split(':');
+
+  if (parts[0] === QR_PREFIX && parts.length === 3) {
+    return { eventId: parts[1], code: parts[2].toUpperCase() };
+  }
+  return { eventId: null, code: value.toUpperCase() };
+};
+
+// Static method to fill free seats from the waitlist, oldest first.
+// Each promotion claims a seat atomically, so it is safe to run concurrently.
+eventRegistrationSchema.statics.promoteWaitlist = async function(eventId) {
+  const Event = mongoose.model('Event');
+  const promoted = [];
+
+  while (await Event.reserveSeat(eventId)) {
+    const registration = await this.findOneAndUpdate(
+      { event: eventId, status: 'waitlisted' },
+      { status: 'confirmed', promotedAt: new Date() },
+      { sort: { waitlistedAt: 1, createdAt: 1 }, new: true }
+    );
+
+    if (!registration) {
+      await Event.releaseSeat(eventId);
+      break;
+    }
+    promoted.push(registration);
+  }
+
+  return promoted;
+};
+
+// Static method to get a registrant's position on the waitlist (1-based)
+eventRegistrationSchema.statics.waitlistPosition = async function(registration) {
+  const ahead = await this.countDocuments({
+    event: registration.event,
+    status: 'waitlisted',
+    waitlistedAt: { $lt: registration.waitlistedAt }
+  });
+  return ahead + 1;
+};
+
+module.exports = mongoose.model('EventRegistration', eventRegistrationSchema);
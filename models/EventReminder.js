@@ -0,0 +1,61 @@
+// server/models/EventReminder.js
+// One record per notification sent about an event, so the reminder job never
+// sends the same notification twice, even after a restart or on several instances.
+const mongoose = require('mongoose');
+
+const eventReminderSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // e.g. 'reminder:24h', 'status:cancelled'
+  kind: {
+    type: String,
+    required: true
+  },
+  // What the notification was about: the start date for reminders (a rescheduled
+  // event gets fresh reminders) or the time of the status change
+  key: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  recipients: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+eventReminderSchema.index({ event: 1, kind: 1, key: 1 }, { unique: true });
+
+// Static method to claim a notification before sending it.
+// Resolves to the claim, or null when it was already claimed.
+eventReminderSchema.statics.claim = async function(event, kind, key) {
+  try {
+    return await this.create({ event, kind, key });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Method to record the outcome of a claimed notification
+eventReminderSchema.methods.complete = function(recipients, error) {
+  this.recipients = recipients;
+  this.status = error ? 'failed' : 'sent';
+  this.error = error ? error.message : undefined;
+  this.sentAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('EventReminder', eventReminderSchema);
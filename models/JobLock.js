@@ -0,0 +1,54 @@
+// server/models/JobLock.js
+// Lease-style locks so only one server instance runs a background job at a time.
+const mongoose = require('mongoose');
+
+const jobLockSchema = new mongoose.Schema({
+  // Job name, e.g. 'press-scheduler'
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date
+}, {
+  timestamps: true
+});
+
+// Static method to take the lock for `ttlMs`, or extend it if we already hold it.
+// Returns true when the caller owns the lock.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: { $lte: now } }, { owner }]
+      },
+      { owner, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+
+    return lock.owner === owner;
+  } catch (error) {
+    // Another instance holds an unexpired lock, so the upsert hit the _id index
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to release a lock we hold
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne(
+    { _id: name, owner },
+    { lockedUntil: new Date(), lastRunAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -1,4 +1,45 @@
 const mongoose = require('mongoose');
+const PressRevision = require('./PressRevision');
+const slugHistory = require('./plugins/slugHistory');
+const { PRESS_STATUSES, PRESS_TRANSITIONS, APPROVED_STATUSES, REVIEWED_FIELDS } = require('../config/pressWorkflow');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+// Another language's version of a release. The top-level title, excerpt,
+// content and seo are written in the release's `language`.
+const translationSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    excerpt: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Excerpt cannot exceed 500 characters']
+    },
+    content: String,
+    seo: {
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [60, 'SEO title cannot exceed 60 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [160, 'SEO description cannot exceed 160 characters']
+      },
+      keywords: [{ type: String, trim: true, lowercase: true }]
+    }
+  },
+  { _id: false }
+);
+
+// A translation only counts once it has the fields a reader sees
+const isCompleteTranslation = (translation) => {
+  return Boolean(translation && translation.title && translation.excerpt && translation.content);
+};
 
 const pressSchema = new mongoose.Schema(
   {
@@ -86,12 +127,33 @@ const pressSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
-    // KEEP: status for internal workflow
+    // KEEP: status for internal workflow (see config/pressWorkflow.js)
     status: {
       type: String,
-      enum: ['draft', 'scheduled', 'published', 'archived'],
+      enum: PRESS_STATUSES,
       default: 'draft'
     },
+    // Every editorial transition, oldest first
+    workflowHistory: [
+      {
+        action: {
+          type: String,
+          enum: [...Object.keys(PRESS_TRANSITIONS), 'edit'],
+          required: true
+        },
+        from: String,
+        to: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+        comment: { type: String, trim: true, maxlength: 2000 },
+        at: { type: Date, default: Date.now }
+      }
+    ],
+    // Email 'press-releases' newsletter subscribers when a scheduled release goes live
+    notifySubscribers: {
+      type: Boolean,
+      default: false
+    },
+    notificationSentAt: Date,
     priority: {
       type: String,
       enum: ['low', 'medium', 'high', 'urgent'],
@@ -165,7 +227,16 @@ const pressSchema = new mongoose.Schema(
     // KEEP: Legacy fields for backward compatibility
     metaDescription: { type: String, maxlength: 160 },
     keywords: [{ type: String, lowercase: true }],
-    language: { type: String, enum: ['en', 'sw'], default: 'en' },
+    language: { type: String, enum: SUPPORTED_LANGUAGES, default: DEFAULT_LANGUAGE },
+    translations: {
+      type: Map,
+      of: translationSchema,
+      default: {},
+      validate: {
+        validator: (translations) => [...translations.keys()].every(lang => SUPPORTED_LANGUAGES.includes(lang)),
+        message: `Translations are only supported for: ${SUPPORTED_LANGUAGES.join(', ')}`
+      }
+    },
 
     /* --- Relations --- */
     relatedPosts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Press' }]
@@ -187,14 +258,10 @@ pressSchema.virtual('formattedDate').get(function () {
   });
 });
 
+// Unique slug from the title; replaced slugs are kept so shared links redirect
+pressSchema.plugin(slugHistory, { source: press => press.title });
+
 pressSchema.pre('save', function (next) {
-  if (this.isModified('title')) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
-  }
-  
   // Update metaDescription from excerpt (changed from summary)
   if (!this.metaDescription && this.excerpt) {
     this.metaDescription = this.excerpt.substring(0, 160);
@@ -223,6 +290,16 @@ pressSchema.pre('save', function (next) {
   next();
 });
 
+// Keep a revision of every save. Controllers pass the editor (and restore info)
+// through press.$locals.revision = { editor, action, restoredFrom }.
+pressSchema.post('save', async function (doc) {
+  try {
+    await PressRevision.record(doc, doc.$locals.revision || {});
+  } catch (error) {
+    console.error(`Failed to record revision for press release ${doc._id}:`, error.message);
+  }
+});
+
 /* --- Indexes --- */
 pressSchema.index({ status: 1, publishDate: -1 });
 pressSchema.index({ published: 1, publishDate: -1 }); // ADDED for published field
@@ -234,11 +311,11 @@ pressSchema.index({ slug: 1 }, { unique: true });
 pressSchema.index({ title: 'text', excerpt: 'text', content: 'text' });
 
 /* --- Statics --- */
-pressSchema.statics.getRecent = function (limit = 10) {
-  return this.find({ published: true }) // UPDATED to use published field
+pressSchema.statics.getRecent = function (limit = 10, filters = {}) {
+  return this.find({ ...filters, published: true, publishDate: { $lte: new Date() } }) // UPDATED to use published field
     .sort({ publishDate: -1 })
     .limit(limit)
-    .select('title excerpt category publishDate featuredImage slug featured'); // UPDATED fields
+    .select('title excerpt category type publishDate updatedAt featuredImage attachments author slug featured language translations'); // UPDATED fields
 };
 
 pressSchema.statics.getByCategory = function (category, limit = 10) {
@@ -254,4 +331,116 @@ pressSchema.statics.getFeatured = function (limit = 5) {
     .select('title excerpt category publishDate featuredImage slug');
 };
 
+// Scheduled releases whose publishDate has passed
+pressSchema.statics.getDueScheduled = function (now = new Date(), limit = 50) {
+  return this.find({ status: 'scheduled', publishDate: { $lte: now } })
+    .sort({ publishDate: 1 })
+    .limit(limit);
+};
+
+// Published releases whose subscriber notification hasn't finished yet
+pressSchema.statics.getPendingNotifications = function (limit = 50) {
+  return this.find({ published: true, status: 'published', notifySubscribers: true, notificationSentAt: null })
+    .sort({ publishDate: 1 })
+    .limit(limit);
+};
+
+// Translations as a plain object, whether they come from a document or .lean()
+const translationsOf = (press) => {
+  return press.translations instanceof Map
+    ? Object.fromEntries(press.translations)
+    : press.translations || {};
+};
+
+// Languages a release can be read in (its own plus complete translations)
+pressSchema.statics.availableLanguages = function (press) {
+  const primary = press.language || DEFAULT_LANGUAGE;
+  const translations = translationsOf(press);
+
+  return [
+    primary,
+    ...Object.keys(translations).filter(lang => lang !== primary && isCompleteTranslation(translations[lang]))
+  ];
+};
+
+// Return a plain copy of a release in the requested language, falling back to
+// the release's own language when there is no complete translation
+pressSchema.statics.localize = function (press, lang, { keepTranslations = false } = {}) {
+  const data = typeof press.toJSON === 'function' ? press.toJSON({ flattenMaps: true }) : { ...press };
+  const primary = data.language || DEFAULT_LANGUAGE;
+  const translation = lang !== primary ? translationsOf(data)[lang] : null;
+
+  const localized = {
+    ...data,
+    language: primary,
+    availableLanguages: this.availableLanguages(data)
+  };
+
+  if (isCompleteTranslation(translation)) {
+    ['title', 'excerpt', 'content'].forEach(field => {
+      if (field in data) localized[field] = translation[field];
+    });
+    if (data.seo && translation.seo) {
+      localized.seo = { ...data.seo };
+      ['title', 'description', 'keywords'].forEach(field => {
+        const value = translation.seo[field];
+        if (value && value.length) localized.seo[field] = value;
+      });
+    }
+    localized.language = lang;
+  }
+
+  if (!keepTranslations) {
+    delete localized.translations;
+  }
+
+  return localized;
+};
+
+/* --- Methods --- */
+// Apply a workflow action (config/pressWorkflow.js) and record it in the history.
+// Permission checks are the caller's job; this only enforces the state machine.
+pressSchema.methods.transition = function (action, { by, comment } = {}) {
+  const transition = PRESS_TRANSITIONS[action];
+  if (!transition || !transition.from.includes(this.status)) {
+    throw new Error(`Cannot ${action} a press release that is ${this.status}`);
+  }
+
+  this.workflowHistory.push({ action, from: this.status, to: transition.to, by, comment });
+  this.status = transition.to;
+  this.published = transition.to === 'published';
+  return this;
+};
+
+// Send an approved, scheduled or published release back to draft when its
+// reviewed content has been changed. Returns whether it was sent back.
+pressSchema.methods.resetApprovalIfEdited = function (by) {
+  if (!APPROVED_STATUSES.includes(this.status) || !REVIEWED_FIELDS.some(field => this.isModified(field))) {
+    return false;
+  }
+  this.resetApproval(by);
+  return true;
+};
+
+// Send an approved release back to draft after its content was edited
+pressSchema.methods.resetApproval = function (by) {
+  this.workflowHistory.push({
+    action: 'edit',
+    from: this.status,
+    to: 'draft',
+    by,
+    comment: 'Edited after approval'
+  });
+  this.status = 'draft';
+  this.published = false;
+  return this;
+};
+
+// Publish a scheduled release (used by the press scheduler)
+pressSchema.methods.publish = function () {
+  this.$locals.revision = { action: 'publish' };
+  this.transition('publish');
+  return this.save();
+};
+
 module.exports = mongoose.model('Press', pressSchema);
\ No newline at end of file
@@ -0,0 +1,97 @@
+// server/models/PressRevision.js
+const mongoose = require('mongoose');
+const { toPlain, diffDocuments } = require('../utils/diff');
+
+// Fields that aren't part of what a release says
+const UNTRACKED_FIELDS = ['views', 'notificationSentAt', 'workflowHistory', 'previousSlugs'];
+
+const pressRevisionSchema = new mongoose.Schema({
+  press: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Press',
+    required: true
+  },
+  // 1, 2, 3… per press release
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'publish'],
+    default: 'update'
+  },
+  // Revision number this one restored, when action is 'restore'
+  restoredFrom: Number,
+
+  // Full copy of the release as saved, and what changed since the previous revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // Who made the change (empty for background jobs such as the scheduler)
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+pressRevisionSchema.index({ press: 1, revision: -1 }, { unique: true });
+
+// Static method to build the snapshot stored for a press document
+pressRevisionSchema.statics.snapshotOf = function(press) {
+  const snapshot = toPlain(press);
+  ['_id', '__v', 'createdAt', 'updatedAt', ...UNTRACKED_FIELDS].forEach(field => {
+    delete snapshot[field];
+  });
+  return snapshot;
+};
+
+// Static method to get the latest revision of a press release
+pressRevisionSchema.statics.getLatest = function(pressId) {
+  return this.findOne({ press: pressId }).sort({ revision: -1 });
+};
+
+// Static method to record a revision for a saved press document.
+// Returns null when nothing tracked has changed since the last revision.
+pressRevisionSchema.statics.record = async function(press, { action = 'update', editor, restoredFrom } = {}) {
+  const snapshot = this.snapshotOf(press);
+
+  // Retry if another save took the same revision number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.getLatest(press._id);
+    const changes = diffDocuments(latest ? latest.snapshot : null, snapshot);
+
+    if (latest && changes.length === 0) return null;
+
+    try {
+      return await this.create({
+        press: press._id,
+        revision: latest ? latest.revision + 1 : 1,
+        action: latest ? action : 'create',
+        restoredFrom,
+        snapshot,
+        changes: latest ? changes : [],
+        editor
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error(`Could not record revision for press release ${press._id}`);
+};
+
+module.exports = mongoose.model('PressRevision', pressRevisionSchema);
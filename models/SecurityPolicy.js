@@ -0,0 +1,38 @@
+// server/models/SecurityPolicy.js
+const mongoose = require('mongoose');
+
+// Single document holding account security settings managed by super-admins
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['super-admin', 'communications', 'volunteer-coordinator']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to load the policy, creating it on first use
+securityPolicySchema.statics.getPolicy = function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true }
+  );
+};
+
+// Static method to check whether a role must use two-factor authentication
+securityPolicySchema.statics.requiresTwoFactor = async function(role) {
+  const policy = await this.getPolicy();
+  return policy.twoFactorRequiredRoles.includes(role);
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,92 @@
+// server/models/Session.js
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    required: [true, 'Session user is required']
+  },
+
+  // Refresh token (only the SHA-256 hash is stored)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Device information
+  ipAddress: String,
+  userAgent: String,
+
+  // Lifecycle
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'session-limit', 'password-change', 'token-reuse', 'account-disabled']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Let MongoDB remove sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static method to get a user's active sessions, newest first
+sessionSchema.statics.getActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, revokedBy) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+};
+
+// Method to revoke a single session
+sessionSchema.methods.revoke = function(reason = 'revoked', revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
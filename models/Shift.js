@@ -0,0 +1,139 @@
+// server/models/Shift.js
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+
+// Local hour from which a shift counts as an evening shift
+const EVENING_STARTS_AT = 17;
+
+const shiftSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  role: {
+    type: String,
+    required: [true, 'Shift role is required'],
+    trim: true,
+    maxlength: [100, 'Role cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Shift start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Shift end time is required']
+  },
+  headcount: {
+    type: Number,
+    required: [true, 'Headcount is required'],
+    min: [1, 'Headcount must be at least 1']
+  },
+  // Active assignments (signed up, assigned or attended)
+  filled: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Skills that suit the role, shown to volunteers signing up
+  skills: [String],
+  selfSignup: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for shift length in hours
+shiftSchema.virtual('hours').get(function() {
+  if (!this.startTime || !this.endTime) return null;
+  return Math.round(((this.endTime - this.startTime) / (1000 * 60 * 60)) * 100) / 100;
+});
+
+// Virtual for remaining places
+shiftSchema.virtual('openSlots').get(function() {
+  return Math.max((this.headcount || 0) - (this.filled || 0), 0);
+});
+
+// Validate end time is after start time
+shiftSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'Shift end time must be after start time');
+  }
+  if (this.headcount < this.filled) {
+    this.invalidate('headcount', `Headcount cannot be below the ${this.filled} volunteers already on this shift`);
+  }
+  next();
+});
+
+// Indexes for efficient queries
+shiftSchema.index({ event: 1, startTime: 1 });
+
+// Static method to take a place on a shift. The headcount check and the
+// increment happen in one update, so a shift is never overfilled.
+shiftSchema.statics.claimSlot = function(shiftId) {
+  return this.findOneAndUpdate(
+    { _id: shiftId, $expr: { $lt: ['$filled', '$headcount'] } },
+    { $inc: { filled: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give a place back
+shiftSchema.statics.releaseSlot = function(shiftId) {
+  return this.findOneAndUpdate(
+    { _id: shiftId, filled: { $gt: 0 } },
+    { $inc: { filled: -1 } },
+    { new: true }
+  );
+};
+
+// Static method to refresh Event.volunteers.required/registered from the event's shifts
+shiftSchema.statics.syncEventCounts = async function(eventId) {
+  const [totals] = await this.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(String(eventId)) } },
+    { $group: { _id: null, required: { $sum: '$headcount' }, registered: { $sum: '$filled' } } }
+  ]);
+
+  await mongoose.model('Event').updateOne(
+    { _id: eventId },
+    {
+      'volunteers.required': totals ? totals.required : 0,
+      'volunteers.registered': totals ? totals.registered : 0
+    }
+  );
+};
+
+// Method to list the Volunteer availability flags this shift needs, in local
+// time: daytime hours need weekdays/weekends and hours after EVENING_STARTS_AT
+// need evenings. A volunteer must have all of them, or be fullTime.
+shiftSchema.methods.availabilityNeeded = function(timezone = 'Africa/Nairobi') {
+  const start = moment.tz(this.startTime, timezone);
+  const end = moment.tz(this.endTime, timezone);
+  const needed = new Set();
+
+  for (const day = start.clone().startOf('day'); day.isBefore(end); day.add(1, 'day')) {
+    const from = moment.max(start, day);
+    const to = moment.min(end, day.clone().add(1, 'day'));
+    const evening = day.clone().hour(EVENING_STARTS_AT);
+
+    if (from.isBefore(evening)) needed.add([0, 6].includes(day.day()) ? 'weekends' : 'weekdays');
+    if (to.isAfter(evening)) needed.add('evenings');
+  }
+
+  return [...needed];
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
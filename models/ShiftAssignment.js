@@ -0,0 +1,161 @@
+// server/models/ShiftAssignment.js
+// Links a volunteer to a shift. The shift's times are copied here so overlapping
+// commitments can be found with a single query.
+const mongoose = require('mongoose');
+
+// Statuses that hold a place on the shift
+const ACTIVE_STATUSES = ['scheduled', 'attended', 'no-show'];
+
+const shiftAssignmentSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  volunteer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Volunteer',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'attended', 'no-show', 'cancelled'],
+    default: 'scheduled'
+  },
+  // 'self' when the volunteer signed up, 'coordinator' when assigned
+  source: {
+    type: String,
+    enum: ['self', 'coordinator'],
+    required: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  // Set when a coordinator assigned a volunteer outside their stated availability
+  availabilityOverride: {
+    type: Boolean,
+    default: false
+  },
+  // Conflicts found when the shift was last retimed, for the coordinator to resolve
+  scheduleConflicts: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['overlap', 'availability']
+    },
+    message: String
+  }],
+  // Hours added to the volunteer's hoursContributed for this shift
+  hoursCredited: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  attendanceRecordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  attendanceRecordedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+shiftAssignmentSchema.index({ shift: 1, volunteer: 1 }, { unique: true });
+shiftAssignmentSchema.index({ volunteer: 1, status: 1, startTime: 1 });
+shiftAssignmentSchema.index({ event: 1, status: 1 });
+
+// Static method to find a volunteer's scheduled shifts that overlap a time window
+shiftAssignmentSchema.statics.findOverlapping = function(volunteerId, { startTime, endTime, excludeShift }) {
+  const filter = {
+    volunteer: volunteerId,
+    status: 'scheduled',
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeShift) filter.shift = { $ne: excludeShift };
+
+  return this.find(filter).populate('shift', 'role event startTime endTime').lean();
+};
+
+// Static method to cancel scheduled assignments matching `filter`, giving their
+// places back and refreshing the events' volunteer counts. Resolves to the
+// cancelled assignments.
+shiftAssignmentSchema.statics.cancelScheduled = async function(filter) {
+  const Shift = mongoose.model('Shift');
+  const candidates = await this.find({ ...filter, status: 'scheduled' }).select('_id');
+  const cancelled = [];
+
+  for (const { _id } of candidates) {
+    // Conditional on the status, so a concurrent cancel only releases the place once
+    const assignment = await this.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!assignment) continue;
+
+    await Shift.releaseSlot(assignment.shift);
+    cancelled.push(assignment);
+  }
+
+  const eventIds = [...new Set(cancelled.map(assignment => String(assignment.event)))];
+  for (const eventId of eventIds) {
+    await Shift.syncEventCounts(eventId);
+  }
+
+  return cancelled;
+};
+
+// Method to record attendance ('attended' or 'no-show') and keep the volunteer's
+// hoursContributed and activitiesCompleted in step. Correcting an earlier record
+// moves the credit rather than adding it twice. Resolves to null when the
+// assignment changed in the meantime.
+shiftAssignmentSchema.methods.recordAttendance = async function(status, { hours = 0, recordedBy } = {}) {
+  const credit = status === 'attended' ? hours : 0;
+  const wasAttended = this.status === 'attended';
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status, hoursCredited: this.hoursCredited },
+    {
+      status,
+      hoursCredited: credit,
+      attendanceRecordedBy: recordedBy,
+      attendanceRecordedAt: new Date()
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await mongoose.model('Volunteer').updateOne(
+    { _id: this.volunteer },
+    {
+      $inc: {
+        hoursContributed: credit - this.hoursCredited,
+        activitiesCompleted: (status === 'attended' ? 1 : 0) - (wasAttended ? 1 : 0)
+      },
+      $set: { lastActive: new Date() }
+    }
+  );
+
+  return updated;
+};
+
+shiftAssignmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('ShiftAssignment', shiftAssignmentSchema);
@@ -1,5 +1,8 @@
 // server/models/Volunteer.js
 const mongoose = require('mongoose');
+const geoPoint = require('./plugins/geoPoint');
+const encryptedFields = require('./plugins/encryptedFields');
+const { STAGE_KEYS, OFF_PIPELINE_STATUSES, getStage, nextStage, stageForStatus } = require('../config/volunteerOnboarding');
 
 const volunteerSchema = new mongoose.Schema({
   // Personal Information
@@ -23,28 +26,9 @@ const volunteerSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
-  phone: {
-    type: String,
-    required: [true, 'Phone number is required'],
-    match: [/^(\+254|0)[17]\d{8}$/, 'Please enter a valid Kenyan phone number']
-  },
-  nationalId: {
-    type: String,
-    required: [true, 'National ID is required'],
-    unique: true,
-    match: [/^\d{8}$/, 'Please enter a valid 8-digit National ID']
-  },
-  dateOfBirth: {
-    type: Date,
-    required: [true, 'Date of birth is required'],
-    validate: {
-      validator: function(v) {
-        const age = new Date().getFullYear() - v.getFullYear();
-        return age >= 18;
-      },
-      message: 'Volunteer must be at least 18 years old'
-    }
-  },
+  // phone, nationalId and dateOfBirth are encrypted (see the encryptedFields plugin below)
+  // Kept in the clear for age statistics
+  birthYear: Number,
   gender: {
     type: String,
     required: [true, 'Gender is required'],
@@ -79,6 +63,18 @@ const volunteerSchema = new mongoose.Schema({
     required: [true, 'Address is required'],
     maxlength: [200, 'Address cannot exceed 200 characters']
   },
+  coordinates: {
+    lat: {
+      type: Number,
+      min: [-4.7, 'Invalid latitude for Kenya'],
+      max: [5.5, 'Invalid latitude for Kenya']
+    },
+    lng: {
+      type: Number,
+      min: [33.9, 'Invalid longitude for Kenya'],
+      max: [42.0, 'Invalid longitude for Kenya']
+    }
+  },
 
   // Professional Information
   occupation: {
@@ -151,9 +147,17 @@ const volunteerSchema = new mongoose.Schema({
   // Status and Verification
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'active', 'inactive'],
+    enum: ['pending', 'approved', 'rejected', 'active', 'inactive', 'withdrawn'],
     default: 'pending'
   },
+  withdrawnAt: {
+    type: Date
+  },
+  withdrawalReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
   verified: {
     type: Boolean,
     default: false
@@ -161,6 +165,47 @@ const volunteerSchema = new mongoose.Schema({
   verificationDate: {
     type: Date
   },
+  // When the last email verification link was sent; unverified records are
+  // purged some time after signup (see jobs/volunteerPurge.js)
+  verificationSentAt: {
+    type: Date
+  },
+
+  // Self-service portal login (see middleware/volunteerAuth.js)
+  portal: {
+    // Hash of the nonce in the latest magic link; cleared once the link is used
+    loginNonceHash: {
+      type: String,
+      select: false
+    },
+    // Bumped on logout and withdrawal to end every portal session
+    sessionVersion: {
+      type: Number,
+      default: 0
+    },
+    lastLoginAt: Date
+  },
+
+  // Onboarding pipeline (see config/volunteerOnboarding.js)
+  onboarding: {
+    // Last stage completed; unset for volunteers who signed up before the pipeline
+    stage: {
+      type: String,
+      enum: STAGE_KEYS
+    },
+    stageEnteredAt: Date,
+    history: [{
+      stage: {
+        type: String,
+        enum: STAGE_KEYS,
+        required: true
+      },
+      // Unset when the volunteer completed the stage themselves
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+      note: { type: String, trim: true, maxlength: 500 },
+      at: { type: Date, default: Date.now }
+    }]
+  },
   
   // Activity Tracking
   joinDate: {
@@ -192,7 +237,7 @@ volunteerSchema.virtual('fullName').get(function() {
 
 // Virtual for age
 volunteerSchema.virtual('age').get(function() {
-  return new Date().getFullYear() - this.dateOfBirth.getFullYear();
+  return this.birthYear ? new Date().getFullYear() - this.birthYear : undefined;
 });
 
 // Index for efficient queries
@@ -200,11 +245,107 @@ volunteerSchema.index({ county: 1, constituency: 1, ward: 1 });
 volunteerSchema.index({ email: 1 });
 volunteerSchema.index({ status: 1 });
 volunteerSchema.index({ skills: 1 });
+volunteerSchema.index({ county: 1, 'onboarding.stage': 1 });
+volunteerSchema.index({ verified: 1, createdAt: 1 });
+
+// GeoJSON copy of coordinates for nearest-volunteer queries
+volunteerSchema.plugin(geoPoint, { path: 'geo', source: volunteer => volunteer.coordinates });
+
+// Kenyan numbers are indexed on their last 9 digits, so 07XX..., +2547XX... and 2547XX... match
+const phoneDigits = (phone) => {
+  const digits = String(phone).replace(/\D/g, '').slice(-9);
+  return digits.length === 9 ? digits : null;
+};
+
+// Personal data encrypted at rest; the blind indexes find duplicate IDs and look up phone numbers
+volunteerSchema.plugin(encryptedFields, {
+  fields: {
+    phone: {
+      required: 'Phone number is required',
+      validate: {
+        validator: v => /^(\+254|0)[17]\d{8}$/.test(v),
+        message: 'Please enter a valid Kenyan phone number'
+      },
+      blindIndex: phoneDigits
+    },
+    nationalId: {
+      required: 'National ID is required',
+      validate: {
+        validator: v => /^\d{8}$/.test(v),
+        message: 'Please enter a valid 8-digit National ID'
+      },
+      select: false,
+      blindIndex: id => id.replace(/\s/g, ''),
+      unique: true
+    },
+    dateOfBirth: {
+      type: Date,
+      required: 'Date of birth is required',
+      invalid: 'Please enter a valid date of birth',
+      validate: {
+        validator: v => new Date().getFullYear() - v.getFullYear() >= 18,
+        message: 'Volunteer must be at least 18 years old'
+      }
+    }
+  }
+});
 
 // Pre-save middleware
 volunteerSchema.pre('save', function(next) {
   this.lastActive = new Date();
+
+  // New applications enter the pipeline at its first stage
+  if (this.isNew && !this.onboarding.stage) {
+    this.onboarding.stage = 'application';
+    this.onboarding.stageEnteredAt = new Date();
+    this.onboarding.history.push({ stage: 'application' });
+  }
+
+  // The birth year follows the encrypted date of birth
+  if (this.isModified('encrypted.dateOfBirth')) {
+    this.birthYear = this.dateOfBirth ? this.dateOfBirth.getUTCFullYear() : undefined;
+  }
   next();
 });
 
+// Method to get the onboarding stage reached, inferring it from the status for
+// volunteers who signed up before the pipeline existed
+volunteerSchema.methods.currentStage = function() {
+  return this.onboarding.stage || stageForStatus(this.status);
+};
+
+// Method to sign off the next onboarding stage and record who did it.
+// Permission checks are the caller's job; this only enforces the order.
+volunteerSchema.methods.advanceOnboarding = function(stageKey, { by, note } = {}) {
+  const next = nextStage(this.currentStage());
+
+  if (!next) {
+    throw new Error('Onboarding is already complete');
+  }
+  if (stageKey && stageKey !== next.key) {
+    throw new Error(`The next onboarding stage is ${next.key}, not ${stageKey}`);
+  }
+  if (OFF_PIPELINE_STATUSES.includes(this.status)) {
+    throw new Error(`Cannot advance a volunteer who is ${this.status}`);
+  }
+
+  const now = new Date();
+  this.onboarding.stage = next.key;
+  this.onboarding.stageEnteredAt = now;
+  this.onboarding.history.push({ stage: next.key, by, note, at: now });
+  this.status = next.status;
+
+  if (next.key === 'email-verification') {
+    this.verified = true;
+    this.verificationDate = now;
+  }
+
+  return next;
+};
+
+// Method to get the status a volunteer returns to when restored from rejected or inactive
+volunteerSchema.methods.pipelineStatus = function() {
+  return getStage(this.currentStage()).status;
+};
+
 module.exports = mongoose.model('Volunteer', volunteerSchema);
\ No newline at end of file
@@ -0,0 +1,174 @@
+// server/models/plugins/encryptedFields.js
+// Mongoose plugin that keeps personal fields encrypted at rest (see
+// utils/fieldEncryption.js).
+//
+// Each field stays readable and writable under its own name as a virtual;
+// only the ciphertext is stored, under `encrypted.<field>`. Fields with a
+// `blindIndex` normaliser also store a keyed hash of the normalised value
+// under `blindIndex.<field>`, which is what duplicate checks and lookups query:
+//
+//   Model.findOne({ 'blindIndex.nationalId': Model.blindIndexFor('nationalId', value) })
+//
+// Field options:
+//   type        String (default) or Date
+//   required    error message when a new document has no value
+//   invalid     error message for a Date field given something that is not a date
+//   validate    { validator, message }, run on the plaintext
+//   select      false to leave the ciphertext out of queries unless asked for
+//   blindIndex  function normalising the plaintext before it is hashed
+//   unique      make the blind index unique
+const { encrypt, decrypt, isCurrentKey, blindIndex } = require('../../utils/fieldEncryption');
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+module.exports = function encryptedFields(schema, { fields }) {
+  const serialise = (field, value) => {
+    if (fields[field].type !== Date) return String(value).trim();
+
+    // An invalid date is kept as given so validation can report it
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  };
+
+  const deserialise = (field, plaintext) => {
+    return fields[field].type === Date ? new Date(plaintext) : plaintext;
+  };
+
+  const indexFor = (field, plaintext) => {
+    const normalised = fields[field].blindIndex(plaintext);
+    return normalised ? blindIndex(field, normalised) : undefined;
+  };
+
+  Object.entries(fields).forEach(([field, options]) => {
+    const storagePath = `encrypted.${field}`;
+    const indexPath = `blindIndex.${field}`;
+
+    schema.add({ [storagePath]: { type: String, select: options.select !== false } });
+
+    if (options.blindIndex) {
+      schema.add({ [indexPath]: { type: String, select: false } });
+      schema.index({ [indexPath]: 1 }, { unique: Boolean(options.unique), sparse: true });
+    }
+
+    schema.virtual(field)
+      .get(function () {
+        const stored = this.get(storagePath);
+        if (!stored) return undefined;
+
+        // Decrypt once per stored value
+        const cache = this.$locals.decrypted || (this.$locals.decrypted = {});
+        if (!cache[field] || cache[field].stored !== stored) {
+          cache[field] = { stored, value: deserialise(field, decrypt(stored)) };
+        }
+        return cache[field].value;
+      })
+      .set(function (value) {
+        if (isEmpty(value)) {
+          this.set(storagePath, undefined);
+          if (options.blindIndex) this.set(indexPath, undefined);
+          return;
+        }
+
+        const plaintext = serialise(field, value);
+        const stored = encrypt(plaintext);
+
+        this.set(storagePath, stored);
+        if (options.blindIndex) this.set(indexPath, indexFor(field, plaintext));
+
+        const cache = this.$locals.decrypted || (this.$locals.decrypted = {});
+        cache[field] = { stored, value: deserialise(field, plaintext) };
+      });
+  });
+
+  // Schema validators never see virtuals, so the plaintext is checked here:
+  // on new documents, and on existing ones when the field changes
+  schema.pre('validate', function (next) {
+    Object.entries(fields).forEach(([field, options]) => {
+      if (!this.isNew && !this.isModified(`encrypted.${field}`)) return;
+
+      const value = this.get(field);
+      if (isEmpty(value)) {
+        if (options.required) this.invalidate(field, options.required);
+        return;
+      }
+
+      if (options.type === Date && Number.isNaN(value.getTime())) {
+        this.invalidate(field, options.invalid || `${field} is not a valid date`, value);
+      } else if (options.validate && !options.validate.validator.call(this, value)) {
+        this.invalidate(field, options.validate.message, value);
+      }
+    });
+
+    next();
+  });
+
+  // Ciphertext and blind indexes never leave the API
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, transformOptions) {
+      delete ret.encrypted;
+      delete ret.blindIndex;
+      return typeof toJSON.transform === 'function' ? toJSON.transform(doc, ret, transformOptions) : ret;
+    }
+  });
+
+  // Blind index to query for a plaintext value (undefined when it normalises to nothing)
+  schema.statics.blindIndexFor = function (field, value) {
+    if (!fields[field] || !fields[field].blindIndex) {
+      throw new Error(`${field} has no blind index`);
+    }
+    return isEmpty(value) ? undefined : indexFor(field, serialise(field, value));
+  };
+
+  // Decrypt the fields of a plain (lean or aggregated) record in place
+  schema.statics.decryptFields = function (record) {
+    Object.keys(fields).forEach(field => {
+      const stored = record.encrypted && record.encrypted[field];
+      if (stored) record[field] = deserialise(field, decrypt(stored));
+    });
+    delete record.encrypted;
+    delete record.blindIndex;
+    return record;
+  };
+
+  // For migrations: the update that brings a raw stored record up to date
+  // (plaintext encrypted, old keys replaced, blind indexes rebuilt), or null
+  // when it already is. `values` holds the decrypted values.
+  schema.statics.encryptedFieldsUpdate = function (raw) {
+    const $set = {};
+    const $unset = {};
+    const values = {};
+
+    Object.entries(fields).forEach(([field, options]) => {
+      const stored = raw.encrypted && raw.encrypted[field];
+      let plaintext;
+
+      if (!isEmpty(raw[field])) {
+        // Written before the field was encrypted
+        plaintext = serialise(field, raw[field]);
+        $set[`encrypted.${field}`] = encrypt(plaintext);
+        $unset[field] = 1;
+      } else if (stored) {
+        plaintext = decrypt(stored);
+        if (!isCurrentKey(stored)) $set[`encrypted.${field}`] = encrypt(plaintext);
+      }
+
+      if (plaintext === undefined) return;
+      values[field] = deserialise(field, plaintext);
+
+      if (options.blindIndex) {
+        const index = indexFor(field, plaintext);
+        if (index && (!raw.blindIndex || raw.blindIndex[field] !== index)) {
+          $set[`blindIndex.${field}`] = index;
+        }
+      }
+    });
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    return { update: Object.keys(update).length > 0 ? update : null, values };
+  };
+};
@@ -0,0 +1,59 @@
+// server/models/plugins/geoPoint.js
+// Mongoose plugin that mirrors a { lat, lng } pair into a GeoJSON point with a
+// 2dsphere index, and adds a findNear() static for distance queries.
+//
+// The lat/lng pair stays the field clients read and write; the GeoJSON point is
+// derived from it on every save.
+
+module.exports = function geoPoint(schema, { path = 'location', source }) {
+  schema.add({
+    [path]: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      // [longitude, latitude], as GeoJSON requires
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  });
+
+  schema.index({ [path]: '2dsphere' }, { sparse: true });
+
+  schema.pre('save', function (next) {
+    const coordinates = source(this);
+    const hasPoint = coordinates &&
+      typeof coordinates.lat === 'number' && typeof coordinates.lng === 'number';
+
+    this.set(path, hasPoint
+      ? { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] }
+      : undefined);
+
+    next();
+  });
+
+  // Documents within radiusKm of a point, nearest first, each with distanceKm.
+  // `filter` narrows the candidates; `select` is a projection object.
+  schema.statics.findNear = function ({ lat, lng }, { radiusKm = 25, filter = {}, limit = 20, select } = {}) {
+    const pipeline = [
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          key: path,
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: filter
+        }
+      },
+      { $limit: limit }
+    ];
+
+    if (select) pipeline.push({ $project: { ...select, distanceKm: 1 } });
+
+    return this.aggregate(pipeline);
+  };
+};
@@ -0,0 +1,86 @@
+// server/models/plugins/slugHistory.js
+// Mongoose plugin for unique slugs that don't break shared links.
+//
+// - The slug is (re)generated from `source(doc)` when a `watch` field changes.
+// - Collisions get a numeric suffix: "town-hall", "town-hall-2", "town-hall-3"…
+// - Replaced slugs are kept in `previousSlugs`, and findBySlug() reports when a
+//   lookup matched an old slug so the caller can redirect to the current one.
+
+const toSlug = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+};
+
+module.exports = function slugHistory(schema, { source, watch = ['title'] }) {
+  schema.add({
+    previousSlugs: [{ type: String, lowercase: true }]
+  });
+
+  schema.index({ previousSlugs: 1 });
+
+  // Smallest free "base" or "base-N" among current and previous slugs of other documents
+  schema.statics.generateUniqueSlug = async function (base, excludeId) {
+    const pattern = new RegExp(`^${base}(-\\d+)?$`);
+    const taken = new Set();
+
+    const others = await this.find({
+      _id: { $ne: excludeId },
+      $or: [{ slug: pattern }, { previousSlugs: pattern }]
+    }).select('slug previousSlugs').lean();
+
+    others.forEach(doc => {
+      [doc.slug, ...(doc.previousSlugs || [])]
+        .filter(slug => slug && pattern.test(slug))
+        .forEach(slug => taken.add(slug));
+    });
+
+    if (!taken.has(base)) return base;
+
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) suffix += 1;
+    return `${base}-${suffix}`;
+  };
+
+  // Find a document by its current or a previous slug.
+  // Resolves to { doc, redirect } where redirect is true for an old slug.
+  schema.statics.findBySlug = async function (slug, filter = {}, projection) {
+    const normalised = String(slug || '').toLowerCase();
+
+    const current = await this.findOne({ ...filter, slug: normalised }, projection).lean();
+    if (current) return { doc: current, redirect: false };
+
+    const renamed = await this.findOne({ ...filter, previousSlugs: normalised }, projection).lean();
+    if (renamed) return { doc: renamed, redirect: true };
+
+    return { doc: null, redirect: false };
+  };
+
+  schema.pre('save', async function (next) {
+    try {
+      if (this.slug && !watch.some(field => this.isModified(field))) {
+        return next();
+      }
+
+      const base = toSlug(source(this)) || String(this._id);
+      const slug = await this.constructor.generateUniqueSlug(base, this._id);
+
+      if (slug === this.slug) return next();
+
+      // Keep the replaced slug so old links still resolve
+      if (this.slug && !this.previousSlugs.includes(this.slug)) {
+        this.previousSlugs.push(this.slug);
+      }
+      // Renaming back to an old slug makes it current again
+      this.previousSlugs = this.previousSlugs.filter(previous => previous !== slug);
+      this.slug = slug;
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+module.exports.toSlug = toSlug;
@@ -0,0 +1,32 @@
+// server/routes/admin.js
+
+const express = require('express');
+const router = express.Router();
+
+const auditController = require('../controllers/auditController');
+const apiKeyController = require('../controllers/apiKeyController');
+const dataRequestController = require('../controllers/dataRequestController');
+const { authorize, logAdminAction } = require('../middleware/auth');
+
+/* ---- AUDIT LOG ---- */
+router.get('/audit',      authorize('audit:read'), auditController.getAuditLogs);
+router.get('/audit/:id',  authorize('audit:read'), auditController.getAuditLog);
+
+/* ---- API KEYS ---- */
+router.get('/api-keys',              authorize('api-keys:manage'), apiKeyController.getAllApiKeys);
+router.post('/api-keys',             authorize('api-keys:manage'), logAdminAction('api-key.create', { model: 'ApiKey' }), apiKeyController.createApiKey);
+router.get('/api-keys/:id',          authorize('api-keys:manage'), apiKeyController.getApiKey);
+router.post('/api-keys/:id/rotate',  authorize('api-keys:manage'), logAdminAction('api-key.rotate', { model: 'ApiKey' }), apiKeyController.rotateApiKey);
+router.delete('/api-keys/:id',       authorize('api-keys:manage'), logAdminAction('api-key.revoke', { model: 'ApiKey' }), apiKeyController.revokeApiKey);
+
+/* ---- DATA SUBJECT REQUESTS ---- */
+router.get('/data-requests',                authorize('data-requests:manage'), dataRequestController.getAllDataRequests);
+router.post('/data-requests',               authorize('data-requests:manage'), logAdminAction('data-request.create', { model: 'DataSubjectRequest' }), dataRequestController.createDataRequest);
+router.get('/data-requests/:id',            authorize('data-requests:manage'), dataRequestController.getDataRequest);
+router.post('/data-requests/:id/verify',    authorize('data-requests:manage'), logAdminAction('data-request.verify', { model: 'DataSubjectRequest' }), dataRequestController.verifyDataRequestManually);
+router.get('/data-requests/:id/export',     authorize('data-requests:manage'), logAdminAction('data-request.export', { model: 'DataSubjectRequest' }), dataRequestController.exportDataRequest);
+router.post('/data-requests/:id/complete',  authorize('data-requests:manage'), logAdminAction('data-request.complete', { model: 'DataSubjectRequest' }), dataRequestController.completeAccessRequest);
+router.post('/data-requests/:id/erase',     authorize('data-requests:manage'), logAdminAction('data-request.erase', { model: 'DataSubjectRequest' }), dataRequestController.eraseDataRequest);
+router.post('/data-requests/:id/reject',    authorize('data-requests:manage'), logAdminAction('data-request.reject', { model: 'DataSubjectRequest' }), dataRequestController.rejectDataRequest);
+
+module.exports = router;
@@ -1,7 +1,55 @@
 // server/routes/auth.js   (or inside server/routes/index.js)
 const express = require('express');
-const { login } = require('../middleware/auth');
+const {
+  login,
+  verifyTwoFactorLogin,
+  logout,
+  refresh,
+  protect,
+  protectPasswordChange,
+  protectTwoFactorSetup,
+  authorize,
+  logAdminAction,
+  forgotPassword,
+  resetPassword,
+  changePassword
+} = require('../middleware/auth');
+const { strictLimiter } = require('../middleware/rateLimiter');
+const adminUser = require('../controllers/adminUserController');
+const session = require('../controllers/sessionController');
+const twoFactor = require('../controllers/twoFactorController');
 const router  = express.Router();
 
 router.post('/login', login);   // <-- this line
-module.exports = router;
\ No newline at end of file
+router.post('/login/2fa', strictLimiter, verifyTwoFactorLogin);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+
+/* ---- SESSIONS ---- */
+router.get('/sessions',        protect, session.getSessions);
+router.delete('/sessions',     protect, session.revokeOtherSessions);
+router.delete('/sessions/:id', protect, session.revokeSession);
+
+/* ---- PASSWORD MANAGEMENT ---- */
+router.post('/forgot-password',         strictLimiter, forgotPassword);
+router.patch('/reset-password/:token',  strictLimiter, resetPassword);
+router.patch('/change-password',        protectPasswordChange, changePassword);
+
+/* ---- TWO-FACTOR AUTHENTICATION ---- */
+router.get('/2fa',                  protectTwoFactorSetup, twoFactor.getStatus);
+router.post('/2fa/setup',           protectTwoFactorSetup, twoFactor.setupTwoFactor);
+router.post('/2fa/enable',          protectTwoFactorSetup, twoFactor.enableTwoFactor);
+router.post('/2fa/disable',         protect, twoFactor.disableTwoFactor);
+router.post('/2fa/recovery-codes',  protect, twoFactor.regenerateRecoveryCodes);
+router.get('/2fa/policy',           authorize('security:manage'), twoFactor.getPolicy);
+router.put('/2fa/policy',           authorize('security:manage'), logAdminAction('security.update-policy'), twoFactor.updatePolicy);
+
+/* ---- STAFF MANAGEMENT ---- */
+router.get('/users',              authorize('users:manage'), adminUser.getAllUsers);
+router.post('/users',             authorize('users:manage'), logAdminAction('user.invite', { model: 'AdminUser' }), adminUser.inviteUser);
+router.get('/users/:id',          authorize('users:manage'), adminUser.getUser);
+router.patch('/users/:id/role',   authorize('users:manage'), logAdminAction('user.update-role', { model: 'AdminUser' }), adminUser.updateUserRole);
+router.patch('/users/:id/status', authorize('users:manage'), logAdminAction('user.update-status', { model: 'AdminUser' }), adminUser.updateUserStatus);
+router.delete('/users/:id/2fa',   authorize('users:manage'), logAdminAction('user.reset-2fa', { model: 'AdminUser' }), adminUser.resetUserTwoFactor);
+
+module.exports = router;
@@ -1,27 +1,30 @@
 const express = require('express');
 const router  = express.Router();
 const { validateContact } = require('../middleware/validation');
-const { generalLimiter: rateLimiter } = require('../middleware/rateLimiter');
-const { authenticateAdmin } = require('../middleware/auth');
+const { generalLimiter: rateLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { authorize, logAdminAction } = require('../middleware/auth');
 const contact = require('../controllers/contactController');
+const dataRequests = require('../controllers/dataRequestController');
 
 /* ---- PUBLIC ---- */
 router.post('/',rateLimiter, validateContact, contact.submitContact);
 router.post('/newsletter', rateLimiter, contact.subscribeNewsletter);
+router.post('/data-requests', strictLimiter, dataRequests.submitDataRequest);
+router.get('/data-requests/verify/:token', strictLimiter, dataRequests.verifyDataRequest);
 
 /* ---- ADMIN ---- */
-router.get('/',                    authenticateAdmin, contact.getAllContacts);
-router.get('/stats',               authenticateAdmin, contact.getContactStats);
-router.get('/unread',              authenticateAdmin, contact.getUnreadCount);
-router.get('/:id',                 authenticateAdmin, contact.getContactById);
-router.put('/:id/status',          authenticateAdmin, contact.updateContactStatus);
-router.delete('/:id',              authenticateAdmin, contact.deleteContact);
-router.post('/:id/reply',          authenticateAdmin, contact.replyToContact);
+router.get('/',                    authorize('contacts:read'), contact.getAllContacts);
+router.get('/stats',               authorize('contacts:read'), contact.getContactStats);
+router.get('/unread',              authorize('contacts:read'), contact.getUnreadCount);
+router.get('/:id',                 authorize('contacts:read'), contact.getContactById);
+router.put('/:id/status',          authorize('contacts:write'), logAdminAction('contact.update-status', { model: 'Contact' }), contact.updateContactStatus);
+router.delete('/:id',              authorize('contacts:delete'), logAdminAction('contact.delete', { model: 'Contact' }), contact.deleteContact);
+router.post('/:id/reply',          authorize('contacts:write'), logAdminAction('contact.reply', { model: 'Contact' }), contact.replyToContact);
 
 /* ---- OPTIONAL / TODO ---- */
-// router.patch('/:id/read', authenticateAdmin, contact.markAsRead);
-// router.get('/search', authenticateAdmin, contact.searchContacts);
-// router.get('/category/:category', authenticateAdmin, contact.getContactsByCategory);
+// router.patch('/:id/read', authorize('contacts:write'), contact.markAsRead);
+// router.get('/search', authorize('contacts:read'), contact.searchContacts);
+// router.get('/category/:category', authorize('contacts:read'), contact.getContactsByCategory);
 // router.get('/offices/locations', contact.getOfficeLocations);
 
 module.exports = router;
\ No newline at end of file
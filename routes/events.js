@@ -1,30 +1,54 @@
 const express = require('express');
 const router  = express.Router();
 const event   = require('../controllers/eventController');
-const { validateEvent } = require('../middleware/validation');
+const registration = require('../controllers/eventRegistrationController');
+const calendar = require('../controllers/eventCalendarController');
+const shift    = require('../controllers/shiftController');
+const { validateEvent, validateEventRegistration } = require('../middleware/validation');
 const { generalLimiter: rateLimiter } = require('../middleware/rateLimiter');
 
-const { authenticateAdmin } = require('../middleware/auth');
+const { authorize, logAdminAction } = require('../middleware/auth');
+const { protectVolunteer } = require('../middleware/volunteerAuth');
 
 /* ---- PUBLIC ROUTES ---- */
 router.get('/',               event.getAllEvents);
 router.get('/upcoming',       event.getUpcomingEvents);
 router.get('/past',           event.getPastEvents);
 router.get('/featured',       event.getFeaturedEvents);
+router.get('/nearby',         event.getNearbyEvents);
+router.get('/calendar.ics',   calendar.getCalendarFeed);
+router.get('/slug/:slug',     event.getEventBySlug);
+router.get('/:id/calendar.ics', calendar.getEventCalendar);
 router.get('/:id',            event.getEventById);
 
 /* ---- ADMIN ROUTES ---- */
-router.post('/',        rateLimiter, authenticateAdmin, validateEvent, event.createEvent);
-router.put('/:id',                  authenticateAdmin, validateEvent, event.updateEvent);
-router.delete('/:id',               authenticateAdmin,               event.deleteEvent);
-router.get('/stats/analytics',      authenticateAdmin,               event.getEventStats);
+router.post('/',        rateLimiter, authorize('events:write'),  logAdminAction('event.create', { model: 'Event' }), validateEvent, event.createEvent);
+router.put('/:id',                  authorize('events:write'),  logAdminAction('event.update', { model: 'Event' }), validateEvent, event.updateEvent);
+router.put('/:id/occurrences/:date', authorize('events:write'), logAdminAction('event.update-occurrence', { model: 'Event' }), event.updateOccurrence);
+router.delete('/:id',               authorize('events:delete'), logAdminAction('event.delete', { model: 'Event' }),                event.deleteEvent);
+router.get('/stats/analytics',      authorize('events:read'),                 event.getEventStats);
+
+/* ---- REGISTRATION & CHECK-IN ---- */
+router.post('/:id/register',         rateLimiter, validateEventRegistration, registration.registerForEvent);
+router.get('/:id/register/:code',    rateLimiter, registration.getRegistration);
+router.delete('/:id/register/:code', rateLimiter, registration.cancelRegistration);
+router.get('/:id/attendees',         authorize('events:read'),  registration.getEventAttendees);
+router.post('/:id/checkin',          authorize('events:write'), logAdminAction('event.checkin', { model: 'Event' }), registration.checkInToEvent);
+
+/* ---- VOLUNTEER SHIFTS ---- */
+router.get('/:id/shifts',            shift.getEventShifts);
+router.get('/:id/shifts/roster',     authorize('volunteers:read'), shift.getShiftRoster);
+router.post('/:id/shifts',           authorize('events:write'), logAdminAction('shift.create', { model: 'Shift' }), shift.createShift);
+router.put('/:id/shifts/:shiftId',   authorize('events:write'), logAdminAction('shift.update', { model: 'Shift', idParam: 'shiftId' }), shift.updateShift);
+router.delete('/:id/shifts/:shiftId', authorize('events:write'), logAdminAction('shift.delete', { model: 'Shift', idParam: 'shiftId' }), shift.deleteShift);
+router.post('/:id/shifts/:shiftId/signup', rateLimiter, protectVolunteer, shift.signUpForShift);
+router.post('/:id/shifts/:shiftId/assignments', authorize('volunteers:write'), logAdminAction('shift.assign', { model: 'ShiftAssignment' }), shift.assignVolunteer);
+router.delete('/:id/shifts/:shiftId/assignments/:assignmentId', authorize('volunteers:write'), logAdminAction('shift.unassign', { model: 'ShiftAssignment', idParam: 'assignmentId' }), shift.cancelAssignment);
+router.put('/:id/shifts/:shiftId/assignments/:assignmentId/attendance', authorize('volunteers:write'), logAdminAction('shift.attendance', { model: 'ShiftAssignment', idParam: 'assignmentId' }), shift.recordAttendance);
 
 /* ---- OPTIONAL / TODO: implement later ---- */
 // router.get('/categories',        event.getEventCategories);   // already exported
 // router.get('/county/:county',    event.getEventsByCounty);    // needs controller
 // router.get('/category/:category',event.getEventsByCategory);  // needs controller
-// router.post('/:id/register',     rateLimiter, event.registerForEvent);
-// router.get('/:id/attendees',     authenticateAdmin, event.getEventAttendees);
-// router.post('/:id/checkin',      rateLimiter, event.checkInToEvent);
 
 module.exports = router;
\ No newline at end of file
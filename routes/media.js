@@ -3,7 +3,7 @@ const router  = express.Router();
 const media   = require('../controllers/mediaController');
 const { validateMedia } = require('../middleware/validation');
 const { generalLimiter: rateLimiter } = require('../middleware/rateLimiter');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authorize, logAdminAction } = require('../middleware/auth');
 const multer = require('multer');
 const path   = require('path');
 
@@ -24,10 +24,10 @@ router.get('/featured',           media.getFeaturedMedia);
 router.get('/:id',                media.getMediaById);
 
 /* ----  ADMIN ROUTES  ---- */
-router.post('/',            rateLimiter, authenticateAdmin, upload.array('file', 1), validateMedia, media.uploadMedia);
-router.post('/bulk-upload',            authenticateAdmin, upload.array('files', 20),                media.uploadMedia); // reuse uploadMedia
-router.put('/:id',                     authenticateAdmin, validateMedia,                            media.updateMedia);
-router.delete('/:id',                  authenticateAdmin,                                           media.deleteMedia);
-router.get('/stats/analytics',         authenticateAdmin,                                           media.getMediaStats);
+router.post('/',            rateLimiter, authorize('media:write'),  logAdminAction('media.upload', { model: 'Media' }),      upload.array('file', 1), validateMedia, media.uploadMedia);
+router.post('/bulk-upload',            authorize('media:write'),  logAdminAction('media.bulk-upload', { model: 'Media' }), upload.array('files', 20),                media.uploadMedia); // reuse uploadMedia
+router.put('/:id',                     authorize('media:write'),  logAdminAction('media.update', { model: 'Media' }),      validateMedia,                            media.updateMedia);
+router.delete('/:id',                  authorize('media:delete'), logAdminAction('media.delete', { model: 'Media' }),                                                media.deleteMedia);
+router.get('/stats/analytics',         authorize('media:stats'),                                           media.getMediaStats);
 
 module.exports = router;
\ No newline at end of file
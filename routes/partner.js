@@ -0,0 +1,22 @@
+// server/routes/partner.js
+// Read-only partner API, authenticated with scoped API keys (X-API-Key header)
+
+const express = require('express');
+const router = express.Router();
+
+const partner = require('../controllers/partnerController');
+const { apiKeyAuth } = require('../middleware/auth');
+const { partnerIpLimiter, partnerLimiter } = require('../middleware/rateLimiter');
+
+// Counts only requests whose key fails, before the key is looked up
+router.use(partnerIpLimiter);
+
+/* ---- PRESS ---- */
+router.get('/press',      apiKeyAuth('press:read'),  partnerLimiter, partner.getPartnerPress);
+router.get('/press/:id',  apiKeyAuth('press:read'),  partnerLimiter, partner.getPartnerPressRelease);
+
+/* ---- EVENTS ---- */
+router.get('/events',     apiKeyAuth('events:read'), partnerLimiter, partner.getPartnerEvents);
+router.get('/events/:id', apiKeyAuth('events:read'), partnerLimiter, partner.getPartnerEvent);
+
+module.exports = router;
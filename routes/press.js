@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 
 const press = require('../controllers/pressController');
+const revisions = require('../controllers/pressRevisionController');
+const workflow = require('../controllers/pressWorkflowController');
+const feed = require('../controllers/pressFeedController');
 const { validatePressRelease: validatePress } = require('../middleware/validation');
 const { generalLimiter: rateLimiter } = require('../middleware/rateLimiter');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, authorize, logAdminAction } = require('../middleware/auth');
 const { uploadMiddleware, handleUploadError } = require('../middleware/upload');
 
 // Enhanced middleware validator with debug logging
@@ -33,8 +36,14 @@ const buildAdminRoute = (method, path, ...middlewares) => {
 
 // Public routes
 router.get('/latest', press.getLatestPress);
+router.get('/feed.rss', feed.getRssFeed);
+router.get('/feed.atom', feed.getAtomFeed);
+router.get('/feed.json', feed.getJsonFeed);
 router.get('/search', press.searchPress);
-router.get('/stats/analytics', protect, restrictTo('super-admin'), press.getPressStats);
+router.get('/slug/:slug', press.getPressBySlug);
+router.get('/stats/analytics', ...authorize('press:stats'), press.getPressStats);
+router.get('/review-queue', ...authorize('press:read'), workflow.getReviewQueue);
+router.get('/translations/missing', ...authorize('press:read'), press.getMissingTranslations);
 router.get('/type/:type', press.getPressByType);
 router.get('/:id', press.getPressById);
 router.get('/', press.getAllPress);
@@ -44,8 +53,8 @@ buildAdminRoute(
   'post',
   '/',
   rateLimiter,
-  protect,
-  restrictTo('super-admin', 'communications'),
+  ...authorize('press:write'),
+  logAdminAction('press.create', { model: 'Press' }),
   uploadMiddleware.fields,
   handleUploadError,
   ...validatePress,
@@ -67,8 +76,8 @@ buildAdminRoute(
 buildAdminRoute(
   'put',
   '/:id',
-  protect,
-  restrictTo('super-admin', 'communications'),
+  ...authorize('press:write'),
+  logAdminAction('press.update', { model: 'Press' }),
   uploadMiddleware.fields,
   handleUploadError,
   ...validatePress,
@@ -88,15 +97,24 @@ buildAdminRoute(
 );
 
 // Other admin routes
-router.delete('/:id', protect, restrictTo('super-admin', 'communications'), press.deletePress);
-router.patch('/:id/featured', protect, restrictTo('super-admin', 'communications'), press.toggleFeatured);
-router.delete('/:id/attachments/:attachmentId', protect, restrictTo('super-admin', 'communications'), press.deleteAttachment);
+router.delete('/:id', ...authorize('press:delete'), logAdminAction('press.delete', { model: 'Press' }), press.deletePress);
+router.patch('/:id/featured', ...authorize('press:publish'), logAdminAction('press.toggle-featured', { model: 'Press' }), press.toggleFeatured);
+router.delete('/:id/attachments/:attachmentId', ...authorize('press:write'), logAdminAction('press.delete-attachment', { model: 'Press' }), press.deleteAttachment);
+
+// Editorial workflow (each action checks its own permission)
+router.post('/:id/transitions', protect, logAdminAction('press.transition', { model: 'Press' }), workflow.transitionPress);
+
+// Revision history
+router.get('/:id/revisions', ...authorize('press:read'), revisions.getRevisions);
+router.get('/:id/revisions/diff', ...authorize('press:read'), revisions.diffRevisions);
+router.get('/:id/revisions/:revision', ...authorize('press:read'), revisions.getRevision);
+router.post('/:id/revisions/:revision/restore', ...authorize('press:write'), logAdminAction('press.restore-revision', { model: 'Press' }), revisions.restoreRevision);
 
 // Media upload route
 router.post(
   '/upload-media',
-  protect,
-  restrictTo('super-admin', 'communications'),
+  ...authorize('press:write'),
+  logAdminAction('press.upload-media'),
   uploadMiddleware.multiple,
   handleUploadError,
   (req, res, next) => {
@@ -0,0 +1,16 @@
+// server/routes/seo.js
+// Mounted at the site root: sitemaps live at /sitemap.xml, structured data under /api/seo.
+
+const express = require('express');
+const router = express.Router();
+
+const seo = require('../controllers/seoController');
+
+/* ---- SITEMAPS ---- */
+router.get('/sitemap.xml',            seo.getSitemap);
+router.get('/sitemaps/:file',         seo.getSitemapPage);
+
+/* ---- STRUCTURED DATA ---- */
+router.get('/api/seo/jsonld/:type/:id', seo.getJsonLd);
+
+module.exports = router;
@@ -4,37 +4,66 @@ const express = require('express');
 const router = express.Router();
 
 const volunteerController = require('../controllers/volunteersController');
+const portalController = require('../controllers/volunteerPortalController');
 const { validateVolunteer } = require('../middleware/validation');
-const { volunteerLimiter } = require('../middleware/rateLimiter');
+const { volunteerLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { authorize, logAdminAction } = require('../middleware/auth');
+const { requestLoginLink, loginWithLink, protectVolunteer, logoutVolunteer } = require('../middleware/volunteerAuth');
 
 // Create new volunteer
 router.post('/', volunteerLimiter, validateVolunteer, volunteerController.createVolunteer);
 
-// Get all volunteers (admin)
-router.get('/', volunteerController.getAllVolunteers);
+// Confirm email address from the emailed link, or ask for a new link
+router.get('/verify/:token', strictLimiter, volunteerController.verifyVolunteerEmail);
+router.post('/verify/resend', strictLimiter, volunteerController.resendVolunteerVerification);
 
-// Get single volunteer by ID
-router.get('/:id', volunteerController.getVolunteer);
+// Volunteer portal: magic-link sign-in
+router.post('/login', strictLimiter, requestLoginLink);
+router.post('/login/verify', strictLimiter, loginWithLink);
 
-// Update volunteer status (admin)
-router.patch('/:id/status', volunteerController.updateVolunteerStatus);
-
-// Update volunteer activity
-router.patch('/:id/activity', volunteerController.updateVolunteerActivity);
+// Volunteer portal: the signed-in volunteer's own record
+router.get('/me', protectVolunteer, portalController.getMyProfile);
+router.patch('/me', protectVolunteer, portalController.updateMyProfile);
+router.get('/me/activities', protectVolunteer, portalController.getMyActivities);
+router.delete('/me/shifts/:assignmentId', protectVolunteer, portalController.cancelMyShift);
+router.post('/me/withdraw', protectVolunteer, portalController.withdraw);
+router.post('/me/logout', protectVolunteer, logoutVolunteer);
 
-// Delete volunteer (admin)
-router.delete('/:id', volunteerController.deleteVolunteer);
+// Get all volunteers (admin)
+router.get('/', authorize('volunteers:read'), volunteerController.getAllVolunteers);
 
 // Volunteer statistics (admin)
-router.get('/stats/overview', volunteerController.getVolunteerStats);
+router.get('/stats/overview', authorize('volunteers:read'), volunteerController.getVolunteerStats);
+
+// Onboarding funnel per county (admin)
+router.get('/stats/onboarding', authorize('volunteers:read'), volunteerController.getOnboardingFunnel);
 
 // Search volunteers
-router.get('/search', volunteerController.searchVolunteers);
+router.get('/search', authorize('volunteers:read'), volunteerController.searchVolunteers);
 
 // Get volunteers by location
-router.get('/filter/location', volunteerController.getVolunteersByLocation);
+router.get('/filter/location', authorize('volunteers:read'), volunteerController.getVolunteersByLocation);
+
+// Get volunteers nearest to an event or a point
+router.get('/filter/nearby', authorize('volunteers:read'), volunteerController.getNearestVolunteers);
 
 // Export volunteers
-router.get('/export', volunteerController.exportVolunteers);
+router.get('/export', authorize('volunteers:export'), volunteerController.exportVolunteers);
+
+// Get single volunteer by ID
+router.get('/:id', authorize('volunteers:read'), volunteerController.getVolunteer);
+
+// Update volunteer status (admin)
+router.patch('/:id/status', authorize('volunteers:write'), logAdminAction('volunteer.update-status', { model: 'Volunteer' }), volunteerController.updateVolunteerStatus);
+
+// Onboarding progress, and signing off the next stage
+router.get('/:id/onboarding', authorize('volunteers:read'), volunteerController.getVolunteerOnboarding);
+router.post('/:id/onboarding', authorize('volunteers:write'), logAdminAction('volunteer.advance-onboarding', { model: 'Volunteer' }), volunteerController.advanceVolunteerOnboarding);
+
+// Update volunteer activity
+router.patch('/:id/activity', authorize('volunteers:write'), logAdminAction('volunteer.update-activity', { model: 'Volunteer' }), volunteerController.updateVolunteerActivity);
+
+// Delete volunteer (admin)
+router.delete('/:id', authorize('volunteers:delete'), logAdminAction('volunteer.delete', { model: 'Volunteer' }), volunteerController.deleteVolunteer);
 
 module.exports = router;
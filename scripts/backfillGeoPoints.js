@@ -0,0 +1,43 @@
+// server/scripts/backfillGeoPoints.js
+// Fills in the GeoJSON `geo` point for events and volunteers saved before it
+// existed, so they show up in nearby searches. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Volunteer = require('../models/Volunteer');
+
+const backfill = async (Model, coordinatesPath) => {
+  const cursor = Model.find({
+    [`${coordinatesPath}.lat`]: { $type: 'number' },
+    [`${coordinatesPath}.lng`]: { $type: 'number' },
+    geo: { $exists: false }
+  }).select(coordinatesPath).lean().cursor();
+
+  let updated = 0;
+  for await (const doc of cursor) {
+    const { lat, lng } = coordinatesPath.split('.').reduce((value, key) => value[key], doc);
+    await Model.updateOne({ _id: doc._id }, { $set: { geo: { type: 'Point', coordinates: [lng, lat] } } });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+const backfillGeoPoints = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Make sure the 2dsphere indexes exist before the first nearby query
+  await Promise.all([Event.createIndexes(), Volunteer.createIndexes()]);
+
+  const events = await backfill(Event, 'venue.coordinates');
+  const volunteers = await backfill(Volunteer, 'coordinates');
+
+  console.log(`✅ Geo points added: ${events} events, ${volunteers} volunteers`);
+};
+
+backfillGeoPoints()
+  .catch((error) => {
+    console.error('❌ Failed to backfill geo points:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+// server/scripts/createSuperAdmin.js
+// Bootstraps the first super-admin account from environment variables:
+//   ADMIN_EMAIL, ADMIN_NAME, ADMIN_PASSWORD
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AdminUser = require('../models/AdminUser');
+const { validatePassword } = require('../middleware/auth');
+
+const createSuperAdmin = async () => {
+  const { ADMIN_EMAIL, ADMIN_NAME = 'Campaign Admin', ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+  }
+
+  const passwordError = validatePassword(ADMIN_PASSWORD);
+  if (passwordError) {
+    throw new Error(passwordError);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const existing = await AdminUser.findOne({ email: ADMIN_EMAIL.toLowerCase() });
+  if (existing) {
+    console.log(`Admin user ${existing.email} already exists (role: ${existing.role})`);
+    return;
+  }
+
+  const user = await AdminUser.create({
+    name: ADMIN_NAME,
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    role: 'super-admin'
+  });
+
+  console.log(`✅ Super-admin created: ${user.email}`);
+};
+
+createSuperAdmin()
+  .catch((error) => {
+    console.error('❌ Failed to create super-admin:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
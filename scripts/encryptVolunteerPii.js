@@ -0,0 +1,75 @@
+// server/scripts/encryptVolunteerPii.js
+// Encrypts volunteer phone numbers, national IDs and dates of birth saved in
+// plaintext, re-encrypts values written with a key other than the current one
+// (see config/encryption.js), and rebuilds the blind indexes. Safe to run more
+// than once; run it on deploy, before new registrations come in.
+//
+//   npm run encrypt-volunteers             update the records
+//   npm run encrypt-volunteers -- --dry-run  only count what would change
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Volunteer = require('../models/Volunteer');
+
+// The plaintext unique index would reject every record after the first once
+// national IDs are removed from it; the blind index replaces it
+const dropPlaintextIndex = async () => {
+  const indexes = await Volunteer.collection.indexes();
+  if (indexes.some(index => index.name === 'nationalId_1')) {
+    await Volunteer.collection.dropIndex('nationalId_1');
+    console.log('Dropped the plaintext nationalId index');
+  }
+};
+
+// Bring every stored volunteer up to date. Resolves to { checked, updated };
+// with dryRun nothing is written and `updated` counts what would change.
+const encryptVolunteerPii = async ({ dryRun = false } = {}) => {
+  if (!dryRun) await dropPlaintextIndex();
+
+  // Raw documents, so plaintext fields no longer in the schema are visible
+  const cursor = Volunteer.collection.find({});
+
+  let checked = 0;
+  let updated = 0;
+  for await (const raw of cursor) {
+    checked += 1;
+
+    let { update, values } = Volunteer.encryptedFieldsUpdate(raw);
+
+    // Age statistics read the birth year, which stays in the clear
+    const { dateOfBirth } = values;
+    const birthYear = dateOfBirth && !Number.isNaN(dateOfBirth.getTime()) ? dateOfBirth.getUTCFullYear() : undefined;
+    if (birthYear && raw.birthYear !== birthYear) {
+      update = { ...update, $set: { ...(update && update.$set), birthYear } };
+    }
+
+    if (!update) continue;
+
+    if (!dryRun) await Volunteer.collection.updateOne({ _id: raw._id }, update);
+    updated += 1;
+  }
+
+  // Build the blind indexes (the national ID one is unique)
+  if (!dryRun) await Volunteer.createIndexes();
+
+  return { checked, updated };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const dryRun = process.argv.includes('--dry-run');
+  const { checked, updated } = await encryptVolunteerPii({ dryRun });
+
+  console.log(`✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} of ${checked} volunteers`);
+};
+
+if (require.main === module) {
+  run()
+    .catch((error) => {
+      console.error('❌ Failed to encrypt volunteer data:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { encryptVolunteerPii };
@@ -6,10 +6,14 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
 const { globalErrorHandler, notFound } = require('./middleware/errorHandler');
+const { startPressScheduler } = require('./jobs/pressScheduler');
+const { startEventReminders } = require('./jobs/eventReminders');
+const { startVolunteerPurge } = require('./jobs/volunteerPurge');
 
 // Import route files
 const volunteerRoutes = require('./routes/volunteers');
@@ -18,6 +22,9 @@ const mediaRoutes     = require('./routes/media');
 const contactRoutes   = require('./routes/contact');
 const eventRoutes     = require('./routes/events');
 const authRoutes      = require('./routes/auth'); // ← NEW: /api/auth/** routes
+const adminRoutes     = require('./routes/admin');
+const seoRoutes       = require('./routes/seo');
+const partnerRoutes   = require('./routes/partner');
 
 const app = express();
 connectDB();
@@ -27,6 +34,7 @@ connectDB();
 ───────────────────────────────────────────────── */
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 /* ───────────────────────────────────────────────
    2️⃣  SECURITY / PERFORMANCE MIDDLEWARE
@@ -52,6 +60,8 @@ const limiter = rateLimit({
   message: { success: false, message: 'Too many requests from this IP, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Partner requests are limited per IP until authenticated, then per API key (routes/partner.js)
+  skip: (req) => req.path.startsWith('/partner/'),
 });
 app.use('/api', limiter);
 
@@ -69,7 +79,7 @@ app.use(cors({
     
      ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 app.use(compression());
@@ -88,6 +98,12 @@ app.use('/api/press',       pressRoutes);
 app.use('/api/media',       mediaRoutes);
 app.use('/api/contact',     contactRoutes);
 app.use('/api/events',      eventRoutes);
+app.use('/api/admin',       adminRoutes);
+
+app.use('/api/partner',     partnerRoutes);   // read-only, scoped API keys
+
+// Sitemaps (/sitemap.xml) and JSON-LD (/api/seo/jsonld/:type/:id)
+app.use('/',                seoRoutes);
 
 // Health & status endpoints
 app.get('/health', (req, res) =>
@@ -117,4 +133,18 @@ const server = app.listen(PORT, () =>
 );
 /* ⏱️  Allow long uploads (10 min) */
 server.timeout = 10 * 60 * 1000;   // 600 000 ms
+
+/* ───────────────────────────────────────────────
+   6️⃣  BACKGROUND JOBS
+───────────────────────────────────────────────── */
+if (process.env.PRESS_SCHEDULER_ENABLED !== 'false') {
+  startPressScheduler();
+}
+if (process.env.EVENT_REMINDERS_ENABLED !== 'false') {
+  startEventReminders();
+}
+if (process.env.VOLUNTEER_PURGE_ENABLED !== 'false') {
+  startVolunteerPurge();
+}
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,88 @@
+// tests/encryptVolunteerPii.test.js
+// The migration against a stubbed collection; nothing here touches the database.
+const { useKeys } = require('./helpers/encryptionKeys');
+const Volunteer = require('../models/Volunteer');
+const { encryptVolunteerPii } = require('../scripts/encryptVolunteerPii');
+const { keyIdOf } = require('../utils/fieldEncryption');
+
+describe('encryptVolunteerPii', () => {
+  let records;
+
+  beforeEach(() => {
+    useKeys(['v1']);
+    const oldKey = new Volunteer({ phone: '0733000000', nationalId: '22222222', dateOfBirth: '1992-07-04' })
+      .toObject({ virtuals: false });
+    oldKey.birthYear = 1992;
+
+    // v2 becomes current, so the record above needs re-encrypting
+    useKeys(['v1', 'v2'], 'v2');
+    const current = new Volunteer({ phone: '0722000000', nationalId: '11111111', dateOfBirth: '1985-01-01' })
+      .toObject({ virtuals: false });
+    current.birthYear = 1985;
+
+    records = [
+      // Saved before encryption
+      { _id: 'legacy', phone: '0712345678', nationalId: '12345678', dateOfBirth: new Date('1990-05-17') },
+      current,
+      oldKey
+    ];
+
+    jest.spyOn(Volunteer.collection, 'find').mockImplementation(() => records.map(record => ({ ...record })));
+    jest.spyOn(Volunteer.collection, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Volunteer.collection, 'indexes').mockResolvedValue([{ name: '_id_' }, { name: 'nationalId_1' }]);
+    jest.spyOn(Volunteer.collection, 'dropIndex').mockResolvedValue(true);
+    jest.spyOn(Volunteer, 'createIndexes').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts what a dry run would change without writing anything', async () => {
+    const result = await encryptVolunteerPii({ dryRun: true });
+
+    expect(result).toEqual({ checked: 3, updated: 2 });
+    expect(Volunteer.collection.updateOne).not.toHaveBeenCalled();
+    expect(Volunteer.collection.dropIndex).not.toHaveBeenCalled();
+    expect(Volunteer.createIndexes).not.toHaveBeenCalled();
+  });
+
+  it('encrypts plaintext, re-encrypts old keys and rebuilds the indexes', async () => {
+    const result = await encryptVolunteerPii();
+
+    expect(result).toEqual({ checked: 3, updated: 2 });
+    expect(Volunteer.collection.dropIndex).toHaveBeenCalledWith('nationalId_1');
+    expect(Volunteer.createIndexes).toHaveBeenCalled();
+
+    const updates = Object.fromEntries(
+      Volunteer.collection.updateOne.mock.calls.map(([filter, update]) => [filter._id, update])
+    );
+
+    const legacy = updates.legacy;
+    expect(legacy.$unset).toEqual({ phone: 1, nationalId: 1, dateOfBirth: 1 });
+    expect(legacy.$set.birthYear).toBe(1990);
+    expect(keyIdOf(legacy.$set['encrypted.nationalId'])).toBe('v2');
+    expect(legacy.$set['blindIndex.nationalId']).toBe(Volunteer.blindIndexFor('nationalId', '12345678'));
+
+    const rotated = updates[records[2]._id];
+    expect(keyIdOf(rotated.$set['encrypted.phone'])).toBe('v2');
+    expect(rotated.$set.birthYear).toBeUndefined();
+    expect(rotated.$unset).toBeUndefined();
+  });
+
+  it('has nothing left to do on a second run', async () => {
+    await encryptVolunteerPii();
+
+    // Apply the first run's updates to the stored records
+    Volunteer.collection.updateOne.mock.calls.forEach(([filter, update]) => {
+      const record = records.find(candidate => candidate._id === filter._id);
+      Object.entries(update.$set || {}).forEach(([path, value]) => {
+        const [head, field] = path.split('.');
+        if (field) record[head] = { ...record[head], [field]: value };
+        else record[head] = value;
+      });
+      Object.keys(update.$unset || {}).forEach(path => delete record[path]);
+    });
+
+    expect(await encryptVolunteerPii({ dryRun: true })).toEqual({ checked: 3, updated: 0 });
+  });
+});
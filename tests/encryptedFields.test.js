@@ -0,0 +1,130 @@
+// tests/encryptedFields.test.js
+// The plugin as used by the Volunteer model; nothing here touches the database.
+const { useKeys } = require('./helpers/encryptionKeys');
+const Volunteer = require('../models/Volunteer');
+const { keyIdOf } = require('../utils/fieldEncryption');
+
+const validationErrors = async (doc) => {
+  try {
+    await doc.validate();
+    return {};
+  } catch (error) {
+    return error.errors;
+  }
+};
+
+describe('encryptedFields plugin', () => {
+  beforeEach(() => useKeys(['v1']));
+
+  it('stores only ciphertext and reads the plaintext back', () => {
+    const volunteer = new Volunteer({ phone: '0712345678', nationalId: '12345678', dateOfBirth: '1990-05-17' });
+
+    expect(volunteer.phone).toBe('0712345678');
+    expect(volunteer.nationalId).toBe('12345678');
+    expect(volunteer.dateOfBirth.toISOString()).toBe('1990-05-17T00:00:00.000Z');
+
+    const stored = volunteer.toObject({ virtuals: false });
+    expect(stored.phone).toBeUndefined();
+    expect(keyIdOf(stored.encrypted.phone)).toBe('v1');
+    expect(JSON.stringify(stored)).not.toContain('12345678');
+  });
+
+  it('never sends ciphertext or blind indexes in JSON', () => {
+    const json = new Volunteer({ phone: '0712345678', nationalId: '12345678' }).toJSON();
+
+    expect(json.encrypted).toBeUndefined();
+    expect(json.blindIndex).toBeUndefined();
+    expect(json.phone).toBe('0712345678');
+  });
+
+  it('validates the plaintext', async () => {
+    const errors = await validationErrors(new Volunteer({ phone: '12345', nationalId: '1234', dateOfBirth: 'soon' }));
+
+    expect(errors.phone.message).toBe('Please enter a valid Kenyan phone number');
+    expect(errors.nationalId.message).toBe('Please enter a valid 8-digit National ID');
+    expect(errors.dateOfBirth.message).toBe('Please enter a valid date of birth');
+  });
+
+  it('requires the fields on new documents', async () => {
+    const errors = await validationErrors(new Volunteer({}));
+
+    expect(errors.phone.message).toBe('Phone number is required');
+    expect(errors.nationalId.message).toBe('National ID is required');
+    expect(errors.dateOfBirth.message).toBe('Date of birth is required');
+  });
+
+  it('indexes phone numbers the same whichever prefix they were written with', () => {
+    const volunteer = new Volunteer({ phone: '+254712345678' });
+
+    expect(volunteer.get('blindIndex.phone')).toBe(Volunteer.blindIndexFor('phone', '0712345678'));
+    expect(Volunteer.blindIndexFor('phone', '254712345678')).toBe(Volunteer.blindIndexFor('phone', '0712345678'));
+    expect(Volunteer.blindIndexFor('phone', '123')).toBeUndefined();
+  });
+
+  it('decrypts lean records', () => {
+    const raw = new Volunteer({ phone: '0712345678', nationalId: '12345678' }).toObject({ virtuals: false });
+    const record = Volunteer.decryptFields(raw);
+
+    expect(record).toMatchObject({ phone: '0712345678', nationalId: '12345678' });
+    expect(record.encrypted).toBeUndefined();
+    expect(record.blindIndex).toBeUndefined();
+  });
+
+  describe('after key rotation', () => {
+    // Raw stored volunteers, as the collection would return them
+    let stored;
+
+    // What Volunteer.findOne({ 'blindIndex.phone': ... }) matches
+    const findByIndex = (path, value) => stored.find(record => record.blindIndex[path.split('.')[1]] === value);
+
+    beforeEach(() => {
+      stored = [
+        new Volunteer({ phone: '0722000000', nationalId: '11111111' }),
+        new Volunteer({ phone: '0712345678', nationalId: '12345678' })
+      ].map(volunteer => volunteer.toObject({ virtuals: false }));
+
+      useKeys(['v1', 'v2'], 'v2');
+    });
+
+    it('still finds and decrypts a record stored under the old key', () => {
+      const record = findByIndex('blindIndex.phone', Volunteer.blindIndexFor('phone', '+254712345678'));
+
+      expect(record).toBeDefined();
+      expect(keyIdOf(record.encrypted.phone)).toBe('v1');
+      expect(Volunteer.decryptFields({ ...record }).phone).toBe('0712345678');
+    });
+
+    it('finds a duplicate national ID stored under the old key', () => {
+      const duplicate = findByIndex('blindIndex.nationalId', Volunteer.blindIndexFor('nationalId', '1234 5678'));
+
+      expect(duplicate).toBeDefined();
+      expect(Volunteer.decryptFields({ ...duplicate }).nationalId).toBe('12345678');
+    });
+
+    it('re-encrypts old values with the current key and keeps the blind index', () => {
+      const { update, values } = Volunteer.encryptedFieldsUpdate(stored[1]);
+
+      expect(values).toMatchObject({ phone: '0712345678', nationalId: '12345678' });
+      expect(keyIdOf(update.$set['encrypted.phone'])).toBe('v2');
+      expect(keyIdOf(update.$set['encrypted.nationalId'])).toBe('v2');
+      expect(update.$set['blindIndex.phone']).toBeUndefined();
+      expect(update.$unset).toBeUndefined();
+    });
+  });
+
+  it('encrypts plaintext left over from before the plugin', () => {
+    const legacy = { _id: 'legacy', phone: '0712345678', nationalId: '12345678', dateOfBirth: new Date('1990-05-17') };
+    const { update, values } = Volunteer.encryptedFieldsUpdate(legacy);
+
+    expect(update.$unset).toEqual({ phone: 1, nationalId: 1, dateOfBirth: 1 });
+    expect(keyIdOf(update.$set['encrypted.phone'])).toBe('v1');
+    expect(update.$set['blindIndex.nationalId']).toBe(Volunteer.blindIndexFor('nationalId', '12345678'));
+    expect(values.dateOfBirth.toISOString()).toBe('1990-05-17T00:00:00.000Z');
+  });
+
+  it('has nothing to do for an up-to-date record', () => {
+    const current = new Volunteer({ phone: '0712345678', nationalId: '12345678' }).toObject({ virtuals: false });
+
+    expect(Volunteer.encryptedFieldsUpdate(current).update).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+// tests/fieldEncryption.test.js
+const crypto = require('crypto');
+const { KEYS, useKeys } = require('./helpers/encryptionKeys');
+const { encrypt, decrypt, keyIdOf, isCurrentKey, blindIndex } = require('../utils/fieldEncryption');
+
+describe('fieldEncryption', () => {
+  beforeEach(() => useKeys(['v1']));
+
+  describe('encrypt / decrypt', () => {
+    it('round-trips a value', () => {
+      expect(decrypt(encrypt('0712345678'))).toBe('0712345678');
+      expect(decrypt(encrypt('Wanjikũ — 🇰🇪'))).toBe('Wanjikũ — 🇰🇪');
+    });
+
+    it('stores the key id, IV, tag and ciphertext, with a fresh IV each time', () => {
+      const first = encrypt('12345678');
+      const second = encrypt('12345678');
+
+      expect(first.split(':')).toHaveLength(4);
+      expect(keyIdOf(first)).toBe('v1');
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('12345678');
+    });
+
+    it('refuses a value encrypted with a different key under the same id', () => {
+      const stored = encrypt('12345678');
+      useKeys(['v1'], 'v1', { v1: crypto.randomBytes(32).toString('base64') });
+
+      expect(() => decrypt(stored)).toThrow();
+    });
+
+    it('refuses a tampered value', () => {
+      const [keyId, iv, tag, ciphertext] = encrypt('12345678').split(':');
+      const flipped = Buffer.from(ciphertext, 'base64');
+      flipped[0] ^= 1;
+
+      expect(() => decrypt([keyId, iv, tag, flipped.toString('base64')].join(':'))).toThrow();
+    });
+
+    it('names a missing key and rejects malformed values', () => {
+      expect(() => decrypt('v9:aaaa:bbbb:cccc')).toThrow('Cannot decrypt field: unknown key "v9"');
+      expect(() => decrypt('v1:aaaa')).toThrow('Cannot decrypt field: malformed value');
+    });
+  });
+
+  describe('key rotation', () => {
+    it('reads old values after a new key becomes current, and writes with the new key', () => {
+      const old = encrypt('12345678');
+
+      useKeys(['v1', 'v2'], 'v2');
+
+      expect(decrypt(old)).toBe('12345678');
+      expect(isCurrentKey(old)).toBe(false);
+
+      const fresh = encrypt('12345678');
+      expect(keyIdOf(fresh)).toBe('v2');
+      expect(isCurrentKey(fresh)).toBe(true);
+    });
+
+    it('cannot read values once their key is retired', () => {
+      const old = encrypt('12345678');
+      useKeys(['v2']);
+
+      expect(() => decrypt(old)).toThrow('unknown key "v1"');
+    });
+  });
+
+  describe('configuration', () => {
+    afterEach(() => useKeys(['v1']));
+
+    it('requires the keys to be set', () => {
+      delete process.env.FIELD_ENCRYPTION_KEYS;
+      expect(() => encrypt('x')).toThrow('FIELD_ENCRYPTION_KEYS is not set');
+    });
+
+    it('requires 32-byte keys', () => {
+      process.env.FIELD_ENCRYPTION_KEYS = `v1:${Buffer.alloc(16).toString('base64')}`;
+      expect(() => encrypt('x')).toThrow('(key "v1") must be 32 bytes');
+    });
+
+    it('requires the current key to be listed', () => {
+      process.env.FIELD_ENCRYPTION_KEYS = `v1:${KEYS.v1}`;
+      process.env.FIELD_ENCRYPTION_KEY_ID = 'v2';
+      expect(() => encrypt('x')).toThrow('FIELD_ENCRYPTION_KEY_ID "v2" is not listed');
+    });
+  });
+
+  describe('blindIndex', () => {
+    it('is deterministic and scoped to the field', () => {
+      expect(blindIndex('nationalId', '12345678')).toBe(blindIndex('nationalId', '12345678'));
+      expect(blindIndex('nationalId', '12345678')).not.toBe(blindIndex('phone', '12345678'));
+      expect(blindIndex('nationalId', '12345678')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('does not change when the encryption key rotates', () => {
+      const before = blindIndex('phone', '712345678');
+      useKeys(['v1', 'v2'], 'v2');
+
+      expect(blindIndex('phone', '712345678')).toBe(before);
+    });
+  });
+});
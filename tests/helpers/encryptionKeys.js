@@ -0,0 +1,18 @@
+// tests/helpers/encryptionKeys.js
+// Field encryption keys for tests; config/encryption.js re-reads them whenever
+// the environment changes, so tests can rotate keys by calling useKeys again.
+const crypto = require('crypto');
+
+const KEYS = {
+  v1: crypto.randomBytes(32).toString('base64'),
+  v2: crypto.randomBytes(32).toString('base64')
+};
+
+// useKeys(['v1', 'v2'], 'v2') lists v1 and v2 and encrypts new values with v2
+const useKeys = (keyIds, currentKeyId = keyIds[0], keys = KEYS) => {
+  process.env.FIELD_ENCRYPTION_KEYS = keyIds.map(keyId => `${keyId}:${keys[keyId]}`).join(',');
+  process.env.FIELD_ENCRYPTION_KEY_ID = currentKeyId;
+  process.env.FIELD_BLIND_INDEX_KEY = process.env.FIELD_BLIND_INDEX_KEY || crypto.randomBytes(32).toString('base64');
+};
+
+module.exports = { KEYS, useKeys };
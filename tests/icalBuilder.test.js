@@ -0,0 +1,105 @@
+// tests/icalBuilder.test.js
+const { escapeText, buildCalendar } = require('../utils/icalBuilder');
+
+const calendarLines = (events, calendar = { name: 'Campaign events' }) => {
+  return buildCalendar(calendar, events).split('\r\n');
+};
+
+// Undo line folding (RFC 5545 3.1)
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    expect(escapeText('Rally; Nakuru, Kenya\nBring water \\ snacks'))
+      .toBe('Rally\\; Nakuru\\, Kenya\\nBring water \\\\ snacks');
+  });
+
+  it('treats missing values as empty', () => {
+    expect(escapeText(undefined)).toBe('');
+    expect(escapeText(null)).toBe('');
+  });
+});
+
+describe('buildCalendar', () => {
+  const event = {
+    uid: 'abc123@campaign.example',
+    sequence: 2,
+    summary: 'Town hall',
+    start: new Date('2027-03-01T07:00:00Z'),
+    end: new Date('2027-03-01T09:00:00Z')
+  };
+
+  it('wraps events in a VCALENDAR with CRLF line endings', () => {
+    const ics = buildCalendar({ name: 'Campaign events', refreshMinutes: 60 }, [event]);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).not.toMatch(/[^\r]\n/);
+    expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT60M');
+  });
+
+  it('writes timed events in UTC', () => {
+    const lines = calendarLines([event]);
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'UID:abc123@campaign.example',
+      'SEQUENCE:2',
+      'DTSTART:20270301T070000Z',
+      'DTEND:20270301T090000Z',
+      'SUMMARY:Town hall',
+      'TRANSP:OPAQUE'
+    ]));
+  });
+
+  it('writes all-day events as local dates with an exclusive end', () => {
+    const lines = calendarLines([{
+      ...event,
+      allDay: true,
+      timezone: 'Africa/Nairobi',
+      start: new Date('2027-03-01T00:00:00+03:00'),
+      end: new Date('2027-03-02T23:59:00+03:00')
+    }]);
+
+    expect(lines).toContain('DTSTART;VALUE=DATE:20270301');
+    expect(lines).toContain('DTEND;VALUE=DATE:20270303');
+  });
+
+  it('writes a series with its RRULE and EXDATEs', () => {
+    const lines = calendarLines([{
+      ...event,
+      rrule: 'FREQ=WEEKLY;COUNT=4',
+      exdates: [new Date('2027-03-08T07:00:00Z'), new Date('2027-03-15T07:00:00Z')]
+    }]);
+
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;COUNT=4');
+    expect(lines).toContain('EXDATE:20270308T070000Z,20270315T070000Z');
+  });
+
+  it('writes an edited occurrence with the series UID and a RECURRENCE-ID', () => {
+    const lines = calendarLines([{
+      ...event,
+      recurrenceId: new Date('2027-03-22T07:00:00Z'),
+      start: new Date('2027-03-22T10:00:00Z'),
+      end: new Date('2027-03-22T12:00:00Z')
+    }]);
+
+    expect(lines).toContain('UID:abc123@campaign.example');
+    expect(lines).toContain('RECURRENCE-ID:20270322T070000Z');
+    expect(lines).toContain('DTSTART:20270322T100000Z');
+  });
+
+  it('shows cancelled events as free time', () => {
+    expect(calendarLines([{ ...event, status: 'CANCELLED' }])).toContain('TRANSP:TRANSPARENT');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const description = 'Karibu wote — '.repeat(20);
+    const ics = buildCalendar({ name: 'Campaign events' }, [{ ...event, description }]);
+
+    ics.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(unfold(ics)).toContain(`DESCRIPTION:${description}`);
+  });
+});
@@ -0,0 +1,130 @@
+// tests/recurrence.test.js
+const { expandOccurrences, toRRule, dayKey } = require('../utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('expandOccurrences', () => {
+  // Monday 1 March 2027, 10:00 in Nairobi (UTC+3, no daylight saving)
+  const start = new Date('2027-03-01T07:00:00Z');
+
+  it('repeats daily at the interval until the count is reached', () => {
+    const occurrences = expandOccurrences({ freq: 'daily', interval: 2, count: 3 }, { start });
+
+    expect(iso(occurrences)).toEqual([
+      '2027-03-01T07:00:00.000Z',
+      '2027-03-03T07:00:00.000Z',
+      '2027-03-05T07:00:00.000Z'
+    ]);
+  });
+
+  it('expands byDay within each week, Monday first', () => {
+    const occurrences = expandOccurrences({ freq: 'weekly', byDay: ['FR', 'MO', 'WE'], count: 5 }, { start });
+
+    expect(occurrences.map(date => dayKey(date, 'Africa/Nairobi'))).toEqual([
+      '2027-03-01', '2027-03-03', '2027-03-05', '2027-03-08', '2027-03-10'
+    ]);
+  });
+
+  it('skips weeks by the interval', () => {
+    const occurrences = expandOccurrences({ freq: 'weekly', interval: 2, byDay: ['TU'], count: 3 }, { start });
+
+    expect(occurrences.map(date => dayKey(date, 'Africa/Nairobi'))).toEqual([
+      '2027-03-02', '2027-03-16', '2027-03-30'
+    ]);
+  });
+
+  it('never starts before the first occurrence, even when byDay has earlier weekdays', () => {
+    const wednesday = new Date('2027-03-03T07:00:00Z');
+    const occurrences = expandOccurrences({ freq: 'weekly', byDay: ['MO', 'WE'], count: 2 }, { start: wednesday });
+
+    expect(occurrences.map(date => dayKey(date, 'Africa/Nairobi'))).toEqual(['2027-03-03', '2027-03-08']);
+  });
+
+  it('includes an occurrence falling exactly on until', () => {
+    const occurrences = expandOccurrences(
+      { freq: 'weekly', until: new Date('2027-03-15T07:00:00Z') },
+      { start }
+    );
+
+    expect(iso(occurrences)).toEqual([
+      '2027-03-01T07:00:00.000Z',
+      '2027-03-08T07:00:00.000Z',
+      '2027-03-15T07:00:00.000Z'
+    ]);
+  });
+
+  it('counts occurrences from the start of the series, not the window', () => {
+    const occurrences = expandOccurrences({ freq: 'weekly', count: 4 }, {
+      start,
+      from: new Date('2027-03-10T00:00:00Z'),
+      to: new Date('2027-12-31T00:00:00Z')
+    });
+
+    expect(iso(occurrences)).toEqual([
+      '2027-03-15T07:00:00.000Z',
+      '2027-03-22T07:00:00.000Z'
+    ]);
+  });
+
+  it('stops at the window end for an open-ended rule', () => {
+    const occurrences = expandOccurrences({ freq: 'daily' }, {
+      start,
+      from: start,
+      to: new Date('2027-03-04T07:00:00Z')
+    });
+
+    expect(occurrences).toHaveLength(4);
+  });
+
+  it('leaves out exception dates, matched by local calendar day', () => {
+    // 23:30 in Nairobi is still the previous day in UTC
+    const lateStart = new Date('2027-03-01T20:30:00Z');
+    const occurrences = expandOccurrences({ freq: 'daily', count: 4 }, {
+      start: lateStart,
+      exceptions: [new Date('2027-03-02T00:00:00+03:00')]
+    });
+
+    expect(occurrences.map(date => dayKey(date, 'Africa/Nairobi'))).toEqual([
+      '2027-03-01', '2027-03-03', '2027-03-04'
+    ]);
+  });
+
+  it('skips months without the start day', () => {
+    const occurrences = expandOccurrences({ freq: 'monthly', count: 3 }, { start: new Date('2027-01-31T07:00:00Z') });
+
+    expect(occurrences.map(date => dayKey(date, 'Africa/Nairobi'))).toEqual([
+      '2027-01-31', '2027-03-31', '2027-05-31'
+    ]);
+  });
+
+  it('keeps the local wall-clock time across a daylight saving change', () => {
+    // 09:00 in New York; clocks go forward on 14 March 2027
+    const occurrences = expandOccurrences({ freq: 'weekly', count: 3 }, {
+      start: new Date('2027-03-08T14:00:00Z'),
+      timezone: 'America/New_York'
+    });
+
+    expect(iso(occurrences)).toEqual([
+      '2027-03-08T14:00:00.000Z',
+      '2027-03-15T13:00:00.000Z',
+      '2027-03-22T13:00:00.000Z'
+    ]);
+  });
+
+  it('returns nothing for a missing or unknown rule', () => {
+    expect(expandOccurrences(null, { start })).toEqual([]);
+    expect(expandOccurrences({ freq: 'yearly' }, { start })).toEqual([]);
+  });
+});
+
+describe('toRRule', () => {
+  it('writes interval, byDay and count', () => {
+    expect(toRRule({ freq: 'weekly', interval: 2, byDay: ['MO', 'TH'], count: 6 }))
+      .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6');
+  });
+
+  it('writes until in UTC and leaves out an interval of 1', () => {
+    expect(toRRule({ freq: 'daily', interval: 1, until: new Date('2027-04-01T07:00:00+03:00') }))
+      .toBe('FREQ=DAILY;UNTIL=20270401T040000Z');
+  });
+});
@@ -0,0 +1,110 @@
+// tests/totp.test.js
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthURI,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+// The RFC 4226 / RFC 6238 test secret, "12345678901234567890"
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encodes the RFC test secret', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes case-insensitively, ignoring spaces and padding', () => {
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString()).toBe('12345678901234567890');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character: 1');
+  });
+
+  it('round-trips generated secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+});
+
+describe('generateHOTP', () => {
+  it('matches the RFC 4226 test values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => {
+      expect(generateHOTP(SECRET, counter)).toBe(code);
+    });
+  });
+});
+
+describe('generateTOTP', () => {
+  it('matches the RFC 6238 SHA-1 test values', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037']
+    ];
+    vectors.forEach(([seconds, code]) => {
+      expect(generateTOTP(SECRET, { time: seconds * 1000, digits: 8 })).toBe(code);
+    });
+  });
+});
+
+describe('verifyTOTP', () => {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / 30);
+
+  it('returns the time step of a valid code', () => {
+    expect(verifyTOTP(generateTOTP(SECRET, { time }), SECRET, { time })).toBe(step);
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    expect(verifyTOTP(generateTOTP(SECRET, { time: time - 30000 }), SECRET, { time })).toBe(step - 1);
+    expect(verifyTOTP(generateTOTP(SECRET, { time: time + 30000 }), SECRET, { time })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    expect(verifyTOTP(generateTOTP(SECRET, { time: time - 90000 }), SECRET, { time })).toBeNull();
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    const code = generateTOTP(SECRET, { time });
+    expect(verifyTOTP(`${code.slice(0, 3)} ${code.slice(3)}`, SECRET, { time })).toBe(step);
+    expect(verifyTOTP('12345', SECRET, { time })).toBeNull();
+    expect(verifyTOTP('abcdef', SECRET, { time })).toBeNull();
+    expect(verifyTOTP(undefined, SECRET, { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthURI', () => {
+  it('labels the account with the issuer', () => {
+    const uri = buildOtpauthURI({ secret: SECRET, accountName: 'press@campaign.example' });
+
+    expect(uri.startsWith('otpauth://totp/Campaign%202027%3Apress%40campaign.example?')).toBe(true);
+    expect(new URL(uri).searchParams.get('secret')).toBe(SECRET);
+    expect(new URL(uri).searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates distinct codes in the expected shape', () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+
+  it('hashes codes regardless of case and separators', () => {
+    expect(hashRecoveryCode('A1B2C-3D4E5')).toBe(hashRecoveryCode('a1b2c3d4e5'));
+    expect(hashRecoveryCode('a1b2c-3d4e5')).not.toBe(hashRecoveryCode('a1b2c-3d4e6'));
+  });
+});
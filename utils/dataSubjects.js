@@ -0,0 +1,411 @@
+// server/utils/dataSubjects.js
+// Finds, exports and erases everything we hold about one person, for data
+// subject requests (see models/DataSubjectRequest.js).
+//
+// Each source below knows how to find a person's records in one collection by
+// email and phone, what to leave out of an export, and how to delete or
+// anonymise a record. Anonymising keeps the record for aggregate statistics
+// (counts, counties, hours) but removes everything that identifies the person.
+const Volunteer = require('../models/Volunteer');
+const Contact = require('../models/Contact');
+const Newsletter = require('../models/Newsletter');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const AuditLog = require('../models/AuditLog');
+const { buildZip } = require('./zipBuilder');
+const emailService = require('./emailService');
+
+const ERASED = '[erased]';
+
+// Stands in for an erased email; unique per record and never deliverable
+const erasedEmail = (id) => `erased-${id}@erased.invalid`;
+
+// The ways a Kenyan number may have been stored: 07XXXXXXXX, +2547XXXXXXXX, 2547XXXXXXXX
+const phoneVariants = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '').slice(-9);
+  if (digits.length !== 9) return [];
+  return [`0${digits}`, `+254${digits}`, `254${digits}`];
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// { $or: [...] } over the given email and phone paths, or null when nothing to match
+const identityFilter = ({ email, phone }, { emailPath = 'email', phonePath = 'phone' } = {}) => {
+  const clauses = [];
+  if (email) clauses.push({ [emailPath]: new RegExp(`^${escapeRegex(email)}$`, 'i') });
+  if (phone && phonePath) {
+    const variants = phoneVariants(phone);
+    if (variants.length > 0) clauses.push({ [phonePath]: { $in: variants } });
+  }
+  return clauses.length > 0 ? { $or: clauses } : null;
+};
+
+// Whether an embedded record belongs to the person
+const matchesIdentity = (record, { email, phone }) => {
+  if (email && record.email && record.email.toLowerCase() === email.toLowerCase()) return true;
+  return Boolean(phone && record.phone && phoneVariants(phone).includes(record.phone));
+};
+
+// Drop internal bookkeeping from an exported record
+const withoutFields = (record, fields) => {
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+};
+
+const SOURCES = {
+  volunteers: {
+    collectionName: 'volunteers',
+    // Volunteer phone numbers are encrypted, so they are matched on their blind index
+    find: (identity) => {
+      const clauses = identity.email ? identityFilter({ email: identity.email }).$or : [];
+      const phoneIndex = identity.phone && Volunteer.blindIndexFor('phone', identity.phone);
+      if (phoneIndex) clauses.push({ 'blindIndex.phone': phoneIndex });
+
+      return clauses.length > 0
+        ? Volunteer.find({ $or: clauses }).select('+encrypted.nationalId').lean()
+        : [];
+    },
+    exportRecord: (record) => Volunteer.decryptFields(withoutFields(record, ['portal', 'geo', '__v'])),
+    // Shifts go with the volunteer; past attendance stays (anonymously) with an anonymised record
+    erase: async (record, mode) => {
+      await ShiftAssignment.cancelScheduled({ volunteer: record._id });
+
+      if (mode === 'delete') {
+        await ShiftAssignment.deleteMany({ volunteer: record._id });
+        await Volunteer.deleteOne({ _id: record._id });
+        return 'deleted';
+      }
+
+      // The birth year stays, so age statistics still work
+      await Volunteer.updateOne({ _id: record._id }, {
+        $set: {
+          firstName: 'Erased',
+          lastName: 'Volunteer',
+          email: erasedEmail(record._id),
+          address: ERASED,
+          occupation: ERASED,
+          motivation: ERASED,
+          status: 'withdrawn',
+          withdrawnAt: record.withdrawnAt || new Date()
+        },
+        $unset: {
+          encrypted: 1,
+          blindIndex: 1,
+          experienceDetails: 1,
+          withdrawalReason: 1,
+          coordinates: 1,
+          geo: 1,
+          portal: 1
+        }
+      });
+      return 'anonymised';
+    }
+  },
+
+  volunteerShifts: {
+    collectionName: 'shiftassignments',
+    // Found through the volunteer records rather than by email or phone
+    find: (identity, found) => {
+      const volunteerIds = (found.volunteers || []).map(volunteer => volunteer._id);
+      return volunteerIds.length > 0
+        ? ShiftAssignment.find({ volunteer: { $in: volunteerIds } })
+          .populate('shift', 'role')
+          .populate('event', 'title startDate')
+          .lean()
+        : [];
+    },
+    exportRecord: (record) => withoutFields(record, ['assignedBy', 'attendanceRecordedBy', '__v']),
+    // Handled with the volunteer
+    erase: null
+  },
+
+  contacts: {
+    collectionName: 'contacts',
+    find: (identity) => {
+      const filter = identityFilter(identity);
+      return filter ? Contact.find(filter).lean() : [];
+    },
+    exportRecord: (record) => withoutFields(record, ['assignedTo', 'internalNotes', '__v']),
+    erase: async (record, mode) => {
+      if (mode === 'delete') {
+        await Contact.deleteOne({ _id: record._id });
+        return 'deleted';
+      }
+
+      await Contact.updateOne({ _id: record._id }, {
+        $set: {
+          firstName: 'Erased',
+          lastName: 'Contact',
+          email: erasedEmail(record._id),
+          message: ERASED
+        },
+        $unset: {
+          phone: 1,
+          organization: 1,
+          title: 1,
+          responseNotes: 1,
+          followUpNotes: 1,
+          internalNotes: 1,
+          ipAddress: 1,
+          userAgent: 1,
+          referrer: 1,
+          attachments: 1
+        }
+      });
+      return 'anonymised';
+    }
+  },
+
+  newsletterSubscriptions: {
+    collectionName: 'newsletters',
+    find: (identity) => {
+      const filter = identityFilter(identity, { phonePath: null });
+      return filter ? Newsletter.find(filter).lean() : [];
+    },
+    exportRecord: (record) => withoutFields(record, ['verificationToken', 'unsubscribeToken', '__v']),
+    erase: async (record, mode) => {
+      if (mode === 'delete') {
+        await Newsletter.deleteOne({ _id: record._id });
+        return 'deleted';
+      }
+
+      await Newsletter.updateOne({ _id: record._id }, {
+        $set: {
+          email: erasedEmail(record._id),
+          status: 'unsubscribed',
+          unsubscribeDate: record.unsubscribeDate || new Date()
+        },
+        $unset: {
+          firstName: 1,
+          lastName: 1,
+          unsubscribeFeedback: 1,
+          ipAddress: 1,
+          userAgent: 1,
+          referrer: 1,
+          verificationToken: 1
+        }
+      });
+      return 'anonymised';
+    }
+  },
+
+  eventRegistrations: {
+    collectionName: 'eventregistrations',
+    find: (identity) => {
+      const filter = identityFilter(identity);
+      return filter
+        ? EventRegistration.find(filter).populate('event', 'title startDate').lean()
+        : [];
+    },
+    exportRecord: (record) => withoutFields(record, ['checkedInBy', '__v']),
+    // A confirmed place at an event still to come is given up first, so the
+    // waitlist moves on
+    erase: async (record, mode) => {
+      const eventId = record.event && record.event._id ? record.event._id : record.event;
+      const upcoming = record.event && record.event.startDate && new Date(record.event.startDate) > new Date();
+
+      if (record.status === 'confirmed' && upcoming) {
+        const cancelled = await EventRegistration.findOneAndUpdate(
+          { _id: record._id, status: 'confirmed' },
+          { status: 'cancelled', cancelledAt: new Date() }
+        );
+
+        if (cancelled) {
+          await Event.releaseSeat(eventId);
+
+          const promoted = await EventRegistration.promoteWaitlist(eventId);
+          if (promoted.length > 0) {
+            const event = await Event.findById(eventId).lean();
+            promoted.forEach(registration => {
+              emailService.sendEventRegistration(event, registration, { promoted: true })
+                .catch(error => console.error('Waitlist promotion email error:', error.message));
+            });
+          }
+        }
+      }
+
+      if (mode === 'delete') {
+        await EventRegistration.deleteOne({ _id: record._id });
+        return 'deleted';
+      }
+
+      await EventRegistration.updateOne({ _id: record._id }, {
+        $set: { name: 'Erased', email: erasedEmail(record._id) },
+        $unset: { phone: 1, specialRequests: 1, ipAddress: 1 }
+      });
+      return 'anonymised';
+    }
+  },
+
+  // RSVPs embedded in events before registrations had their own collection
+  eventRsvps: {
+    collectionName: 'events.rsvps',
+    find: async (identity) => {
+      const filter = identityFilter(identity);
+      if (!filter) return [];
+
+      const events = await Event.find({ rsvps: { $elemMatch: filter } })
+        .select('title startDate rsvps')
+        .lean();
+
+      return events.flatMap(event => event.rsvps
+        .filter(rsvp => matchesIdentity(rsvp, identity))
+        .map(rsvp => ({ ...rsvp, event: { _id: event._id, title: event.title, startDate: event.startDate } })));
+    },
+    exportRecord: (record) => record,
+    erase: async (record, mode) => {
+      if (mode === 'delete') {
+        await Event.updateOne({ _id: record.event._id }, { $pull: { rsvps: { _id: record._id } } });
+        return 'deleted';
+      }
+
+      await Event.updateOne(
+        { _id: record.event._id },
+        {
+          $set: { 'rsvps.$[rsvp].name': 'Erased' },
+          $unset: { 'rsvps.$[rsvp].email': 1, 'rsvps.$[rsvp].phone': 1, 'rsvps.$[rsvp].specialRequests': 1 }
+        },
+        { arrayFilters: [{ 'rsvp._id': record._id }] }
+      );
+      return 'anonymised';
+    }
+  },
+
+  // Admin audit entries about any of the records above carry before/after
+  // copies of their fields. Must stay last: it is found through the others.
+  auditLogEntries: {
+    collectionName: 'auditlogs',
+    find: (identity, found) => {
+      const recordIds = Object.values(found).flat().map(record => record._id);
+      return recordIds.length > 0
+        ? AuditLog.find({ 'entity.id': { $in: recordIds } }).sort('createdAt').lean()
+        : [];
+    },
+    // The staff member's own details are not the requester's data
+    exportRecord: (record) => withoutFields(record, ['actor', 'actorEmail', 'ipAddress', 'userAgent', '__v']),
+    // The entry stays as a record of what staff did; only the copied values go
+    erase: async (record) => {
+      await AuditLog.updateOne({ _id: record._id }, {
+        $set: { 'changes.$[].before': ERASED, 'changes.$[].after': ERASED }
+      });
+      return 'anonymised';
+    },
+    eraseNote: 'Audit entry kept; the changed values it recorded were erased'
+  }
+};
+
+// Everything held about the person, by source. `identity` holds only the
+// identifiers the requester has proven.
+const findRecords = async (identity) => {
+  const found = {};
+  for (const [key, source] of Object.entries(SOURCES)) {
+    found[key] = await source.find(identity, found);
+  }
+  return found;
+};
+
+// Number of records per source
+const countRecords = (found) => {
+  const counts = {};
+  Object.keys(found).forEach(key => { counts[key] = found[key].length; });
+  return counts;
+};
+
+// The export as one object
+const buildExport = (request, found) => {
+  const records = {};
+  Object.entries(found).forEach(([key, list]) => {
+    records[key] = list.map(record => SOURCES[key].exportRecord(record));
+  });
+
+  return {
+    reference: request.reference,
+    generatedAt: new Date().toISOString(),
+    subject: {
+      name: request.subject.name,
+      email: request.subject.email,
+      phone: request.verification.identifiers.includes('phone') ? request.subject.phone : undefined
+    },
+    counts: countRecords(found),
+    records
+  };
+};
+
+// The export as a ZIP: a manifest, one JSON file per source and a README
+const buildExportZip = (request, found) => {
+  const bundle = buildExport(request, found);
+
+  const files = [
+    {
+      name: 'manifest.json',
+      content: JSON.stringify({
+        reference: bundle.reference,
+        generatedAt: bundle.generatedAt,
+        subject: bundle.subject,
+        counts: bundle.counts
+      }, null, 2)
+    },
+    ...Object.entries(bundle.records).map(([key, list]) => ({
+      name: `${key}.json`,
+      content: JSON.stringify(list, null, 2)
+    })),
+    {
+      name: 'README.txt',
+      content: [
+        `Personal data held by the 2027 Campaign - request ${bundle.reference}`,
+        `Generated ${bundle.generatedAt}`,
+        '',
+        'manifest.json lists how many records were found in each collection.',
+        'Each other .json file holds the records from one collection:',
+        '',
+        '  volunteers.json               volunteer registrations',
+        '  volunteerShifts.json          volunteer shifts and attendance',
+        '  contacts.json                 messages sent through the contact form',
+        '  newsletterSubscriptions.json  newsletter subscriptions',
+        '  eventRegistrations.json       event registrations',
+        '  eventRsvps.json               event RSVPs from the earlier RSVP form',
+        '  auditLogEntries.json          changes our staff made to the records above',
+        ''
+      ].join('\r\n')
+    }
+  ];
+
+  return buildZip(files);
+};
+
+// Delete or anonymise everything found. Returns one result per record.
+const eraseRecords = async (found, mode) => {
+  const results = [];
+
+  for (const [key, list] of Object.entries(found)) {
+    const source = SOURCES[key];
+
+    for (const record of list) {
+      if (!source.erase) {
+        results.push({
+          collectionName: source.collectionName,
+          recordId: record._id,
+          action: mode === 'delete' ? 'deleted' : 'retained',
+          note: mode === 'delete' ? 'Deleted with the volunteer record' : 'Kept without personal data; linked to the anonymised volunteer'
+        });
+        continue;
+      }
+
+      const action = await source.erase(record, mode);
+      results.push({ collectionName: source.collectionName, recordId: record._id, action, note: source.eraseNote });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  phoneVariants,
+  findRecords,
+  countRecords,
+  buildExport,
+  buildExportZip,
+  eraseRecords
+};
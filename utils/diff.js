@@ -0,0 +1,69 @@
+// server/utils/diff.js
+// Field-level differences between two versions of a document.
+
+// Fields that change on every save and say nothing about the edit
+const DEFAULT_IGNORED = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// Turn Mongoose documents, ObjectIds and Dates into plain JSON values
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value.toObject === 'function') {
+    value = value.toObject({ depopulate: true, virtuals: false, flattenMaps: true });
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Flatten nested objects into dotted paths; arrays are compared as a whole
+const flatten = (object, prefix = '', result = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+const isIgnored = (path, ignore) => {
+  return ignore.some(field => path === field || path.startsWith(`${field}.`));
+};
+
+// Compare two documents and list the changed fields as { path, before, after }.
+// Values of fields in `redact` are replaced so secrets never reach the diff.
+const diffDocuments = (before, after, { ignore = [], redact = [] } = {}) => {
+  const flatBefore = flatten(toPlain(before) || {});
+  const flatAfter = flatten(toPlain(after) || {});
+  const ignored = [...DEFAULT_IGNORED, ...ignore];
+
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  [...paths].sort().forEach(path => {
+    if (isIgnored(path, ignored)) return;
+
+    const oldValue = flatBefore[path] === undefined ? null : flatBefore[path];
+    const newValue = flatAfter[path] === undefined ? null : flatAfter[path];
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    if (isIgnored(path, redact)) {
+      changes.push({ path, before: '[REDACTED]', after: '[REDACTED]' });
+    } else {
+      changes.push({ path, before: oldValue, after: newValue });
+    }
+  });
+
+  return changes;
+};
+
+module.exports = {
+  toPlain,
+  flatten,
+  diffDocuments
+};
@@ -36,7 +36,9 @@ class EmailService {
                 <li><strong>County:</strong> ${volunteer.county}</li>
                 <li><strong>Constituency:</strong> ${volunteer.constituency}</li>
                 <li><strong>Skills:</strong> ${volunteer.skills.join(', ')}</li>
-                <li><strong>Availability:</strong> ${volunteer.availability}</li>
+                <li><strong>Availability:</strong> ${['weekdays', 'weekends', 'evenings', 'fullTime']
+                  .filter(slot => volunteer.availability && volunteer.availability[slot])
+                  .join(', ')}</li>
               </ul>
             </div>
             
@@ -71,6 +73,152 @@ class EmailService {
     return await this.transporter.sendMail(mailOptions);
   }
 
+  // Ask a new volunteer to confirm their email address
+  async sendVolunteerVerification(volunteer, verifyURL, expiresInHours = 48) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: volunteer.email,
+      subject: 'Please confirm your email address - 2027 Campaign',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>Confirm Your Email</h1>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Hello ${volunteer.firstName},</h3>
+
+            <p>Thank you for signing up to volunteer with the 2027 Campaign. Please confirm your email address so we can keep you updated. This link is valid for ${expiresInHours} hours.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyURL}"
+                 style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                Confirm Email Address
+              </a>
+            </div>
+
+            <p>If you didn't sign up, you can safely ignore this email. Unconfirmed registrations are deleted automatically.</p>
+
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Send a volunteer a one-time link to sign in to the volunteer portal
+  async sendVolunteerLoginLink(volunteer, loginURL, expiresInMinutes = 15) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: volunteer.email,
+      subject: 'Your sign-in link - 2027 Campaign Volunteers',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>Sign In</h1>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Hello ${volunteer.firstName},</h3>
+
+            <p>Use the button below to sign in to your volunteer portal. The link works once and is valid for ${expiresInMinutes} minutes.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${loginURL}"
+                 style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                Sign In to Volunteer Portal
+              </a>
+            </div>
+
+            <p>If you didn't ask to sign in, you can safely ignore this email.</p>
+
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Ask a data subject to confirm their access or erasure request
+  async sendDataRequestVerification(request, verifyURL, expiresInHours = 48) {
+    const action = request.type === 'erasure' ? 'delete the personal data we hold about you' : 'send you a copy of the personal data we hold about you';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: request.subject.email,
+      subject: `Confirm your data request ${request.reference} - 2027 Campaign`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>Confirm Your Request</h1>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Hello ${request.subject.name || 'there'},</h3>
+
+            <p>We received a request to ${action}. Before we act on it, please confirm that this email address belongs to you.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyURL}"
+                 style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                Confirm Request
+              </a>
+            </div>
+
+            <p>This link is valid for ${expiresInHours} hours. Your reference is <strong>${request.reference}</strong>.</p>
+
+            <p>If you didn't make this request, you can safely ignore this email and nothing will change.</p>
+
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Tell a data subject their request has been fulfilled, attaching any export
+  async sendDataRequestCompleted(request, attachment) {
+    const outcome = request.type === 'erasure'
+      ? `<p>We have ${request.erasureMode === 'delete' ? 'deleted' : 'anonymised'} the personal data we held about you. We will not contact you again unless you get in touch with us.</p>`
+      : '<p>A copy of the personal data we hold about you is attached. Each file in the archive covers one part of our records; README.txt explains which.</p>';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: request.subject.email,
+      subject: `Your data request ${request.reference} is complete - 2027 Campaign`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>Request Complete</h1>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Hello ${request.subject.name || 'there'},</h3>
+
+            ${outcome}
+
+            <p>Your reference is <strong>${request.reference}</strong>. Reply to this email if you have any questions.</p>
+
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `,
+      attachments: attachment ? [attachment] : []
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
   // Send contact form confirmation
   async sendContactConfirmation(contact) {
     const mailOptions = {
@@ -152,13 +300,14 @@ class EmailService {
     return await this.transporter.sendMail(mailOptions);
   }
 
-  // Send event reminder
-  async sendEventReminder(event, attendees) {
-    const eventDate = new Date(event.date);
+  // Send event reminder (startsIn: e.g. 'tomorrow', 'in 2 hours')
+  async sendEventReminder(event, attendees, { startsIn = 'soon' } = {}) {
+    const startDate = new Date(event.startDate);
+    const venue = event.venue || {};
     const mailOptions = {
       from: process.env.EMAIL_FROM,
       bcc: attendees.map(att => att.email),
-      subject: `Reminder: ${event.title} - Tomorrow`,
+      subject: `Reminder: ${event.title} starts ${startsIn}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background: #dc2626; color: white; padding: 20px; text-align: center;">
@@ -169,37 +318,283 @@ class EmailService {
             <h2>${event.title}</h2>
             
             <div style="background: #fef2f2; border-left: 4px solid #dc2626; padding: 15px; margin: 20px 0;">
-              <p><strong>⏰ This event is happening tomorrow!</strong></p>
+              <p><strong>⏰ This event starts ${startsIn}!</strong></p>
             </div>
             
             <div style="background: #f8fafc; padding: 15px; border-radius: 8px;">
               <h4>Event Details:</h4>
               <ul>
-                <li><strong>Date:</strong> ${eventDate.toLocaleDateString('en-KE', {
+                <li><strong>Date:</strong> ${startDate.toLocaleDateString('en-KE', {
+                  weekday: 'long',
+                  year: 'numeric',
+                  month: 'long',
+                  day: 'numeric',
+                  timeZone: event.timezone || 'Africa/Nairobi'
+                })}</li>
+                ${event.allDay ? '' : `<li><strong>Time:</strong> ${startDate.toLocaleTimeString('en-KE', {
+                  hour: '2-digit',
+                  minute: '2-digit',
+                  timeZone: event.timezone || 'Africa/Nairobi'
+                })}</li>`}
+                <li><strong>Venue:</strong> ${[venue.name, venue.address].filter(Boolean).join(', ')}</li>
+                <li><strong>County:</strong> ${venue.county || ''}</li>
+              </ul>
+            </div>
+            
+            <p>${event.shortDescription || event.description || ''}</p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/events/${event.slug || event._id}" 
+                 style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                View Event Details
+              </a>
+            </div>
+            
+            <p>See you there!</p>
+            
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Tell registrants an event has been cancelled or postponed
+  async sendEventStatusUpdate(event, attendees) {
+    const postponed = event.status === 'postponed';
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      bcc: attendees.map(att => att.email),
+      subject: `${postponed ? 'Postponed' : 'Cancelled'}: ${event.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
+            <h1>Event ${postponed ? 'Postponed' : 'Cancelled'}</h1>
+          </div>
+          
+          <div style="padding: 20px;">
+            <h2>${event.title}</h2>
+            
+            <p>${postponed
+              ? 'This event has been postponed. We will let you know the new date as soon as it is confirmed, and your registration will carry over.'
+              : 'We are sorry to let you know that this event has been cancelled.'}</p>
+            
+            <p>Originally scheduled for ${new Date(event.startDate).toLocaleDateString('en-KE', {
+              weekday: 'long',
+              year: 'numeric',
+              month: 'long',
+              day: 'numeric',
+              timeZone: event.timezone || 'Africa/Nairobi'
+            })}${event.venue && event.venue.name ? ` at ${event.venue.name}` : ''}.</p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/events" 
+                 style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                See Other Events
+              </a>
+            </div>
+            
+            <p>Thank you for your support.</p>
+            
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Confirm an event registration, a waitlist place, or a promotion off the waitlist
+  async sendEventRegistration(event, registration, { promoted = false } = {}) {
+    const waitlisted = registration.status === 'waitlisted';
+    const startDate = new Date(event.startDate);
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: registration.email,
+      subject: waitlisted
+        ? `You're on the waitlist: ${event.title}`
+        : promoted
+          ? `A place opened up: ${event.title}`
+          : `You're registered: ${event.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>${waitlisted ? 'Waitlist Confirmation' : 'Registration Confirmed'}</h1>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Hello ${registration.name},</h3>
+
+            <p>${waitlisted
+              ? 'The event is currently full, so we have added you to the waitlist. We will email you if a place opens up.'
+              : promoted
+                ? 'Good news! A place has opened up and you have been moved off the waitlist.'
+                : 'Thank you for registering. We look forward to seeing you.'}</p>
+
+            <div style="background: #f8fafc; padding: 15px; border-radius: 8px;">
+              <h4>${event.title}</h4>
+              <ul>
+                <li><strong>Date:</strong> ${startDate.toLocaleDateString('en-KE', {
                   weekday: 'long',
                   year: 'numeric',
                   month: 'long',
                   day: 'numeric'
                 })}</li>
-                <li><strong>Time:</strong> ${eventDate.toLocaleTimeString('en-KE', {
+                <li><strong>Time:</strong> ${startDate.toLocaleTimeString('en-KE', {
                   hour: '2-digit',
                   minute: '2-digit'
                 })}</li>
-                <li><strong>Location:</strong> ${event.location}</li>
-                <li><strong>County:</strong> ${event.county}</li>
+                <li><strong>Venue:</strong> ${event.venue ? `${event.venue.name}, ${event.venue.county}` : ''}</li>
+              </ul>
+            </div>
+            ${waitlisted ? '' : `
+            <div style="background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; text-align: center;">
+              <p>Your registration code:</p>
+              <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px;">${registration.code}</p>
+              <p>Show this code (or the QR code on the event page) at check-in.</p>
+            </div>`}
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/events/${event.slug || event._id}?registration=${registration.code}"
+                 style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                View Registration
+              </a>
+            </div>
+
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Confirm a volunteer shift, whether self-booked or assigned by a coordinator
+  async sendShiftConfirmation(volunteer, shift, event) {
+    const timezone = event.timezone || 'Africa/Nairobi';
+    const startTime = new Date(shift.startTime);
+    const endTime = new Date(shift.endTime);
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: volunteer.email,
+      subject: `Volunteer shift confirmed: ${shift.role} at ${event.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>Shift Confirmed</h1>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Hello ${volunteer.firstName},</h3>
+
+            <p>Thank you for volunteering. You are on the following shift:</p>
+
+            <div style="background: #f8fafc; padding: 15px; border-radius: 8px;">
+              <h4>${event.title}</h4>
+              <ul>
+                <li><strong>Role:</strong> ${shift.role}</li>
+                <li><strong>Date:</strong> ${startTime.toLocaleDateString('en-KE', {
+                  weekday: 'long',
+                  year: 'numeric',
+                  month: 'long',
+                  day: 'numeric',
+                  timeZone: timezone
+                })}</li>
+                <li><strong>Time:</strong> ${startTime.toLocaleTimeString('en-KE', {
+                  hour: '2-digit',
+                  minute: '2-digit',
+                  timeZone: timezone
+                })} - ${endTime.toLocaleTimeString('en-KE', {
+                  hour: '2-digit',
+                  minute: '2-digit',
+                  timeZone: timezone
+                })}</li>
+                <li><strong>Venue:</strong> ${event.venue ? `${event.venue.name}, ${event.venue.county}` : ''}</li>
               </ul>
+              ${shift.description ? `<p>${shift.description}</p>` : ''}
             </div>
+
+            <p>If you can no longer make it, please let your coordinator know as soon as possible so the place can be filled.</p>
+
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Send password reset link to an admin user
+  async sendPasswordReset(user, resetURL, expiresInMinutes = 10) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'Reset your 2027 Campaign admin password',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>Password Reset</h1>
+          </div>
+          
+          <div style="padding: 20px;">
+            <h3>Hello ${user.name},</h3>
             
-            <p>${event.description}</p>
+            <p>We received a request to reset the password for your admin account. This link is valid for ${expiresInMinutes} minutes.</p>
             
             <div style="text-align: center; margin: 30px 0;">
-              <a href="${process.env.FRONTEND_URL}/events/${event._id}" 
+              <a href="${resetURL}" 
                  style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-                View Event Details
+                Reset Password
               </a>
             </div>
             
-            <p>See you there!</p>
+            <p>If you didn't request a password reset, you can safely ignore this email.</p>
+            
+            <p>Best regards,<br>
+            <strong>The 2027 Campaign Team</strong></p>
+          </div>
+        </div>
+      `
+    };
+
+    return await this.transporter.sendMail(mailOptions);
+  }
+
+  // Ask reviewers to review a press release
+  async sendPressReviewRequest(pressRelease, reviewers, submittedBy) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: reviewers.map(reviewer => reviewer.email),
+      subject: `Review requested: ${pressRelease.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #1e3a8a; color: white; padding: 20px; text-align: center;">
+            <h1>Press Release Review</h1>
+          </div>
+          
+          <div style="padding: 20px;">
+            <p>${submittedBy ? submittedBy.name : 'A team member'} has submitted a press release for your approval.</p>
+            
+            <div style="background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">${pressRelease.title}</h3>
+              <p>${pressRelease.excerpt}</p>
+            </div>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/admin/press/${pressRelease._id}" 
+                 style="background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                Review Press Release
+              </a>
+            </div>
             
             <p>Best regards,<br>
             <strong>The 2027 Campaign Team</strong></p>
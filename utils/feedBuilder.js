@@ -0,0 +1,132 @@
+// server/utils/feedBuilder.js
+// Renders a list of feed items as RSS 2.0, Atom 1.0 or JSON Feed 1.1.
+//
+// feed:  { title, description, link, selfUrl, language, updated }
+// items: [{ id, title, link, summary, published, updated, author, categories,
+//           image, enclosures: [{ url, type, length }] }]
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  avi: 'video/x-msvideo',
+  webm: 'video/webm'
+};
+
+// Escape text for use in XML element content or attributes
+const escapeXml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Guess a MIME type from a URL's extension
+const mimeTypeFromUrl = (url, fallback = 'application/octet-stream') => {
+  const match = /\.([a-z0-9]+)(?:\?|#|$)/i.exec(url || '');
+  return (match && MIME_TYPES[match[1].toLowerCase()]) || fallback;
+};
+
+const buildRss = (feed, items) => {
+  const entries = items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>${item.author ? `
+      <dc:creator>${escapeXml(item.author)}</dc:creator>` : ''}${item.categories.map(category => `
+      <category>${escapeXml(category)}</category>`).join('')}${item.enclosures.map(enclosure => `
+      <enclosure url="${escapeXml(enclosure.url)}" type="${escapeXml(enclosure.type)}" length="${enclosure.length || 0}" />`).join('')}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml" />${entries}
+  </channel>
+</rss>
+`;
+};
+
+const buildAtom = (feed, items) => {
+  const entries = items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}" />
+    <id>${escapeXml(item.id)}</id>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>${item.author ? `
+    <author><name>${escapeXml(item.author)}</name></author>` : ''}${item.categories.map(category => `
+    <category term="${escapeXml(category)}" />`).join('')}${item.enclosures.map(enclosure => `
+    <link rel="enclosure" type="${escapeXml(enclosure.type)}" length="${enclosure.length || 0}" href="${escapeXml(enclosure.url)}" />`).join('')}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}" />
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <updated>${new Date(feed.updated).toISOString()}</updated>${entries}
+</feed>
+`;
+};
+
+const buildJsonFeed = (feed, items) => {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.link,
+    feed_url: feed.selfUrl,
+    language: feed.language,
+    items: items.map(item => ({
+      id: item.id,
+      url: item.link,
+      title: item.title,
+      summary: item.summary,
+      content_text: item.summary,
+      image: item.image,
+      date_published: new Date(item.published).toISOString(),
+      date_modified: new Date(item.updated).toISOString(),
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: item.categories,
+      attachments: item.enclosures.length > 0
+        ? item.enclosures.map(enclosure => ({
+          url: enclosure.url,
+          mime_type: enclosure.type,
+          size_in_bytes: enclosure.length || undefined
+        }))
+        : undefined
+    }))
+  }, null, 2);
+};
+
+const FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+module.exports = {
+  FORMATS,
+  escapeXml,
+  mimeTypeFromUrl,
+  buildRss,
+  buildAtom,
+  buildJsonFeed
+};
@@ -0,0 +1,57 @@
+// server/utils/fieldEncryption.js
+// AES-256-GCM encryption of single field values, and blind indexes for
+// searching them. Keys come from config/encryption.js.
+//
+// An encrypted value is stored as "<keyId>:<iv>:<auth tag>:<ciphertext>"
+// (base64 parts), so it can always be decrypted with the key that wrote it.
+const crypto = require('crypto');
+const { getEncryptionKeys, getBlindIndexKey } = require('../config/encryption');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+const encrypt = (plaintext) => {
+  const { currentKeyId, keys } = getEncryptionKeys();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [currentKeyId, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+const decrypt = (value) => {
+  const [keyId, iv, tag, ciphertext] = String(value).split(':');
+  const key = getEncryptionKeys().keys.get(keyId);
+
+  if (!key || ciphertext === undefined) {
+    throw new Error(`Cannot decrypt field: ${key ? 'malformed value' : `unknown key "${keyId}"`}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// The key a stored value was encrypted with
+const keyIdOf = (value) => String(value).split(':')[0];
+
+// Whether a stored value was encrypted with the current key
+const isCurrentKey = (value) => keyIdOf(value) === getEncryptionKeys().currentKeyId;
+
+// Keyed hash of a normalised value. `scope` (usually the field name) keeps
+// equal values in different fields from producing the same index.
+const blindIndex = (scope, value) => {
+  return crypto.createHmac('sha256', getBlindIndexKey())
+    .update(`${scope}:${value}`)
+    .digest('hex');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  keyIdOf,
+  isCurrentKey,
+  blindIndex
+};
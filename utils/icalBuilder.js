@@ -0,0 +1,138 @@
+// server/utils/icalBuilder.js
+// Renders events as an iCalendar (RFC 5545) VCALENDAR.
+//
+// calendar: { name, description, timezone, url, refreshMinutes }
+// events:   [{ uid, sequence, status, summary, description, location, geo: { lat, lng },
+//              url, start, end, allDay, timezone, categories, created, lastModified,
+//              rrule, exdates: [Date], recurrenceId }]
+//
+// A recurring series carries an RRULE and EXDATEs; an edited occurrence is a
+// separate VEVENT with the series' UID and a RECURRENCE-ID.
+const moment = require('moment-timezone');
+
+const PRODID = '-//2027 Campaign//Events//EN';
+
+// Escape TEXT values: backslash, semicolon, comma and newlines
+const escapeText = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets, without splitting multi-byte characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 2027-03-01T07:00:00Z → 20270301T070000Z
+const formatUtc = (date) => moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+
+const formatDate = (date, timezone) => moment.tz(date, timezone).format('YYYYMMDD');
+
+// All-day DTEND is exclusive: the day after the last day of the event
+const allDayEnd = (start, end, timezone) => {
+  const startDay = moment.tz(start, timezone).startOf('day');
+  if (!end) return startDay.add(1, 'day').format('YYYYMMDD');
+
+  const endMoment = moment.tz(end, timezone);
+  const endDay = endMoment.clone().startOf('day');
+  const exclusive = endMoment.isSame(endDay) && endDay.isAfter(startDay) ? endDay : endDay.add(1, 'day');
+  return exclusive.format('YYYYMMDD');
+};
+
+const buildEvent = (event, stamp, defaultTimezone) => {
+  const timezone = event.timezone || defaultTimezone;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`
+  ];
+
+  const formatValue = (date) => (event.allDay ? formatDate(date, timezone) : formatUtc(date));
+  const dateParam = event.allDay ? ';VALUE=DATE' : '';
+
+  if (event.recurrenceId) lines.push(`RECURRENCE-ID${dateParam}:${formatValue(event.recurrenceId)}`);
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start, timezone)}`);
+    lines.push(`DTEND;VALUE=DATE:${allDayEnd(event.start, event.end, timezone)}`);
+  } else {
+    lines.push(`DTSTART:${formatUtc(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatUtc(event.end)}`);
+  }
+
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  if (event.exdates && event.exdates.length > 0) {
+    lines.push(`EXDATE${dateParam}:${event.exdates.map(formatValue).join(',')}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.geo && event.geo.lat !== undefined && event.geo.lng !== undefined) {
+    lines.push(`GEO:${event.geo.lat};${event.geo.lng}`);
+  }
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.created) lines.push(`CREATED:${formatUtc(event.created)}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+  // Let clients show a cancelled event as free time
+  lines.push(`TRANSP:${event.status === 'CANCELLED' ? 'TRANSPARENT' : 'OPAQUE'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+const buildCalendar = (calendar, events) => {
+  const stamp = formatUtc(new Date());
+  const timezone = calendar.timezone || 'Africa/Nairobi';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendar.name)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ];
+
+  if (calendar.description) lines.push(`X-WR-CALDESC:${escapeText(calendar.description)}`);
+  if (calendar.url) lines.push(`URL:${calendar.url}`);
+  if (calendar.refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${calendar.refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${calendar.refreshMinutes}M`);
+  }
+
+  events.forEach(event => lines.push(...buildEvent(event, stamp, timezone)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  buildCalendar
+};
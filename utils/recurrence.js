@@ -0,0 +1,104 @@
+// server/utils/recurrence.js
+// Expands RRULE-style recurrence rules into occurrence dates.
+//
+// rule: { freq: 'daily' | 'weekly' | 'monthly', interval, byDay: ['MO', 'WE'], until, count }
+//
+// Occurrences keep the series' local wall-clock time in its timezone. Exception
+// dates and overridden occurrences are matched by local calendar day.
+const moment = require('moment-timezone');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Upper bound on generated occurrences, so a rule without an end can't run away
+const MAX_OCCURRENCES = 5000;
+
+const dayKey = (date, timezone) => moment.tz(date, timezone).format('YYYY-MM-DD');
+
+// Candidate starts for the n-th period of the rule, in order
+const periodCandidates = (rule, start, period) => {
+  const interval = rule.interval || 1;
+
+  if (rule.freq === 'daily') {
+    return [start.clone().add(period * interval, 'days')];
+  }
+
+  if (rule.freq === 'weekly') {
+    const days = (rule.byDay && rule.byDay.length > 0 ? rule.byDay : [WEEKDAYS[start.day()]])
+      .map(day => WEEKDAYS.indexOf(day))
+      .filter(index => index !== -1)
+      // Weeks run Monday to Sunday
+      .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+
+    const weekStart = start.clone().add(period * interval, 'weeks').isoWeekday(1);
+    return days.map(day => {
+      const candidate = weekStart.clone().isoWeekday(day === 0 ? 7 : day);
+      return candidate.set({ hour: start.hour(), minute: start.minute(), second: start.second(), millisecond: start.millisecond() });
+    });
+  }
+
+  // monthly: same day of the month, skipping months that don't have it
+  const candidate = start.clone().add(period * interval, 'months');
+  return candidate.date() === start.date() ? [candidate] : [];
+};
+
+// Occurrence start dates of a series between `from` and `to` (inclusive)
+const expandOccurrences = (rule, { start, timezone = 'Africa/Nairobi', from, to, exceptions = [] }) => {
+  if (!rule || !FREQUENCIES.includes(rule.freq) || !start) return [];
+
+  const first = moment.tz(start, timezone);
+  const until = rule.until ? moment(rule.until) : null;
+  const windowStart = from ? moment(from) : first;
+  const windowEnd = to ? moment(to) : null;
+  const skipped = new Set(exceptions.map(date => dayKey(date, timezone)));
+
+  const occurrences = [];
+  let generated = 0;
+
+  for (let period = 0; generated < MAX_OCCURRENCES; period++) {
+    const candidates = periodCandidates(rule, first, period).filter(candidate => !candidate.isBefore(first));
+    let finished = false;
+
+    for (const candidate of candidates) {
+      if ((until && candidate.isAfter(until)) || (windowEnd && candidate.isAfter(windowEnd))) {
+        finished = true;
+        break;
+      }
+      if (rule.count && generated >= rule.count) {
+        finished = true;
+        break;
+      }
+
+      generated += 1;
+
+      if (!candidate.isBefore(windowStart) && !skipped.has(candidate.format('YYYY-MM-DD'))) {
+        occurrences.push(candidate.toDate());
+      }
+    }
+
+    // Without a window end, until or count the rule would never finish
+    if (finished || (!windowEnd && !until && !rule.count)) break;
+  }
+
+  return occurrences;
+};
+
+// The rule as an iCalendar RRULE value, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH
+const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'weekly' && rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${moment.utc(rule.until).format('YYYYMMDD[T]HHmmss[Z]')}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+};
+
+module.exports = {
+  WEEKDAYS,
+  FREQUENCIES,
+  dayKey,
+  expandOccurrences,
+  toRRule
+};
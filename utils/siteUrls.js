@@ -0,0 +1,24 @@
+// server/utils/siteUrls.js
+// Public website URLs for content, used in feeds, sitemaps and structured data.
+
+const siteUrl = (path = '') => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+const pressUrl = (press) => siteUrl(`/press/${press.slug || press._id}`);
+
+const eventUrl = (event) => siteUrl(`/events/${event.slug || event._id}`);
+
+const mediaUrl = (media) => siteUrl(`/media/${media._id}`);
+
+// Full URL of the current API request (feeds link to themselves)
+const requestUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+module.exports = {
+  siteUrl,
+  pressUrl,
+  eventUrl,
+  mediaUrl,
+  requestUrl
+};
@@ -0,0 +1,53 @@
+// server/utils/sitemapBuilder.js
+// Renders sitemaps.org XML: a <urlset> of pages, or a <sitemapindex> of sitemaps.
+const { escapeXml } = require('./feedBuilder');
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : null);
+
+// urls: [{ loc, lastmod, changefreq, priority, images: [{ loc, title, caption }] }]
+const buildUrlset = (urls) => {
+  const entries = urls.map(url => {
+    const lastmod = formatDate(url.lastmod);
+    const images = (url.images || []).map(image => `
+    <image:image>
+      <image:loc>${escapeXml(image.loc)}</image:loc>${image.title ? `
+      <image:title>${escapeXml(image.title)}</image:title>` : ''}${image.caption ? `
+      <image:caption>${escapeXml(image.caption)}</image:caption>` : ''}
+    </image:image>`).join('');
+
+    return `
+  <url>
+    <loc>${escapeXml(url.loc)}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}${url.changefreq ? `
+    <changefreq>${url.changefreq}</changefreq>` : ''}${url.priority !== undefined ? `
+    <priority>${url.priority.toFixed(1)}</priority>` : ''}${images}
+  </url>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">${entries}
+</urlset>
+`;
+};
+
+// sitemaps: [{ loc, lastmod }]
+const buildSitemapIndex = (sitemaps) => {
+  const entries = sitemaps.map(sitemap => {
+    const lastmod = formatDate(sitemap.lastmod);
+    return `
+  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}
+  </sitemap>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</sitemapindex>
+`;
+};
+
+module.exports = {
+  buildUrlset,
+  buildSitemapIndex
+};
@@ -0,0 +1,129 @@
+// server/utils/structuredData.js
+// schema.org JSON-LD for public content, embedded by the frontend in <script type="application/ld+json">.
+const { siteUrl, pressUrl, eventUrl, mediaUrl } = require('./siteUrls');
+
+const ORGANIZATION_NAME = '2027 Campaign';
+
+const organization = () => ({
+  '@type': 'Organization',
+  name: ORGANIZATION_NAME,
+  url: siteUrl('/')
+});
+
+const isoDate = (date) => (date ? new Date(date).toISOString() : undefined);
+
+// Drop undefined and empty values so the output stays tidy
+const compact = (object) => {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) =>
+      value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0))
+  );
+};
+
+// Press release → NewsArticle
+const newsArticle = (press) => compact({
+  '@context': 'https://schema.org',
+  '@type': 'NewsArticle',
+  headline: (press.seo && press.seo.title) || press.title,
+  description: (press.seo && press.seo.description) || press.excerpt,
+  image: press.featuredImage && press.featuredImage.url ? [press.featuredImage.url] : undefined,
+  datePublished: isoDate(press.publishDate),
+  dateModified: isoDate(press.updatedAt || press.publishDate),
+  inLanguage: press.language,
+  articleSection: press.category,
+  keywords: (press.seo && press.seo.keywords && press.seo.keywords.length ? press.seo.keywords : press.tags || []).join(', ') || undefined,
+  author: press.author && press.author.name
+    ? compact({ '@type': 'Person', name: press.author.name, jobTitle: press.author.title })
+    : organization(),
+  publisher: organization(),
+  mainEntityOfPage: { '@type': 'WebPage', '@id': pressUrl(press) },
+  url: pressUrl(press)
+});
+
+const EVENT_STATUS = {
+  published: 'https://schema.org/EventScheduled',
+  completed: 'https://schema.org/EventScheduled',
+  cancelled: 'https://schema.org/EventCancelled',
+  postponed: 'https://schema.org/EventPostponed'
+};
+
+// Campaign event → Event
+const event = (campaignEvent) => {
+  const venue = campaignEvent.venue || {};
+  const place = compact({
+    '@type': 'Place',
+    name: venue.name,
+    address: compact({
+      '@type': 'PostalAddress',
+      streetAddress: venue.address,
+      addressLocality: venue.constituency,
+      addressRegion: venue.county,
+      addressCountry: 'KE'
+    }),
+    geo: venue.coordinates && venue.coordinates.lat !== undefined && venue.coordinates.lng !== undefined
+      ? { '@type': 'GeoCoordinates', latitude: venue.coordinates.lat, longitude: venue.coordinates.lng }
+      : undefined
+  });
+
+  const livestream = campaignEvent.livestream && campaignEvent.livestream.enabled && campaignEvent.livestream.url;
+
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: campaignEvent.title,
+    description: campaignEvent.shortDescription || campaignEvent.description,
+    startDate: isoDate(campaignEvent.startDate),
+    endDate: isoDate(campaignEvent.endDate),
+    eventStatus: EVENT_STATUS[campaignEvent.status],
+    eventAttendanceMode: livestream
+      ? 'https://schema.org/MixedEventAttendanceMode'
+      : 'https://schema.org/OfflineEventAttendanceMode',
+    location: livestream
+      ? [place, { '@type': 'VirtualLocation', url: campaignEvent.livestream.url }]
+      : place,
+    image: campaignEvent.featuredImage && campaignEvent.featuredImage.url ? [campaignEvent.featuredImage.url] : undefined,
+    organizer: campaignEvent.organizer && campaignEvent.organizer.name
+      ? compact({ '@type': 'Organization', name: campaignEvent.organizer.organization || campaignEvent.organizer.name, url: siteUrl('/') })
+      : organization(),
+    performer: (campaignEvent.speakers || []).map(speaker => compact({
+      '@type': 'Person',
+      name: speaker.name,
+      jobTitle: speaker.title
+    })),
+    url: eventUrl(campaignEvent)
+  });
+};
+
+const MEDIA_TYPES = {
+  image: 'ImageObject',
+  video: 'VideoObject',
+  audio: 'AudioObject',
+  document: 'MediaObject'
+};
+
+// Media library item → ImageObject (or VideoObject/AudioObject)
+const mediaObject = (media) => compact({
+  '@context': 'https://schema.org',
+  '@type': MEDIA_TYPES[media.type] || 'MediaObject',
+  name: media.title,
+  description: media.description,
+  caption: media.altText || media.description,
+  contentUrl: media.url,
+  thumbnailUrl: media.thumbnail && media.thumbnail.url,
+  encodingFormat: media.mimeType,
+  width: media.dimensions && media.dimensions.width,
+  height: media.dimensions && media.dimensions.height,
+  duration: media.duration ? `PT${Math.round(media.duration)}S` : undefined,
+  uploadDate: isoDate(media.publishDate),
+  creditText: media.photographer && (media.photographer.credit || media.photographer.name),
+  copyrightHolder: media.copyrightHolder
+    ? { '@type': 'Organization', name: media.copyrightHolder }
+    : undefined,
+  url: mediaUrl(media)
+});
+
+module.exports = {
+  newsArticle,
+  event,
+  mediaObject
+};
@@ -0,0 +1,168 @@
+// server/utils/totp.js
+// RFC 4226 (HOTP) / RFC 6238 (TOTP) one-time passwords for admin two-factor login.
+// Every time-based function accepts an explicit `time` so codes can be checked
+// against a fixed clock.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  digits: 6,
+  step: 30, // seconds
+  window: 1, // accept one step either side for clock drift
+  algorithm: 'sha1'
+};
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits by default, as RFC 4226 recommends)
+const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+// HMAC-based one-time password for a given counter
+const generateHOTP = (secret, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(algorithm, base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+// Time step counter for a timestamp (milliseconds)
+const timeStep = (time = Date.now(), step = DEFAULTS.step) => {
+  return Math.floor(time / 1000 / step);
+};
+
+// Time-based one-time password
+const generateTOTP = (secret, { time = Date.now(), step = DEFAULTS.step, ...options } = {}) => {
+  return generateHOTP(secret, timeStep(time, step), options);
+};
+
+// Verify a TOTP code. Returns the matching time step, or null when the code is
+// wrong. Callers store the step and reject codes at or before it to stop replays.
+const verifyTOTP = (token, secret, {
+  time = Date.now(),
+  step = DEFAULTS.step,
+  window = DEFAULTS.window,
+  digits = DEFAULTS.digits,
+  algorithm = DEFAULTS.algorithm
+} = {}) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const current = timeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    if (counter < 0) continue;
+
+    const expected = generateHOTP(secret, counter, { digits, algorithm });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// provisioning URI, rendered as a QR code by authenticator apps
+const buildOtpauthURI = ({ secret, accountName, issuer = 'Campaign 2027', digits = DEFAULTS.digits, step = DEFAULTS.step }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(step)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Generate one-time recovery codes such as "a1b2c-3d4e5"
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Normalise and hash a recovery code for storage or lookup
+const hashRecoveryCode = (code) => {
+  const normalised = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  timeStep,
+  buildOtpauthURI,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
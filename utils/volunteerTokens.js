@@ -0,0 +1,37 @@
+// server/utils/volunteerTokens.js
+// Signed, expiring tokens emailed to volunteers. Volunteers have no password,
+// so these links are how they prove they own an email address.
+//
+// Each token names its purpose and carries the email it was sent to, so it
+// can't be used for anything else and stops working if the email changes.
+const jwt = require('jsonwebtoken');
+
+const ISSUER = 'campaign2027:volunteers';
+
+// Kept apart from admin tokens when VOLUNTEER_TOKEN_SECRET is set
+const secret = () => process.env.VOLUNTEER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Sign a token for `purpose` (e.g. 'verify-email') that lasts `expiresIn`
+// seconds or a jsonwebtoken duration string ('48h'), with any extra claims
+const signVolunteerToken = (volunteer, purpose, expiresIn, claims = {}) => {
+  return jwt.sign(
+    { ...claims, id: String(volunteer._id), email: volunteer.email },
+    secret(),
+    { expiresIn, issuer: ISSUER, audience: purpose }
+  );
+};
+
+// The token's payload, or null when it is invalid, expired or
+// meant for another purpose
+const verifyVolunteerToken = (token, purpose) => {
+  try {
+    return jwt.verify(token, secret(), { issuer: ISSUER, audience: purpose });
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  signVolunteerToken,
+  verifyVolunteerToken
+};